@@ -1,12 +1,22 @@
 // Advanced analysis system for dependency chains, breaking changes, and impact assessment
+//
+// The analyzers run on the commit's own patch (commitData.patch, from
+// patch.js) rather than on the files in the fork's checkout, so patterns
+// only fire on lines the upstream commit adds or removes, and every finding
+// carries the file, line number and text that triggered it.
 
-import { execSync } from 'child_process';
-import { readFileSync, existsSync } from 'fs';
-import { join, extname, dirname } from 'path';
+import { runGit } from './git-runner.js';
+
+// Findings keep this many matching lines as evidence
+const MAX_EVIDENCE_LINES = 3;
+
+const DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
 
 class AdvancedAnalysisSystem {
   constructor() {
-    // Patterns for different types of breaking changes
+    // Patterns for different types of breaking changes. `sides` says which
+    // changed lines count: removing an export breaks callers, adding one
+    // does not.
     this.breakingChangePatterns = {
       api: {
         patterns: [
@@ -17,7 +27,8 @@ class AdvancedAnalysisSystem {
           /interface\s+(\w+)/g,
           /type\s+(\w+)\s*=/g
         ],
-        severity: 'high'
+        severity: 'high',
+        sides: ['removed']
       },
       database: {
         patterns: [
@@ -29,7 +40,8 @@ class AdvancedAnalysisSystem {
           /CREATE\s+INDEX/gi,
           /migration/gi
         ],
-        severity: 'critical'
+        severity: 'critical',
+        sides: ['added']
       },
       config: {
         patterns: [
@@ -39,7 +51,8 @@ class AdvancedAnalysisSystem {
           /settings\./gi,
           /configuration/gi
         ],
-        severity: 'medium'
+        severity: 'medium',
+        sides: ['added', 'removed']
       },
       dependencies: {
         patterns: [
@@ -49,11 +62,12 @@ class AdvancedAnalysisSystem {
           /import.*from/gi,
           /package\.json/gi
         ],
-        severity: 'medium'
+        severity: 'medium',
+        sides: ['added', 'removed']
       }
     };
 
-    // Security vulnerability patterns (enhanced)
+    // Security vulnerability patterns (enhanced), matched on added lines
     this.securityPatterns = {
       injection: {
         patterns: [
@@ -111,7 +125,7 @@ class AdvancedAnalysisSystem {
       }
     };
 
-    // Performance impact patterns
+    // Performance impact patterns, matched on added lines
     this.performancePatterns = {
       loops: {
         patterns: [
@@ -169,6 +183,7 @@ class AdvancedAnalysisSystem {
     };
 
     const filesChanged = commitData.filesChanged || [];
+    const patch = commitData.patch || [];
     
     try {
       // Check for package.json changes
@@ -181,45 +196,43 @@ class AdvancedAnalysisSystem {
         analysis.riskLevel = 'high';
         analysis.packageChanges = packageFiles;
         
-        // Try to read package.json to understand dependency changes
-        const packageJsonPath = join(repositoryPath, 'package.json');
-        if (existsSync(packageJsonPath)) {
-          try {
-            const packageContent = JSON.parse(readFileSync(packageJsonPath, 'utf8'));
-            analysis.directDependencies = Object.keys(packageContent.dependencies || {});
-            analysis.transitiveDependencies = Object.keys(packageContent.devDependencies || {});
-          } catch (error) {
-            // Package.json parsing failed, continue with file analysis
-          }
-        }
+        // Compare the manifests before and after the upstream commit
+        analysis.dependencyChanges = patch
+          .filter(file => /(^|\/)package\.json$/.test(file.path))
+          .flatMap(file => this.diffDependencies(commitData.hash, file, repositoryPath));
+        analysis.directDependencies = analysis.dependencyChanges
+          .filter(change => change.section === 'dependencies')
+          .map(change => change.name);
+        analysis.transitiveDependencies = analysis.dependencyChanges
+          .filter(change => change.section !== 'dependencies')
+          .map(change => change.name);
       }
 
-      // Analyze import/require changes in source files
-      const sourceFiles = filesChanged.filter(file => 
-        /\.(js|ts|jsx|tsx|mjs|cjs)$/.test(file)
+      // Analyze the imports/requires the commit adds and removes
+      const sourceFiles = patch.filter(file => 
+        !file.binary && /\.(js|ts|jsx|tsx|mjs|cjs)$/.test(file.path)
       );
 
       for (const file of sourceFiles) {
-        const filePath = join(repositoryPath, file);
-        if (existsSync(filePath)) {
-          try {
-            const content = readFileSync(filePath, 'utf8');
-            
-            // Extract imports/requires
-            const imports = this.extractImports(content);
-            analysis.importChanges.push({
-              file,
-              imports: imports.length,
-              externalImports: imports.filter(imp => !imp.startsWith('./')).length
-            });
-
-            // Check for dynamic imports that could affect bundling
-            if (content.includes('import(') || content.includes('require.resolve')) {
-              analysis.riskLevel = analysis.riskLevel === 'low' ? 'medium' : 'high';
-            }
-          } catch (error) {
-            // File reading failed, skip
-          }
+        const added = this.extractImports(file.added.map(line => line.text).join('\n'));
+        const removed = this.extractImports(file.removed.map(line => line.text).join('\n'));
+        if (added.length > 0 || removed.length > 0) {
+          analysis.importChanges.push({
+            file: file.path,
+            added,
+            removed,
+            externalImports: added.filter(imp => !imp.startsWith('.')).length
+          });
+        }
+
+        // Check for dynamic imports that could affect bundling
+        const dynamic = file.added.filter(line => line.text.includes('import(') || line.text.includes('require.resolve'));
+        if (dynamic.length > 0) {
+          analysis.riskLevel = analysis.riskLevel === 'low' ? 'medium' : 'high';
+          analysis.dynamicImports = [
+            ...(analysis.dynamicImports || []),
+            ...dynamic.slice(0, MAX_EVIDENCE_LINES).map(line => ({ file: file.path, line: line.line, text: line.text.trim() }))
+          ];
         }
       }
 
@@ -242,7 +255,7 @@ class AdvancedAnalysisSystem {
   /**
    * Identify breaking changes in the commit
    */
-  identifyBreakingChanges(commitData, repositoryPath) {
+  identifyBreakingChanges(commitData) {
     const analysis = {
       hasBreakingChanges: false,
       breakingChanges: [],
@@ -269,28 +282,20 @@ class AdvancedAnalysisSystem {
         });
       }
 
-      // Analyze file changes for breaking patterns
-      for (const file of filesChanged) {
-        const filePath = join(repositoryPath, file);
-        if (existsSync(filePath)) {
-          try {
-            const content = readFileSync(filePath, 'utf8');
-            const fileBreakingChanges = this.analyzeFileForBreakingChanges(file, content);
-            
-            if (fileBreakingChanges.length > 0) {
-              analysis.hasBreakingChanges = true;
-              analysis.breakingChanges.push(...fileBreakingChanges);
-              
-              // Determine severity
-              const criticalChanges = fileBreakingChanges.filter(change => change.severity === 'critical');
-              if (criticalChanges.length > 0) {
-                analysis.severity = 'critical';
-              } else if (analysis.severity !== 'critical') {
-                analysis.severity = 'high';
-              }
-            }
-          } catch (error) {
-            // File reading failed, skip
+      // Analyze changed lines for breaking patterns
+      for (const file of commitData.patch || []) {
+        const fileBreakingChanges = this.analyzePatchForBreakingChanges(file);
+        
+        if (fileBreakingChanges.length > 0) {
+          analysis.hasBreakingChanges = true;
+          analysis.breakingChanges.push(...fileBreakingChanges);
+          
+          // Determine severity
+          const criticalChanges = fileBreakingChanges.filter(change => change.severity === 'critical');
+          if (criticalChanges.length > 0) {
+            analysis.severity = 'critical';
+          } else if (analysis.severity !== 'critical') {
+            analysis.severity = 'high';
           }
         }
       }
@@ -328,7 +333,7 @@ class AdvancedAnalysisSystem {
   /**
    * Assess security impact of changes
    */
-  assessSecurityImpact(commitData, repositoryPath) {
+  assessSecurityImpact(commitData) {
     const analysis = {
       securityRisk: 'low',
       vulnerabilities: [],
@@ -356,33 +361,25 @@ class AdvancedAnalysisSystem {
         });
       }
 
-      // Analyze files for security patterns
-      for (const file of filesChanged) {
-        const filePath = join(repositoryPath, file);
-        if (existsSync(filePath)) {
-          try {
-            const content = readFileSync(filePath, 'utf8');
-            const fileSecurityIssues = this.analyzeFileForSecurity(file, content);
-            
-            if (fileSecurityIssues.length > 0) {
-              analysis.vulnerabilities.push(...fileSecurityIssues);
-              
-              // Update risk level
-              const criticalIssues = fileSecurityIssues.filter(issue => issue.severity === 'critical');
-              const highIssues = fileSecurityIssues.filter(issue => issue.severity === 'high');
-              
-              if (criticalIssues.length > 0) {
-                analysis.securityRisk = 'critical';
-                analysis.requiresSecurityReview = true;
-              } else if (highIssues.length > 0 && analysis.securityRisk !== 'critical') {
-                analysis.securityRisk = 'high';
-                analysis.requiresSecurityReview = true;
-              } else if (analysis.securityRisk === 'low') {
-                analysis.securityRisk = 'medium';
-              }
-            }
-          } catch (error) {
-            // File reading failed, skip
+      // Analyze added lines for security patterns
+      for (const file of commitData.patch || []) {
+        const fileSecurityIssues = this.analyzePatchForSecurity(file);
+        
+        if (fileSecurityIssues.length > 0) {
+          analysis.vulnerabilities.push(...fileSecurityIssues);
+          
+          // Update risk level
+          const criticalIssues = fileSecurityIssues.filter(issue => issue.severity === 'critical');
+          const highIssues = fileSecurityIssues.filter(issue => issue.severity === 'high');
+          
+          if (criticalIssues.length > 0) {
+            analysis.securityRisk = 'critical';
+            analysis.requiresSecurityReview = true;
+          } else if (highIssues.length > 0 && analysis.securityRisk !== 'critical') {
+            analysis.securityRisk = 'high';
+            analysis.requiresSecurityReview = true;
+          } else if (analysis.securityRisk === 'low') {
+            analysis.securityRisk = 'medium';
           }
         }
       }
@@ -424,7 +421,7 @@ class AdvancedAnalysisSystem {
   /**
    * Predict performance impact
    */
-  predictPerformanceImpact(commitData, repositoryPath) {
+  predictPerformanceImpact(commitData) {
     const analysis = {
       performanceImpact: 'neutral',
       hotspots: [],
@@ -442,28 +439,20 @@ class AdvancedAnalysisSystem {
     const totalLines = (commitData.insertions || 0) + (commitData.deletions || 0);
 
     try {
-      // Analyze each changed file for performance patterns
-      for (const file of filesChanged) {
-        const filePath = join(repositoryPath, file);
-        if (existsSync(filePath)) {
-          try {
-            const content = readFileSync(filePath, 'utf8');
-            const filePerformanceIssues = this.analyzeFileForPerformance(file, content);
-            
-            if (filePerformanceIssues.length > 0) {
-              analysis.hotspots.push(...filePerformanceIssues);
-              
-              // Update impact level
-              const highImpactIssues = filePerformanceIssues.filter(issue => issue.impact === 'high');
-              if (highImpactIssues.length > 0) {
-                analysis.performanceImpact = 'negative';
-                analysis.requiresPerformanceTest = true;
-              } else if (analysis.performanceImpact === 'neutral') {
-                analysis.performanceImpact = 'minor-negative';
-              }
-            }
-          } catch (error) {
-            // File reading failed, skip
+      // Analyze the added lines of each file for performance patterns
+      for (const file of commitData.patch || []) {
+        const filePerformanceIssues = this.analyzePatchForPerformance(file);
+        
+        if (filePerformanceIssues.length > 0) {
+          analysis.hotspots.push(...filePerformanceIssues);
+          
+          // Update impact level
+          const highImpactIssues = filePerformanceIssues.filter(issue => issue.impact === 'high');
+          if (highImpactIssues.length > 0) {
+            analysis.performanceImpact = 'negative';
+            analysis.requiresPerformanceTest = true;
+          } else if (analysis.performanceImpact === 'neutral') {
+            analysis.performanceImpact = 'minor-negative';
           }
         }
       }
@@ -579,49 +568,34 @@ class AdvancedAnalysisSystem {
     return Array.from(modules);
   }
 
-  analyzeFileForBreakingChanges(file, content) {
-    const breakingChanges = [];
-    
+  analyzePatchForBreakingChanges(file) {
     // Check each breaking change pattern category
-    for (const [category, config] of Object.entries(this.breakingChangePatterns)) {
-      for (const pattern of config.patterns) {
-        const matches = content.match(pattern);
-        if (matches) {
-          breakingChanges.push({
-            type: category,
-            description: `${category} changes detected in ${file}`,
-            severity: config.severity,
-            matches: matches.length,
-            evidence: matches.slice(0, 3) // First 3 matches as evidence
-          });
-        }
-      }
-    }
-    
-    return breakingChanges;
+    return Object.entries(this.breakingChangePatterns).flatMap(([category, config]) => {
+      const matches = this.matchChangedLines(file, config.patterns, config.sides);
+      return matches.length > 0 ? [{
+        type: category,
+        description: `${category} changes detected in ${file.path}`,
+        severity: config.severity,
+        file: file.path,
+        matches: matches.length,
+        evidence: matches.slice(0, MAX_EVIDENCE_LINES)
+      }] : [];
+    });
   }
 
-  analyzeFileForSecurity(file, content) {
-    const securityIssues = [];
-    
+  analyzePatchForSecurity(file) {
     // Check each security pattern category
-    for (const [category, config] of Object.entries(this.securityPatterns)) {
-      for (const pattern of config.patterns) {
-        const matches = content.match(pattern);
-        if (matches) {
-          securityIssues.push({
-            type: category,
-            description: config.description,
-            severity: config.severity,
-            file: file,
-            matches: matches.length,
-            evidence: matches.slice(0, 2) // First 2 matches as evidence
-          });
-        }
-      }
-    }
-    
-    return securityIssues;
+    return Object.entries(this.securityPatterns).flatMap(([category, config]) => {
+      const matches = this.matchChangedLines(file, config.patterns, ['added']);
+      return matches.length > 0 ? [{
+        type: category,
+        description: config.description,
+        severity: config.severity,
+        file: file.path,
+        matches: matches.length,
+        evidence: matches.slice(0, MAX_EVIDENCE_LINES)
+      }] : [];
+    });
   }
 
   identifySecurityAreas(filesChanged) {
@@ -673,27 +647,68 @@ class AdvancedAnalysisSystem {
     return recommendations;
   }
 
-  analyzeFileForPerformance(file, content) {
-    const performanceIssues = [];
-    
+  analyzePatchForPerformance(file) {
     // Check each performance pattern category
-    for (const [category, config] of Object.entries(this.performancePatterns)) {
-      for (const pattern of config.patterns) {
-        const matches = content.match(pattern);
-        if (matches) {
-          performanceIssues.push({
-            type: category,
-            description: config.description,
-            impact: config.impact,
-            file: file,
-            matches: matches.length,
-            evidence: matches.slice(0, 2)
-          });
+    return Object.entries(this.performancePatterns).flatMap(([category, config]) => {
+      const matches = this.matchChangedLines(file, config.patterns, ['added']);
+      return matches.length > 0 ? [{
+        type: category,
+        description: config.description,
+        impact: config.impact,
+        file: file.path,
+        matches: matches.length,
+        evidence: matches.slice(0, MAX_EVIDENCE_LINES)
+      }] : [];
+    });
+  }
+
+  /**
+   * Changed lines of one file of a patch that match any of `patterns`, as
+   * { line, side, text, match } with the line number on that side
+   */
+  matchChangedLines(file, patterns, sides) {
+    if (file.binary) return [];
+
+    const matches = [];
+    for (const side of sides) {
+      for (const { line, text } of file[side]) {
+        // search() ignores the g flag, so lastIndex never carries over
+        const pattern = patterns.find(candidate => text.search(candidate) !== -1);
+        if (pattern) {
+          matches.push({ line, side, text: text.trim(), match: text.match(pattern)[0] });
         }
       }
     }
-    
-    return performanceIssues;
+    return matches;
+  }
+
+  /**
+   * Dependencies a commit adds, removes or changes the version of in one
+   * package.json, read from the manifest before and after it
+   */
+  diffDependencies(hash, file, repositoryPath) {
+    const readManifest = spec => {
+      try {
+        return JSON.parse(runGit(['show', spec], { cwd: repositoryPath }));
+      } catch {
+        // Added or deleted by the commit, or not valid JSON
+        return {};
+      }
+    };
+    const before = readManifest(`${hash}^1:${file.oldPath || file.path}`);
+    const after = readManifest(`${hash}:${file.path}`);
+
+    const changes = [];
+    for (const section of DEPENDENCY_SECTIONS) {
+      const from = before[section] || {};
+      const to = after[section] || {};
+      for (const name of new Set([...Object.keys(from), ...Object.keys(to)])) {
+        if (from[name] !== to[name]) {
+          changes.push({ file: file.path, section, name, from: from[name] || null, to: to[name] || null });
+        }
+      }
+    }
+    return changes;
   }
 
   analyzePerformanceMetrics(filesChanged, analysis) {
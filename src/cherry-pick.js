@@ -0,0 +1,183 @@
+// Applying upstream commits to an integration branch
+//
+// Commits are cherry-picked with -x in a worktree of their own under the git
+// directory, so the user's checkout is never touched. The integration branch
+// is created from the fork branch on first use and reused afterwards. A
+// conflict stops the run and leaves the cherry-pick in progress in the
+// worktree for someone to resolve.
+
+import { join } from 'path';
+import { existsSync } from 'fs';
+import { randomUUID } from 'crypto';
+import { runGit, gitSucceeds, assertRef } from './git-runner.js';
+
+export const DEFAULT_INTEGRATION_BRANCH = 'fork-parity/integration';
+
+class CherryPickSystem {
+  constructor(database, integrationHelpers) {
+    this.db = database;
+    this.integrationHelpers = integrationHelpers;
+  }
+
+  /**
+   * Cherry-pick tracked upstream commits onto `branch` in dependency order
+   * and record each successful pick as an integration. Returns the applied
+   * and skipped commits, and `stoppedAt` with the conflicted files when a
+   * pick conflicts.
+   */
+  applyCommits(repo, hashes, repositoryPath, options = {}) {
+    const { branch = DEFAULT_INTEGRATION_BRANCH, reviewer = process.env.USER || 'unknown' } = options;
+    assertRef(branch, 'integration branch');
+    const git = (args, cwd = repositoryPath) => runGit(args, { cwd }).trim();
+
+    const commits = this.resolveCommits(repo, hashes, repositoryPath);
+    const worktree = this.prepareWorktree(repo, branch, repositoryPath, options.worktreePath);
+    const ordered = this.dependencyOrder(commits, repo, repositoryPath);
+    // Commits applied by one run form a batch, which `fork-parity bisect` walks
+    const result = { batchId: randomUUID(), branch, worktree, applied: [], skipped: [], stoppedAt: null, remaining: [] };
+
+    for (const [index, commit] of ordered.entries()) {
+      if (this.db.getCurrentStatus(commit.commitId)?.status === 'integrated') {
+        result.skipped.push({ hash: commit.hash, reason: 'already integrated' });
+        continue;
+      }
+
+      try {
+        git(['cherry-pick', '-x', ...this.mainlineArgs(commit.hash, repositoryPath), commit.hash], worktree);
+      } catch (error) {
+        if (error.code !== 'FAILED') throw error;
+
+        const conflicts = this.integrationHelpers.getConflictedFiles(worktree);
+        if (conflicts.length > 0) {
+          result.stoppedAt = { hash: commit.hash, conflicts };
+          result.remaining = ordered.slice(index + 1).map(remaining => remaining.hash);
+          break;
+        }
+        if (this.cherryPickInProgress(worktree)) {
+          // Nothing left to apply: the change is already on the branch
+          git(['cherry-pick', '--skip'], worktree);
+          result.skipped.push({ hash: commit.hash, reason: 'empty after cherry-pick' });
+          continue;
+        }
+        throw error;
+      }
+
+      const forkCommit = git(['rev-parse', 'HEAD'], worktree);
+      this.db.recordIntegration(commit.commitId, {
+        integrationType: 'cherry-pick',
+        targetBranch: branch,
+        integrationCommitHash: forkCommit,
+        reviewer,
+        batchId: result.batchId
+      });
+      result.applied.push({ hash: commit.hash, forkCommit });
+    }
+
+    return result;
+  }
+
+  // Full hashes and row ids of tracked upstream commits
+  resolveCommits(repo, hashes, repositoryPath) {
+    return hashes.map(hash => {
+      const full = runGit(['rev-parse', '--verify', `${assertRef(hash, 'commit')}^{commit}`], {
+        cwd: repositoryPath
+      }).trim();
+      const commitId = this.db.getCommitId(repo.id, full);
+      if (!commitId) {
+        throw new Error(`Commit ${hash} is not a tracked upstream commit`);
+      }
+      return { hash: full, commitId };
+    });
+  }
+
+  // Merge commits are picked against their first parent
+  mainlineArgs(hash, repositoryPath) {
+    const parents = runGit(['rev-list', '--parents', '-n', '1', hash], { cwd: repositoryPath }).trim().split(' ').length - 1;
+    return parents > 1 ? ['-m', '1'] : [];
+  }
+
+  /**
+   * The worktree that has `branch` checked out, adding one (and the branch,
+   * from the fork branch) if there is none. The main checkout is never used.
+   */
+  prepareWorktree(repo, branch, repositoryPath, worktreePath = null) {
+    const git = args => runGit(args, { cwd: repositoryPath }).trim();
+    const worktrees = parseWorktreeList(git(['worktree', 'list', '--porcelain']));
+    const existing = worktrees.find(worktree => worktree.branch === `refs/heads/${branch}`);
+
+    if (existing) {
+      if (existing === worktrees[0]) {
+        throw new Error(`${branch} is checked out in the main worktree; use another integration branch`);
+      }
+      if (this.cherryPickInProgress(existing.path)) {
+        throw new Error(`A cherry-pick is in progress in ${existing.path}; continue or abort it first`);
+      }
+      return existing.path;
+    }
+
+    const path = worktreePath || join(
+      git(['rev-parse', '--path-format=absolute', '--git-common-dir']),
+      'fork-parity', 'worktrees', branch.replace(/\//g, '-')
+    );
+    if (existsSync(path)) {
+      // Left behind by a worktree that was deleted without `git worktree remove`
+      git(['worktree', 'prune']);
+    }
+
+    const branchExists = gitSucceeds(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], { cwd: repositoryPath });
+    const forkBranch = assertRef(repo.fork_branch || 'main', 'fork branch');
+    git(branchExists
+      ? ['worktree', 'add', '--', path, branch]
+      : ['worktree', 'add', '-b', branch, '--', path, forkBranch]);
+    return path;
+  }
+
+  /**
+   * Upstream topological order, with prerequisites (reverts, fixups and
+   * fixes) moved ahead of the commits that need them
+   */
+  dependencyOrder(commits, repo, repositoryPath) {
+    const byHash = new Map(commits.map(commit => [commit.hash, commit]));
+    const forkBranch = assertRef(repo.fork_branch || 'main', 'fork branch');
+    const topological = runGit(
+      ['rev-list', '--topo-order', '--reverse', ...byHash.keys(), `^${forkBranch}`, '--'],
+      { cwd: repositoryPath }
+    ).split('\n').filter(hash => byHash.has(hash));
+    // Commits already on the fork branch come first, as git would skip them
+    const upstreamOrder = [...byHash.keys()].filter(hash => !topological.includes(hash)).concat(topological);
+
+    const prerequisites = this.db.getPrerequisites(repo.id);
+    const ordered = [];
+    const visited = new Set();
+    const visit = hash => {
+      if (visited.has(hash)) return;
+      visited.add(hash);
+      for (const prerequisite of prerequisites[hash] || []) {
+        if (byHash.has(prerequisite)) visit(prerequisite);
+      }
+      ordered.push(byHash.get(hash));
+    };
+    upstreamOrder.forEach(visit);
+
+    return ordered;
+  }
+
+  cherryPickInProgress(worktree) {
+    return gitSucceeds(['rev-parse', '--verify', '--quiet', 'CHERRY_PICK_HEAD'], { cwd: worktree });
+  }
+}
+
+// `git worktree list --porcelain`: blank-line separated blocks of
+// "worktree <path>", "HEAD <hash>" and "branch <ref>" (or "detached")
+function parseWorktreeList(output) {
+  return output.split(/\n\n+/).filter(block => block.trim()).map(block => {
+    const worktree = {};
+    for (const line of block.split('\n')) {
+      const [key, ...value] = line.split(' ');
+      worktree[key === 'worktree' ? 'path' : key] = value.join(' ');
+    }
+    return worktree;
+  });
+}
+
+export default CherryPickSystem;
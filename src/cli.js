@@ -1,51 +1,86 @@
 #!/usr/bin/env node
 
 import { program } from 'commander';
-import ForkParityDatabase from './database.js';
-import SmartTriageSystem from './triage.js';
+import ForkParityDatabase, { METRIC_TYPES, IMPORT_STRATEGIES } from './database.js';
+import { loadTriageConfig, TRIAGE_CONFIG_FILES, TRIAGE_CONFIG_SCHEMA, TriageConfigError } from './triage-config.js';
+import { commitFeatures, decisionLabel, trainModel, predictPriority, holdoutSplit, saveTriageModel } from './triage-model.js';
+import { PRIORITIES } from './triage.js';
 import AdvancedAnalysisSystem from './advanced-analysis.js';
+import { readPatch } from './patch.js';
 import IntegrationHelpersSystem from './integration-helpers.js';
+import CommitRelationsSystem from './commit-relations.js';
+import UpstreamSyncSystem from './upstream-sync.js';
+import CherryPickSystem, { DEFAULT_INTEGRATION_BRANCH } from './cherry-pick.js';
+import IntegrationVerificationSystem from './verification.js';
 import GitHubActionsIntegration from './github-actions.js';
 import NotificationSystem from './notifications.js';
-import { execSync } from 'child_process';
+import { runGit, assertRef, assertRemoteUrl, FETCH_TIMEOUT_MS } from './git-runner.js';
+import { readFileSync } from 'fs';
+import { join } from 'path';
 
 class ForkParityManager {
-  constructor() {
-    this.db = new ForkParityDatabase();
-    this.triage = new SmartTriageSystem();
+  constructor(dbOptions = {}) {
+    this.db = new ForkParityDatabase(null, dbOptions);
     this.advancedAnalysis = new AdvancedAnalysisSystem();
     this.integrationHelpers = new IntegrationHelpersSystem(this.db);
+    this.commitRelations = new CommitRelationsSystem(this.db);
+    this.upstreamSync = new UpstreamSyncSystem(this.db);
+    this.cherryPick = new CherryPickSystem(this.db, this.integrationHelpers);
+    this.verification = new IntegrationVerificationSystem(this.db, this.cherryPick, this.integrationHelpers);
     this.githubActions = new GitHubActionsIntegration();
     this.notifications = new NotificationSystem(this.db);
   }
 
-  async initRepository(upstreamUrl, upstreamBranch = 'main', forkBranch = 'main') {
+  async initRepository(upstreamUrl, upstreamBranch = 'main', forkBranch = 'main', backend = null) {
     const currentPath = process.cwd();
     
     // Check if we're in a git repository
     try {
-      execSync('git rev-parse --git-dir', { stdio: 'ignore' });
+      runGit(['rev-parse', '--git-dir']);
     } catch {
       console.error('❌ Not in a git repository');
       process.exit(1);
     }
 
+    try {
+      assertRemoteUrl(upstreamUrl, 'upstream URL');
+      assertRef(upstreamBranch, 'upstream branch');
+      assertRef(forkBranch, 'fork branch');
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+
     // Add repository to database
     const result = this.db.addRepository(currentPath, upstreamUrl, upstreamBranch, forkBranch);
+    if (this.db.writeGitignore()) {
+      console.log('✅ Wrote .fork-parity/.gitignore (keeps parity.db out of git)');
+    }
     
     // Set up upstream remote if it doesn't exist
     try {
-      execSync('git remote get-url upstream', { stdio: 'ignore' });
+      runGit(['remote', 'get-url', 'upstream']);
       console.log('✅ Upstream remote already exists');
     } catch {
       try {
-        execSync(`git remote add upstream ${upstreamUrl}`, { stdio: 'ignore' });
+        runGit(['remote', 'add', '--', 'upstream', upstreamUrl]);
         console.log('✅ Added upstream remote');
       } catch (addError) {
         console.error('❌ Failed to add upstream remote:', addError.message);
       }
     }
 
+    if (backend) {
+      if (!['ledger', 'notes'].includes(backend)) {
+        console.error(`❌ Unknown backend: ${backend}. Use ledger or notes`);
+        process.exit(1);
+      }
+      runGit(['config', 'fork-parity.backend', backend]);
+      console.log(backend === 'notes'
+        ? '✅ Decisions will be stored in refs/notes/fork-parity (share with: git push origin refs/notes/fork-parity)'
+        : '✅ Decisions will be stored in .fork-parity/decisions.jsonl');
+    }
+
     console.log(`✅ Initialized fork parity tracking for ${currentPath}`);
     console.log(`📡 Upstream: ${upstreamUrl} (${upstreamBranch})`);
     console.log(`🌿 Fork branch: ${forkBranch}`);
@@ -53,7 +88,7 @@ class ForkParityManager {
     return result;
   }
 
-  async syncUpstream() {
+  async syncUpstream(options = {}) {
     const currentPath = process.cwd();
     const repo = this.db.getRepository(currentPath);
     
@@ -66,40 +101,63 @@ class ForkParityManager {
     
     try {
       // Fetch upstream
-      execSync('git fetch upstream', { stdio: 'inherit' });
+      runGit(['fetch', 'upstream'], { stdio: 'inherit', timeout: FETCH_TIMEOUT_MS });
       
-      // Get new commits
+      // Stream new commits into the database and run triage
       const upstreamBranch = repo.upstream_branch || 'main';
-      const forkBranch = repo.fork_branch || 'main';
       
-      const logOutput = execSync(
-        `git log ${forkBranch}..upstream/${upstreamBranch} --pretty=format:"%H|%an|%ae|%ad|%s" --date=iso --name-only`,
-        { encoding: 'utf8' }
-      );
-
-      const commits = this.parseGitLog(logOutput);
-      console.log(`📊 Found ${commits.length} new commits`);
-
-      // Add commits to database and run triage
-      let addedCount = 0;
-      for (const commit of commits) {
-        try {
-          const commitResult = this.db.addCommit(repo.id, commit);
-          const commitId = commitResult.lastInsertRowid;
-          
-          // Run auto-triage
-          const triageResult = this.triage.analyzeCommit(commit);
-          this.db.addTriageResult(commitId, triageResult);
-          
-          addedCount++;
-        } catch {
-          // Commit might already exist, skip
-          console.log(`⚠️  Skipped duplicate commit: ${commit.hash.substring(0, 8)}`);
+      const synced = await this.upstreamSync.syncCommits(repo, `upstream/${upstreamBranch}`, currentPath, {
+        full: options.full,
+        onProgress: ({ processed, total }) => {
+          if (processed > 0 && processed < total) {
+            console.log(`   📥 ${processed}/${total} commits processed`);
+          }
         }
+      });
+      console.log(`📊 Found ${synced.found} new commits${synced.incremental ? ` since ${synced.previousTip.substring(0, 8)}` : ''}`);
+      if (synced.skipped > 0) {
+        console.log(`⚠️  Skipped ${synced.skipped} commits already tracked`);
       }
 
-      console.log(`✅ Added ${addedCount} new commits with auto-triage`);
+      console.log(`✅ Added ${synced.added} new commits with auto-triage`);
+      if (synced.mergeBase) {
+        console.log(`🔀 Fork has changed ${synced.divergedFiles} files since merge-base ${synced.mergeBase.substring(0, 8)}`);
+      }
+      if (synced.rescored > 0) {
+        console.log(`♻️  Re-scored ${synced.rescored} undecided commits against the fork's new state`);
+      }
+
+      // Apply teammates' decisions from the ledger or git notes before detection
+      if (this.db.notes) {
+        const pulled = this.db.notes.pull();
+        if (pulled.fetched) {
+          console.log(`📝 Pulled decision notes${pulled.combined > 0 ? ` (combined ${pulled.combined} edited on both sides)` : ''}`);
+        }
+      }
+      const ledger = this.db.replayDecisions(repo.id);
+      if (ledger.applied > 0) {
+        console.log(`📒 Replayed ${ledger.applied} decisions from ${this.db.notes ? `refs/notes/${this.db.notes.ref}` : this.db.ledgerPath}`);
+      }
+
+      // Mark commits the fork already picked up as integrated
+      const detected = await this.integrationHelpers.detectExistingIntegrations(repo, `upstream/${upstreamBranch}`, currentPath);
+      if (detected.length > 0) {
+        console.log(`🔗 Detected ${detected.length} already-integrated commits`);
+        detected.slice(0, 10).forEach(item => {
+          console.log(`   ✅ ${item.hash.substring(0, 8)} via ${item.forkCommit.substring(0, 8)} (${item.detectionMethod})`);
+        });
+      }
       
+      const relations = await this.commitRelations.detectRelations(repo, `upstream/${upstreamBranch}`, currentPath);
+      if (relations.added > 0) {
+        console.log(`🧬 Linked ${relations.added} related commits (reverts, fixups, fixes, follow-ups)`);
+      }
+      if (relations.netZeroPairs.length > 0) {
+        console.log(`↩️  ${relations.netZeroPairs.length} pending commits are reverted upstream (skip both with: fork-parity relations --skip-net-zero)`);
+      }
+
+      this.db.recordMetricsSnapshot(repo.id);
+
       // Show quick summary
       this.showQuickSummary(repo.id);
       
@@ -109,47 +167,6 @@ class ForkParityManager {
     }
   }
 
-  parseGitLog(logOutput) {
-    const commits = [];
-    const lines = logOutput.split('\n').filter(line => line.trim());
-    
-    let currentCommit = null;
-    let filesChanged = [];
-    
-    for (const line of lines) {
-      if (line.includes('|')) {
-        // This is a commit info line
-        if (currentCommit) {
-          currentCommit.filesChanged = [...filesChanged];
-          commits.push(currentCommit);
-          filesChanged = [];
-        }
-        
-        const [hash, author, authorEmail, commitDate, message] = line.split('|');
-        currentCommit = {
-          hash,
-          author,
-          authorEmail,
-          commitDate: new Date(commitDate).toISOString(),
-          message,
-          insertions: 0, // We'll need to get this separately if needed
-          deletions: 0
-        };
-      } else if (line.trim() && currentCommit) {
-        // This is a file name
-        filesChanged.push(line.trim());
-      }
-    }
-    
-    // Don't forget the last commit
-    if (currentCommit) {
-      currentCommit.filesChanged = [...filesChanged];
-      commits.push(currentCommit);
-    }
-    
-    return commits;
-  }
-
   showQuickSummary(repositoryId) {
     const dashboard = this.db.getParityDashboard(repositoryId);
     
@@ -169,6 +186,15 @@ class ForkParityManager {
     }
   }
 
+  showRecentIntegrations(integrations) {
+    if (!integrations || integrations.length === 0) return;
+
+    console.log('\n🔗 Recent Integrations:');
+    integrations.forEach(item => {
+      console.log(`   ✅ ${item.hash.substring(0, 8)} - ${item.message.substring(0, 50)} (${this.db.describeIntegration(item)})`);
+    });
+  }
+
   async showDashboard(options = {}) {
     const currentPath = process.cwd();
     const repo = this.db.getRepository(currentPath);
@@ -213,10 +239,114 @@ class ForkParityManager {
     } else {
       console.log('✅ No high-priority pending items!');
     }
+
+    this.showRecentIntegrations(dashboard.recentIntegrations);
     
     console.log(`\n📅 Generated: ${new Date(dashboard.generatedAt).toLocaleString()}`);
   }
 
+  async showMetrics(options = {}) {
+    const currentPath = process.cwd();
+    const repo = this.db.getRepository(currentPath);
+    
+    if (!repo) {
+      console.error('❌ Repository not initialized');
+      process.exit(1);
+    }
+
+    if (!options.type) {
+      const latest = this.db.getLatestMetrics(repo.id);
+      if (latest.length === 0) {
+        console.log('No metrics recorded yet. Run: fork-parity sync');
+        return;
+      }
+
+      console.log(`📈 Latest metrics (${new Date(latest[0].period_end).toLocaleString()}):`);
+      latest.forEach(metric => {
+        console.log(`   ${metric.metric_type.padEnd(18)} ${metric.metric_value}`);
+      });
+      return;
+    }
+
+    if (!METRIC_TYPES.includes(options.type)) {
+      console.error(`❌ Unknown metric type: ${options.type}. Available: ${METRIC_TYPES.join(', ')}`);
+      process.exit(1);
+    }
+
+    let series;
+    try {
+      series = this.db.getMetricSeries(repo.id, { type: options.type, since: options.since });
+    } catch (error) {
+      console.error('❌', error.message);
+      process.exit(1);
+    }
+
+    if (series.length === 0) {
+      console.log(`No ${options.type} metrics recorded${options.since ? ` since ${options.since}` : ''}`);
+      return;
+    }
+
+    const max = Math.max(...series.map(point => point.metric_value), 1);
+    console.log(`📈 ${options.type}${options.since ? ` (since ${options.since})` : ''}:`);
+    series.forEach(point => {
+      const bar = '█'.repeat(Math.round(point.metric_value / max * 30));
+      console.log(`   ${new Date(point.period_end).toLocaleString().padEnd(24)} ${String(point.metric_value).padStart(8)} ${bar}`);
+    });
+  }
+
+  async showRelations(commitHash, options = {}) {
+    const currentPath = process.cwd();
+    const repo = this.db.getRepository(currentPath);
+    
+    if (!repo) {
+      console.error('❌ Repository not initialized');
+      process.exit(1);
+    }
+
+    if (commitHash) {
+      const commitId = this.db.getCommitId(repo.id, commitHash);
+      if (!commitId) {
+        console.error(`❌ Commit ${commitHash} not found`);
+        process.exit(1);
+      }
+
+      const relations = this.db.getCommitRelations(commitId);
+      if (relations.length === 0) {
+        console.log('No related commits');
+        return;
+      }
+
+      console.log(`🧬 Relations for ${commitHash.substring(0, 8)}:`);
+      relations.forEach(relation => {
+        const label = relation.direction === 'depends_on' ? `${relation.relation_type} →` : `← ${relation.relation_type} by`;
+        console.log(`   ${label} ${relation.hash.substring(0, 8)} [${relation.status}] ${relation.message.substring(0, 50)}`);
+        if (relation.evidence) {
+          console.log(`      ${relation.evidence}`);
+        }
+      });
+      return;
+    }
+
+    const pairs = options.skipNetZero
+      ? this.db.skipNetZeroPairs(repo.id)
+      : this.db.getNetZeroPairs(repo.id);
+
+    if (pairs.length === 0) {
+      console.log('✅ No pending commits are reverted upstream');
+      return;
+    }
+
+    console.log(options.skipNetZero ? `⏭️  Skipped ${pairs.length} net zero pairs:` : `↩️  ${pairs.length} net zero pairs (pending commit and its pending revert):`);
+    pairs.forEach(pair => {
+      console.log(`   ${pair.original_hash.substring(0, 8)} ${pair.original_message.substring(0, 40)}`);
+      console.log(`   ↩️  ${pair.revert_hash.substring(0, 8)} ${pair.revert_message.substring(0, 40)}`);
+    });
+
+    if (!options.skipNetZero) {
+      console.log('\nSkip both commits of every pair with: fork-parity relations --skip-net-zero');
+    }
+  }
+
   async updateStatus(commitHash, status, reasoning = '') {
     const currentPath = process.cwd();
     const repo = this.db.getRepository(currentPath);
@@ -254,6 +384,95 @@ class ForkParityManager {
     }
   }
 
+  async showHistory(commitHash) {
+    const currentPath = process.cwd();
+    const repo = this.db.getRepository(currentPath);
+    
+    if (!repo) {
+      console.error('❌ Repository not initialized');
+      process.exit(1);
+    }
+
+    const commitId = this.db.getCommitId(repo.id, commitHash);
+    if (!commitId) {
+      console.error(`❌ Commit ${commitHash} not found`);
+      process.exit(1);
+    }
+
+    const commit = this.db.getCommit(repo.id, commitHash);
+    const history = this.db.getCommitHistory(commitId);
+
+    console.log(`📜 Decision history for ${commitHash.substring(0, 8)} - ${commit.message.substring(0, 60)}`);
+    console.log(`   Current status: ${commit.status || 'pending'}\n`);
+
+    if (history.length === 0) {
+      console.log('No status changes recorded');
+      return;
+    }
+
+    history.forEach(event => {
+      const date = new Date(event.review_date || event.created_at).toLocaleString();
+      const transition = `${event.from_status || '(none)'} → ${event.to_status}`;
+      console.log(`${date} | ${(event.reviewer || 'unknown').padEnd(12)} | ${transition}`);
+      if (event.decision_reasoning) {
+        console.log(`   Reason: ${event.decision_reasoning}`);
+      }
+      if (event.adaptation_notes) {
+        console.log(`   Notes: ${event.adaptation_notes}`);
+      }
+    });
+
+    const integrations = this.db.getIntegrations(commitId);
+    if (integrations.length > 0) {
+      console.log('\n🔗 Integrations:');
+      integrations.forEach(integration => {
+        console.log(`   ${new Date(integration.integration_date).toLocaleString()} - ${this.db.describeIntegration(integration)}`);
+      });
+    }
+  }
+
+  async recordIntegration(upstreamHash, options) {
+    const currentPath = process.cwd();
+    const repo = this.db.getRepository(currentPath);
+    
+    if (!repo) {
+      console.error('❌ Repository not initialized');
+      process.exit(1);
+    }
+
+    const commitId = this.db.getCommitId(repo.id, upstreamHash);
+    if (!commitId) {
+      console.error(`❌ Commit ${upstreamHash} not found`);
+      process.exit(1);
+    }
+
+    let forkCommit;
+    try {
+      forkCommit = runGit(['rev-parse', '--verify', `${assertRef(options.as, 'fork commit')}^{commit}`]).trim();
+    } catch {
+      console.error(`❌ Fork commit ${options.as} not found`);
+      process.exit(1);
+    }
+
+    const integration = {
+      integrationType: options.type,
+      targetBranch: options.branch || repo.fork_branch,
+      integrationCommitHash: forkCommit,
+      conflictsResolved: options.conflicts ? options.conflicts.split(',').map(file => file.trim()) : [],
+      adaptationChanges: options.notes,
+      reviewer: process.env.USER || 'unknown'
+    };
+
+    this.db.recordIntegration(commitId, integration);
+
+    console.log(`✅ ${upstreamHash.substring(0, 8)} marked integrated`);
+    console.log(`   ${this.db.describeIntegration({
+      integration_type: integration.integrationType,
+      integration_commit_hash: integration.integrationCommitHash,
+      target_branch: integration.targetBranch
+    })}`);
+  }
+
   async listCommits(status = null, limit = 20) {
     const currentPath = process.cwd();
     const repo = this.db.getRepository(currentPath);
@@ -299,6 +518,41 @@ class ForkParityManager {
     });
   }
 
+  async searchCommits(query, options = {}) {
+    const currentPath = process.cwd();
+    const repo = this.db.getRepository(currentPath);
+    
+    if (!repo) {
+      console.error('❌ Repository not initialized');
+      process.exit(1);
+    }
+
+    let results;
+    try {
+      results = this.db.searchCommits(repo.id, query, {
+        status: options.status,
+        priority: options.priority,
+        since: options.since,
+        limit: parseInt(options.limit)
+      });
+    } catch (error) {
+      console.error('❌ Search failed:', error.message);
+      process.exit(1);
+    }
+
+    if (results.length === 0) {
+      console.log(`No commits match "${query}"`);
+      return;
+    }
+
+    console.log(`🔍 ${results.length} commits matching "${query}":`);
+    results.forEach(result => {
+      const priority = (result.priority || 'unknown').padEnd(8);
+      console.log(`\n${result.hash.substring(0, 8)} | ${result.status.padEnd(10)} | ${priority} | ${result.message.substring(0, 60)}`);
+      console.log(`   ${result.snippet.replace(/\s+/g, ' ')}`);
+    });
+  }
+
   async exportData(format = 'json') {
     const currentPath = process.cwd();
     const repo = this.db.getRepository(currentPath);
@@ -309,31 +563,14 @@ class ForkParityManager {
     }
 
     // Export all data for the repository
-    const stmt = this.db.db.prepare(`
-      SELECT 
-        c.*,
-        tr.priority, tr.category, tr.impact_areas, tr.conflict_risk, 
-        tr.effort_estimate, tr.reasoning, tr.confidence,
-        cs.status, cs.decision_reasoning, cs.reviewer, cs.review_date
-      FROM commits c
-      LEFT JOIN triage_results tr ON c.id = tr.commit_id
-      LEFT JOIN commit_status cs ON c.id = cs.commit_id
-      WHERE c.repository_id = ?
-      ORDER BY c.commit_date DESC
-    `);
-    
-    const data = stmt.all(repo.id);
+    const data = this.db.exportRepositoryData(repo.id);
     
     if (format === 'json') {
-      console.log(JSON.stringify({
-        repository: repo,
-        commits: data,
-        exportedAt: new Date().toISOString()
-      }, null, 2));
+      console.log(JSON.stringify(data, null, 2));
     } else if (format === 'csv') {
       // Simple CSV export
       console.log('hash,author,date,message,priority,category,status,reasoning');
-      data.forEach(commit => {
+      data.commits.forEach(commit => {
         const row = [
           commit.hash,
           commit.author,
@@ -349,12 +586,172 @@ class ForkParityManager {
     }
   }
 
+  async importData(file, options = {}) {
+    const currentPath = process.cwd();
+    const strategy = options.strategy || 'skip';
+
+    if (!IMPORT_STRATEGIES.includes(strategy)) {
+      console.error(`❌ Unknown merge strategy: ${strategy}. Use one of: ${IMPORT_STRATEGIES.join(', ')}`);
+      process.exit(1);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error('❌ Failed to read export:', error.message);
+      process.exit(1);
+    }
+
+    if (!Array.isArray(data.commits)) {
+      console.error('❌ Not a fork-parity JSON export (no commits array)');
+      process.exit(1);
+    }
+
+    let repo = this.db.getRepository(currentPath);
+    if (!repo) {
+      const source = data.repository || {};
+      if (!source.upstream_url) {
+        console.error('❌ Repository not initialized and the export has no upstream URL. Run: fork-parity init <upstream-url>');
+        process.exit(1);
+      }
+
+      if (options.dryRun) {
+        console.log(`🔍 Dry run: would initialize tracking for ${source.upstream_url} and add all ${data.commits.length} commits`);
+        return;
+      }
+
+      this.db.addRepository(currentPath, source.upstream_url, source.upstream_branch || 'main', source.fork_branch || 'main');
+      repo = this.db.getRepository(currentPath);
+      console.log(`✅ Initialized tracking for ${source.upstream_url}`);
+    }
+
+    let summary;
+    try {
+      summary = this.db.importRepositoryData(repo.id, data, { strategy, dryRun: options.dryRun });
+    } catch (error) {
+      console.error('❌ Import failed:', error.message);
+      process.exit(1);
+    }
+
+    console.log(`${summary.dryRun ? '🔍 Dry run' : '📥 Import'} (${summary.strategy}) of ${summary.total} commits:`);
+    console.log(`   ➕ Added: ${summary.added}`);
+    console.log(`   ♻️  Overwritten: ${summary.overwritten}`);
+    console.log(`   ⏭️  Skipped: ${summary.skipped}`);
+    console.log(`   📜 Status events: ${summary.statusEvents}`);
+    console.log(`   🔗 Integrations: ${summary.integrations}`);
+    console.log(`   📝 Priority overrides: ${summary.priorityOverrides}`);
+
+    if (summary.conflicts.length > 0) {
+      console.log(`\n⚠️  ${summary.conflicts.length} commits have a different status in the export:`);
+      summary.conflicts.slice(0, 20).forEach(conflict => {
+        console.log(`   ${conflict.hash.substring(0, 8)}: ours ${conflict.ours}, theirs ${conflict.theirs} → kept ${conflict.resolution}`);
+      });
+    }
+
+    if (summary.dryRun) {
+      console.log('\nNo changes written. Re-run without --dry-run to apply.');
+    }
+  }
+
+  async mergeDatabase(otherPath, options = {}) {
+    const currentPath = process.cwd();
+    const repo = this.db.getRepository(currentPath);
+    
+    if (!repo) {
+      console.error('❌ Repository not initialized');
+      process.exit(1);
+    }
+
+    let other;
+    try {
+      other = ForkParityDatabase.openSnapshot(otherPath);
+    } catch (error) {
+      console.error('❌ Failed to open database:', error.message);
+      process.exit(1);
+    }
+
+    // Teammates track the same upstream from different checkout paths
+    const otherRepo = other.db.prepare('SELECT * FROM repositories WHERE upstream_url = ?').get(repo.upstream_url);
+    if (!otherRepo) {
+      const upstreams = other.db.prepare('SELECT upstream_url FROM repositories').all().map(row => row.upstream_url);
+      other.close();
+      console.error(`❌ ${otherPath} does not track ${repo.upstream_url} (found: ${upstreams.join(', ') || 'none'})`);
+      process.exit(1);
+    }
+
+    let summary;
+    try {
+      summary = this.db.mergeRepositoryData(repo.id, other.exportRepositoryData(otherRepo.id), { dryRun: options.dryRun });
+    } finally {
+      other.close();
+    }
+
+    console.log(`${summary.dryRun ? '🔍 Dry run merge' : '🔀 Merged'} ${summary.total} commits from ${otherPath}:`);
+    console.log(`   ➕ Added: ${summary.added}`);
+    console.log(`   🔄 Updated: ${summary.updated}`);
+    console.log(`   ✔️  Unchanged: ${summary.unchanged}`);
+    console.log(`   📜 Status events: ${summary.statusEvents}`);
+    console.log(`   🔗 Integrations: ${summary.integrations}`);
+    console.log(`   📝 Priority overrides: ${summary.priorityOverrides}`);
+
+    if (summary.conflicts.length > 0) {
+      console.log(`\n⚠️  ${summary.conflicts.length} conflicting decisions need manual resolution:`);
+      summary.conflicts.forEach(conflict => {
+        console.log(`\n${conflict.hash.substring(0, 8)} - ${conflict.message.substring(0, 60)}`);
+        for (const [side, decision] of [['ours', conflict.ours], ['theirs', conflict.theirs]]) {
+          console.log(`   ${side.padEnd(6)} ${decision.status} by ${decision.reviewer || 'unknown'} at ${decision.at}`);
+          if (decision.reasoning) {
+            console.log(`          ${decision.reasoning}`);
+          }
+        }
+      });
+      console.log('\nResolve each with: fork-parity status <commit-hash> <status> --reason "..."');
+    }
+
+    if (summary.dryRun) {
+      console.log('\nNo changes written. Re-run without --dry-run to apply.');
+    }
+  }
+
   async cleanup() {
     console.log('🧹 Running database maintenance...');
     this.db.vacuum();
     console.log('✅ Database optimized');
   }
 
+  async migrate(options = {}) {
+    const dryRun = Boolean(options.dryRun);
+
+    let result;
+    try {
+      result = this.db.migrate({ dryRun, backup: options.backup !== false });
+    } catch (error) {
+      console.error(`❌ Migration failed: ${error.message}`);
+      process.exit(1);
+    }
+
+    if (result.pending.length === 0) {
+      console.log(`✅ Database schema is up to date (version ${result.fromVersion})`);
+      return;
+    }
+
+    console.log(`🗄️  Schema version ${result.fromVersion} → ${result.toVersion}`);
+    for (const migration of result.pending) {
+      console.log(`   ${dryRun ? '•' : '✅'} v${migration.version}: ${migration.description}`);
+    }
+
+    if (result.backupPath) {
+      console.log(`💾 ${dryRun ? 'Would back up' : 'Backed up'} database to ${result.backupPath}`);
+    }
+
+    if (dryRun) {
+      console.log('\n🔍 Dry run: no changes were made');
+    } else {
+      console.log(`\n✅ Applied ${result.pending.length} migration(s)`);
+    }
+  }
+
   async runAdvancedAnalysis(commitHash, analysisTypes) {
     const currentPath = process.cwd();
     const repo = this.db.getRepository(currentPath);
@@ -378,7 +775,8 @@ class ForkParityManager {
       author: commit.author,
       filesChanged: JSON.parse(commit.files_changed || '[]'),
       insertions: commit.insertions,
-      deletions: commit.deletions
+      deletions: commit.deletions,
+      patch: await readPatch(commit.hash, currentPath)
     };
 
     const results = {};
@@ -390,17 +788,17 @@ class ForkParityManager {
 
     if (analysisTypes.includes('breaking-changes')) {
       console.log('   💥 Identifying breaking changes...');
-      results.breakingChanges = this.advancedAnalysis.identifyBreakingChanges(commitData, currentPath);
+      results.breakingChanges = this.advancedAnalysis.identifyBreakingChanges(commitData);
     }
 
     if (analysisTypes.includes('security')) {
       console.log('   🛡️ Assessing security impact...');
-      results.securityAnalysis = this.advancedAnalysis.assessSecurityImpact(commitData, currentPath);
+      results.securityAnalysis = this.advancedAnalysis.assessSecurityImpact(commitData);
     }
 
     if (analysisTypes.includes('performance')) {
       console.log('   ⚡ Predicting performance impact...');
-      results.performanceAnalysis = this.advancedAnalysis.predictPerformanceImpact(commitData, currentPath);
+      results.performanceAnalysis = this.advancedAnalysis.predictPerformanceImpact(commitData);
     }
 
     console.log('\n📋 Analysis Results:');
@@ -409,11 +807,19 @@ class ForkParityManager {
     if (results.dependencyAnalysis) {
       const dep = results.dependencyAnalysis;
       console.log('\n🔗 Dependency Analysis:');
-      console.log(`   Affected files: ${dep.affectedFiles.length}`);
-      console.log(`   Impact radius: ${dep.impactRadius}`);
-      console.log(`   Complexity: ${dep.complexity}`);
-      if (dep.criticalPaths.length > 0) {
-        console.log(`   Critical paths: ${dep.criticalPaths.length}`);
+      console.log(`   Risk level: ${dep.riskLevel}`);
+      if (dep.impactedModules.length > 0) {
+        console.log(`   Impacted modules: ${dep.impactedModules.join(', ')}`);
+      }
+      for (const change of dep.dependencyChanges || []) {
+        console.log(`   ${change.section}: ${change.name} ${change.from || '(new)'} → ${change.to || '(removed)'}`);
+      }
+      for (const change of dep.importChanges) {
+        const parts = [
+          change.added.length > 0 && `+${change.added.join(', +')}`,
+          change.removed.length > 0 && `-${change.removed.join(', -')}`
+        ].filter(Boolean);
+        console.log(`   Imports in ${change.file}: ${parts.join(', ')}`);
       }
     }
 
@@ -423,29 +829,23 @@ class ForkParityManager {
       console.log(`   Has breaking changes: ${breaking.hasBreakingChanges ? '⚠️ YES' : '✅ NO'}`);
       if (breaking.hasBreakingChanges) {
         console.log(`   Severity: ${breaking.severity}`);
-        console.log(`   Changes detected: ${breaking.changes.length}`);
-        console.log(`   Recommendation: ${breaking.recommendation}`);
+        console.log(`   Migration required: ${breaking.migrationRequired ? 'Yes' : 'No'}`);
+        printFindings(breaking.breakingChanges);
       }
     }
 
     if (results.securityAnalysis) {
       const security = results.securityAnalysis;
       console.log('\n🛡️ Security Analysis:');
-      console.log(`   Has security impact: ${security.hasSecurityImpact ? '⚠️ YES' : '✅ NO'}`);
-      if (security.hasSecurityImpact) {
-        console.log(`   Overall risk: ${security.overallRisk}`);
-        console.log(`   Issues found: ${security.issues.length}`);
-      }
+      console.log(`   Risk: ${security.securityRisk}${security.requiresSecurityReview ? ' (review required)' : ''}`);
+      printFindings(security.vulnerabilities);
     }
 
     if (results.performanceAnalysis) {
       const perf = results.performanceAnalysis;
       console.log('\n⚡ Performance Analysis:');
-      console.log(`   Has performance impact: ${perf.hasPerformanceImpact ? '⚠️ YES' : '✅ NO'}`);
-      if (perf.hasPerformanceImpact) {
-        console.log(`   Overall impact: ${perf.overallImpact}`);
-        console.log(`   Issues found: ${perf.issues.length}`);
-      }
+      console.log(`   Impact: ${perf.performanceImpact}${perf.requiresPerformanceTest ? ' (performance test recommended)' : ''}`);
+      printFindings(perf.hotspots);
     }
   }
 
@@ -472,22 +872,32 @@ class ForkParityManager {
       filesChanged: JSON.parse(commit.files_changed || '[]')
     };
 
-    const conflictAnalysis = await this.integrationHelpers.analyzeConflicts(commitData, currentPath);
+    const conflictAnalysis = await this.integrationHelpers.analyzeConflicts(commitData, currentPath, repo.fork_branch);
     const resolutionSuggestions = this.integrationHelpers.generateConflictResolutions(conflictAnalysis);
 
     console.log('\n⚔️ Conflict Analysis Results:');
     console.log('============================');
     
+    if (conflictAnalysis.error) {
+      console.log(`⚠️  Conflict prediction failed: ${conflictAnalysis.error}`);
+    }
     console.log(`Has conflicts: ${conflictAnalysis.hasConflicts ? '⚠️ YES' : '✅ NO'}`);
     
     if (conflictAnalysis.hasConflicts) {
       console.log(`Conflicts found: ${conflictAnalysis.conflicts.length}`);
       console.log(`Estimated resolution time: ${conflictAnalysis.estimatedResolutionTime}`);
       
-      console.log('\n🛠️ Resolution Suggestions:');
-      for (const suggestion of conflictAnalysis.resolutionSuggestions) {
-        console.log(`   • ${suggestion.file}: ${suggestion.suggestion}`);
-        console.log(`     Priority: ${suggestion.priority}, Time: ${suggestion.estimatedTime}`);
+      console.log('\n📁 Conflicting files:');
+      for (const conflict of conflictAnalysis.conflicts) {
+        const hunks = conflict.hunks.length > 0 ? `, ${conflict.hunks.length} hunk${conflict.hunks.length > 1 ? 's' : ''}` : '';
+        console.log(`   • ${conflict.file} (${conflict.conflictKind}${hunks}, ${conflict.resolutionComplexity})`);
+      }
+
+      if (conflictAnalysis.resolutionSuggestions.length > 0) {
+        console.log('\n🛠️ Resolution Suggestions:');
+        for (const suggestion of conflictAnalysis.resolutionSuggestions) {
+          console.log(`   • ${suggestion.description} (${suggestion.type}, confidence ${Math.round(suggestion.confidence * 100)}%)`);
+        }
       }
 
       if (resolutionSuggestions.resolutions.length > 0) {
@@ -503,6 +913,92 @@ class ForkParityManager {
     }
   }
 
+  async applyCommits(commitHashes, options) {
+    const currentPath = process.cwd();
+    const repo = this.db.getRepository(currentPath);
+    
+    if (!repo) {
+      console.error('❌ Repository not initialized');
+      process.exit(1);
+    }
+
+    let result;
+    try {
+      result = this.cherryPick.applyCommits(repo, commitHashes, currentPath, {
+        branch: options.branch,
+        worktreePath: options.worktree
+      });
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+
+    console.log(`🍒 Integration branch ${result.branch} (${result.worktree}), batch ${result.batchId}`);
+    for (const applied of result.applied) {
+      console.log(`   ✅ ${applied.hash.substring(0, 8)} → ${applied.forkCommit.substring(0, 8)}`);
+    }
+    for (const skipped of result.skipped) {
+      console.log(`   ⏭️  ${skipped.hash.substring(0, 8)}: ${skipped.reason}`);
+    }
+
+    if (result.stoppedAt) {
+      console.log(`\n⚠️  ${result.stoppedAt.hash.substring(0, 8)} conflicts in:`);
+      for (const conflict of result.stoppedAt.conflicts) {
+        console.log(`   ${conflict.status} ${conflict.file}`);
+      }
+      console.log(`\n💡 Resolve them in ${result.worktree}, run \`git cherry-pick --continue\`, then`);
+      console.log(`   fork-parity integrate ${result.stoppedAt.hash} --as <fork-hash> -b ${result.branch}`);
+      if (result.remaining.length > 0) {
+        console.log(`   and apply the rest: fork-parity apply ${result.remaining.map(hash => hash.substring(0, 8)).join(' ')}`);
+      }
+      process.exitCode = 1;
+    } else {
+      console.log(`\n✅ Applied ${result.applied.length} commits`);
+    }
+  }
+
+  async bisectIntegrations(options) {
+    const currentPath = process.cwd();
+    const repo = this.db.getRepository(currentPath);
+    
+    if (!repo) {
+      console.error('❌ Repository not initialized');
+      process.exit(1);
+    }
+
+    let result;
+    try {
+      result = await this.verification.bisectBatch(repo, currentPath, {
+        command: options.test,
+        batchId: options.batch,
+        timeoutSeconds: options.timeout,
+        onStep: ({ label, status, run }) => {
+          console.log(`   ${run}. ${label}: ${status}`);
+        }
+      });
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+
+    if (result.status === 'passing') {
+      console.log(`\n✅ ${result.message}; nothing to bisect`);
+      return;
+    }
+    if (result.status === 'failing-before-batch') {
+      console.log(`\n⚠️  ${result.message}; the failure is not from batch ${result.batchId}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`\n🎯 First failing integration (${result.runs.length} test runs over ${result.integrations} integrations):`);
+    console.log(`   ${result.culprit.hash.substring(0, 8)} ${result.culprit.message}`);
+    console.log(`   integrated as ${result.culprit.forkCommit.substring(0, 8)}, now marked conflict`);
+    if (result.logExcerpt) {
+      console.log('\n' + result.logExcerpt.split('\n').map(line => `   ${line}`).join('\n'));
+    }
+  }
+
   async createMigrationPlan(commitHashes) {
     const currentPath = process.cwd();
     const repo = this.db.getRepository(currentPath);
@@ -526,16 +1022,18 @@ class ForkParityManager {
       const commitData = {
         hash: commit.hash,
         message: commit.message,
-        filesChanged: JSON.parse(commit.files_changed || '[]')
+        filesChanged: JSON.parse(commit.files_changed || '[]'),
+        patch: await readPatch(commit.hash, currentPath)
       };
 
       // Run comprehensive analysis
       const analysisResults = {
         dependencyAnalysis: this.advancedAnalysis.analyzeDependencyChain(commitData, currentPath),
-        breakingChanges: this.advancedAnalysis.identifyBreakingChanges(commitData, currentPath),
-        securityAnalysis: this.advancedAnalysis.assessSecurityImpact(commitData, currentPath),
-        performanceAnalysis: this.advancedAnalysis.predictPerformanceImpact(commitData, currentPath),
-        conflicts: await this.integrationHelpers.analyzeConflicts(commitData, currentPath)
+        breakingChanges: this.advancedAnalysis.identifyBreakingChanges(commitData),
+        securityAnalysis: this.advancedAnalysis.assessSecurityImpact(commitData),
+        performanceAnalysis: this.advancedAnalysis.predictPerformanceImpact(commitData),
+        conflicts: await this.integrationHelpers.analyzeConflicts(commitData, currentPath, repo.fork_branch),
+        verification: this.db.getVerificationResults(this.db.getCommitId(repo.id, commit.hash), 1)[0] || null
       };
 
       const migrationPlan = this.integrationHelpers.createMigrationPlan(commitData, analysisResults, currentPath);
@@ -561,6 +1059,37 @@ class ForkParityManager {
           console.log(`      • ${prereq}`);
         }
       }
+
+      console.log(`\n   🧪 ${migrationPlan.testingStrategy[0]}`);
+    }
+  }
+
+  async verifyIntegration(commitHashes, options) {
+    const currentPath = process.cwd();
+    const repo = this.db.getRepository(currentPath);
+    
+    if (!repo) {
+      console.error('❌ Repository not initialized');
+      process.exit(1);
+    }
+
+    console.log(`🧪 Verifying ${commitHashes.length} commit(s) against ${repo.fork_branch}...`);
+
+    let result;
+    try {
+      result = await this.verification.verify(repo, commitHashes, currentPath, { timeoutSeconds: options.timeout });
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+
+    const icons = { passed: '✅', failed: '❌', timeout: '⏱️', conflict: '⚠️', error: '❌' };
+    console.log(`\n${icons[result.status]} ${result.status} in ${Math.round(result.durationMs / 1000)}s (\`${result.command}\`)`);
+    if (result.logExcerpt) {
+      console.log('\n' + result.logExcerpt.split('\n').map(line => `   ${line}`).join('\n'));
+    }
+    if (result.status !== 'passed') {
+      process.exitCode = 1;
     }
   }
 
@@ -652,6 +1181,7 @@ class ForkParityManager {
 
     const adaptationData = {
       type: options.type || 'manual',
+      filePattern: options.filePattern,
       sourcePattern: options.source || '',
       targetPattern: options.target || '',
       context: {
@@ -666,19 +1196,212 @@ class ForkParityManager {
     try {
       const pattern = this.integrationHelpers.learnAdaptationPattern(commitHash, adaptationData);
       
-      if (pattern) {
-        console.log(`✅ Learned adaptation pattern: ${pattern.id}`);
-        console.log(`   Type: ${pattern.patternType}`);
-        console.log(`   Success: ${pattern.success ? 'Yes' : 'No'}`);
-        console.log(`   Effort: ${pattern.effort}`);
-      } else {
-        console.log('⚠️ Failed to store adaptation pattern');
-      }
+      console.log(`✅ Learned adaptation pattern: ${pattern.id}`);
+      console.log(`   Type: ${pattern.type}`);
+      console.log(`   Success: ${pattern.success ? 'Yes' : 'No'}`);
+      console.log(`   Effort: ${pattern.effort}`);
     } catch (error) {
       console.error(`❌ Learning failed: ${error.message}`);
       process.exit(1);
     }
   }
+
+  async validateTriageRules() {
+    let loaded;
+    try {
+      loaded = loadTriageConfig(process.cwd());
+    } catch (error) {
+      if (!(error instanceof TriageConfigError)) throw error;
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+
+    if (!loaded) {
+      console.log(`No triage rules file found (looked for ${TRIAGE_CONFIG_FILES.join(', ')}); using the built-in rules`);
+      return;
+    }
+
+    const { categories = {}, impact_areas: impactAreas = {}, ...rest } = loaded.config;
+    console.log(`✅ ${loaded.path} is valid`);
+    console.log(`   Categories: ${Object.keys(categories).join(', ') || 'built-in'}`);
+    console.log(`   Impact areas: ${Object.keys(impactAreas).join(', ') || 'built-in'}`);
+    for (const section of ['effort', 'risk', 'escalation', 'conventional', 'model']) {
+      if (rest[section]) {
+        console.log(`   ${section[0].toUpperCase()}${section.slice(1)}: ${Object.keys(rest[section]).join(', ')}`);
+      }
+    }
+  }
+
+  async trainTriageModel() {
+    const currentPath = process.cwd();
+    const repo = this.db.getRepository(currentPath);
+
+    if (!repo) {
+      console.error('❌ Repository not initialized');
+      process.exit(1);
+    }
+
+    const examples = this.db.getPriorityTrainingData(repo.id)
+      .map(row => ({
+        hash: row.hash,
+        label: decisionLabel(row),
+        rulePriority: row.rule_priority,
+        features: commitFeatures({
+          message: row.message,
+          filesChanged: JSON.parse(row.files_changed || '[]'),
+          category: row.category,
+          effortEstimate: row.effort_estimate
+        })
+      }))
+      .filter(example => example.label);
+
+    // Held-out commits are scored by a model trained without them, and
+    // against the priority the rules gave them
+    const { training, holdout } = holdoutSplit(examples);
+    let evaluation = null;
+    let model;
+    try {
+      if (holdout.length > 0) {
+        const candidate = trainModel(training);
+        const correct = predict => holdout.filter(example => predict(example) === example.label).length;
+        evaluation = {
+          examples: holdout.length,
+          model: correct(example => predictPriority(candidate, example.features).priority),
+          rules: correct(example => example.rulePriority)
+        };
+      }
+      model = trainModel(examples);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+
+    const file = saveTriageModel(currentPath, model);
+    console.log(`🧠 Trained on ${model.examples} decisions (${model.vocabularySize} features)`);
+    console.log(`   ${PRIORITIES.map(priority => `${priority}: ${model.labels[priority]}`).join(', ')}`);
+    if (evaluation) {
+      const percent = count => `${Math.round(count / evaluation.examples * 100)}%`;
+      console.log(`   Held-out accuracy over ${evaluation.examples} commits: model ${percent(evaluation.model)}, rules ${percent(evaluation.rules)}`);
+    } else {
+      console.log('   Too few decisions to hold any out for evaluation');
+    }
+    console.log(`✅ Saved ${file}`);
+  }
+
+  async setPriority(commitHash, priority, reasoning = '') {
+    const currentPath = process.cwd();
+    const repo = this.db.getRepository(currentPath);
+
+    if (!repo) {
+      console.error('❌ Repository not initialized');
+      process.exit(1);
+    }
+    if (!PRIORITIES.includes(priority)) {
+      console.error(`❌ Priority must be one of ${PRIORITIES.join(', ')}`);
+      process.exit(1);
+    }
+
+    const commitId = this.db.getCommitId(repo.id, commitHash);
+    if (!commitId) {
+      console.error(`❌ Commit ${commitHash} not found`);
+      process.exit(1);
+    }
+
+    const { previousPriority } = this.db.setPriorityOverride(commitId, priority, {
+      reviewer: process.env.USER || 'unknown',
+      reason: reasoning
+    });
+    console.log(`📝 Set ${commitHash.substring(0, 8)} to ${priority} priority${previousPriority && previousPriority !== priority ? ` (triage said ${previousPriority})` : ''}`);
+    if (reasoning) {
+      console.log(`   Reason: ${reasoning}`);
+    }
+  }
+
+  async listAdaptations(options = {}) {
+    const patterns = this.db.getAdaptationPatterns({
+      includeDisabled: Boolean(options.all),
+      type: options.type
+    }).map(row => this.integrationHelpers.toAdaptationPattern(row));
+
+    if (patterns.length === 0) {
+      console.log('No adaptation patterns found');
+      return;
+    }
+
+    console.log('🧠 Adaptation Patterns:');
+    console.log('ID                     | Type         | Enabled | Success | Commit   | Notes');
+    console.log('-----------------------|--------------|---------|---------|----------|------');
+
+    patterns.forEach(pattern => {
+      const id = pattern.id.padEnd(22);
+      const type = (pattern.type || '').padEnd(12);
+      const enabled = (pattern.enabled ? 'yes' : 'no').padEnd(7);
+      const success = (pattern.success ? 'yes' : 'no').padEnd(7);
+      const commit = (pattern.commitHash || '').substring(0, 8).padEnd(8);
+      const notes = (pattern.notes || '').substring(0, 40);
+      console.log(`${id} | ${type} | ${enabled} | ${success} | ${commit} | ${notes}`);
+    });
+  }
+
+  async showAdaptation(patternId) {
+    const row = this.db.getAdaptationPattern(patternId);
+    if (!row) {
+      console.error(`❌ Adaptation pattern ${patternId} not found`);
+      process.exit(1);
+    }
+
+    const pattern = this.integrationHelpers.toAdaptationPattern(row);
+
+    console.log(`🧠 Adaptation pattern ${pattern.id}`);
+    console.log(`   Type: ${pattern.type}`);
+    console.log(`   Enabled: ${pattern.enabled ? 'Yes' : 'No'}`);
+    console.log(`   Success: ${pattern.success ? 'Yes' : 'No'}`);
+    console.log(`   Commit: ${pattern.commitHash || 'n/a'}`);
+    console.log(`   File pattern: ${pattern.filePattern || 'any'}`);
+    console.log(`   Source pattern: ${pattern.sourcePattern || ''}`);
+    console.log(`   Target pattern: ${pattern.targetPattern || ''}`);
+    console.log(`   Effort: ${pattern.effort || 'n/a'}`);
+    console.log(`   Notes: ${pattern.notes || ''}`);
+    console.log(`   Context: ${JSON.stringify(pattern.context)}`);
+    console.log(`   Created: ${pattern.createdAt}, updated: ${pattern.updatedAt}`);
+  }
+
+  async editAdaptation(patternId, updates) {
+    if (!this.db.getAdaptationPattern(patternId)) {
+      console.error(`❌ Adaptation pattern ${patternId} not found`);
+      process.exit(1);
+    }
+
+    const result = this.db.updateAdaptationPattern(patternId, updates);
+    if (result.changes === 0) {
+      console.log('⚠️ Nothing to update');
+      return;
+    }
+
+    console.log(`✅ Updated adaptation pattern ${patternId}`);
+  }
+
+  async deleteAdaptation(patternId) {
+    const result = this.db.deleteAdaptationPattern(patternId);
+    if (result.changes === 0) {
+      console.error(`❌ Adaptation pattern ${patternId} not found`);
+      process.exit(1);
+    }
+
+    console.log(`🗑️  Deleted adaptation pattern ${patternId}`);
+  }
+}
+
+// Analyzer findings with the changed lines that triggered them
+function printFindings(findings) {
+  for (const finding of findings) {
+    const file = finding.file && !finding.description.includes(finding.file) ? ` (${finding.file})` : '';
+    console.log(`   - ${finding.description}${file}`);
+    if (!Array.isArray(finding.evidence)) continue;
+    for (const { line, side, text } of finding.evidence) {
+      console.log(`       ${side === 'removed' ? '-' : '+'}${line}: ${text}`);
+    }
+  }
 }
 
 // CLI setup
@@ -692,17 +1415,19 @@ program
   .description('Initialize fork parity tracking')
   .option('-u, --upstream-branch <branch>', 'Upstream branch to track', 'main')
   .option('-f, --fork-branch <branch>', 'Fork branch to compare', 'main')
+  .option('-b, --backend <backend>', 'Where shared decisions are stored (ledger|notes)')
   .action(async (upstreamUrl, options) => {
     const manager = new ForkParityManager();
-    await manager.initRepository(upstreamUrl, options.upstreamBranch, options.forkBranch);
+    await manager.initRepository(upstreamUrl, options.upstreamBranch, options.forkBranch, options.backend);
   });
 
 program
   .command('sync')
   .description('Sync with upstream and run auto-triage')
-  .action(async () => {
+  .option('--full', 'Re-read every upstream commit instead of only those since the last sync')
+  .action(async (options) => {
     const manager = new ForkParityManager();
-    await manager.syncUpstream();
+    await manager.syncUpstream(options);
   });
 
 program
@@ -715,6 +1440,25 @@ program
     await manager.showDashboard(options);
   });
 
+program
+  .command('metrics')
+  .description('Show parity metrics recorded at each sync')
+  .option('-t, --type <type>', `Metric to chart (${METRIC_TYPES.join('|')})`)
+  .option('-s, --since <when>', 'Only show snapshots since an ISO date or relative window (e.g. 90d, 12w, 6m)')
+  .action(async (options) => {
+    const manager = new ForkParityManager();
+    await manager.showMetrics(options);
+  });
+
+program
+  .command('relations [commit-hash]')
+  .description('Show related commits, or pending revert pairs that cancel out')
+  .option('--skip-net-zero', 'Mark every pending commit and its pending revert as skipped')
+  .action(async (commitHash, options) => {
+    const manager = new ForkParityManager();
+    await manager.showRelations(commitHash, options);
+  });
+
 program
   .command('status <commit-hash> <status>')
   .description('Update commit status')
@@ -724,6 +1468,27 @@ program
     await manager.updateStatus(commitHash, status, options.reason);
   });
 
+program
+  .command('integrate <upstream-hash>')
+  .description('Record the fork commit that integrated an upstream commit')
+  .requiredOption('--as <fork-hash>', 'Fork commit that brought the change in')
+  .option('-t, --type <type>', 'Integration type (direct|adapted|cherry-pick|manual)', 'cherry-pick')
+  .option('-b, --branch <branch>', 'Fork branch the integration landed on')
+  .option('-c, --conflicts <files>', 'Comma-separated files whose conflicts were resolved')
+  .option('-n, --notes <notes>', 'Adaptation changes made during integration')
+  .action(async (upstreamHash, options) => {
+    const manager = new ForkParityManager();
+    await manager.recordIntegration(upstreamHash, options);
+  });
+
+program
+  .command('history <commit-hash>')
+  .description('Show the decision timeline for a commit')
+  .action(async (commitHash) => {
+    const manager = new ForkParityManager();
+    await manager.showHistory(commitHash);
+  });
+
 program
   .command('list')
   .description('List commits')
@@ -734,6 +1499,18 @@ program
     await manager.listCommits(options.status, parseInt(options.limit));
   });
 
+program
+  .command('search <query>')
+  .description('Full-text search over commit messages, file paths, triage reasoning and review notes')
+  .option('-s, --status <status>', 'Filter by status')
+  .option('-p, --priority <priority>', 'Filter by priority')
+  .option('--since <when>', 'Only commits since an ISO date or relative window (e.g. 90d)')
+  .option('-l, --limit <number>', 'Limit number of results', '20')
+  .action(async (query, options) => {
+    const manager = new ForkParityManager();
+    await manager.searchCommits(query, options);
+  });
+
 program
   .command('export')
   .description('Export data')
@@ -743,6 +1520,16 @@ program
     await manager.exportData(options.format);
   });
 
+program
+  .command('import <file>')
+  .description('Restore commits, triage, status history and integrations from a JSON export')
+  .option('-s, --strategy <strategy>', `How to merge commits already tracked (${IMPORT_STRATEGIES.join('|')})`, 'skip')
+  .option('--dry-run', 'Show what would change without writing anything')
+  .action(async (file, options) => {
+    const manager = new ForkParityManager();
+    await manager.importData(file, options);
+  });
+
 program
   .command('cleanup')
   .description('Run database maintenance')
@@ -751,6 +1538,16 @@ program
     await manager.cleanup();
   });
 
+program
+  .command('migrate')
+  .description('Upgrade the parity database schema')
+  .option('--dry-run', 'Show pending migrations without applying them')
+  .option('--no-backup', 'Skip the database backup taken before migrating')
+  .action(async (options) => {
+    const manager = new ForkParityManager({ autoMigrate: false });
+    await manager.migrate(options);
+  });
+
 program
   .command('analyze <commit-hash>')
   .description('Run advanced analysis on a commit')
@@ -768,6 +1565,36 @@ program
     await manager.analyzeConflicts(commitHash);
   });
 
+program
+  .command('apply <commit-hashes...>')
+  .description('Cherry-pick upstream commits onto an integration branch in its own worktree')
+  .option('-b, --branch <branch>', 'Integration branch, created from the fork branch if missing', DEFAULT_INTEGRATION_BRANCH)
+  .option('-w, --worktree <path>', 'Where to add the worktree when the branch has none')
+  .action(async (commitHashes, options) => {
+    const manager = new ForkParityManager();
+    await manager.applyCommits(commitHashes, options);
+  });
+
+program
+  .command('verify <commit-hashes...>')
+  .description('Apply commits to the fork branch in a temporary worktree and run the test command from .fork-parity/config')
+  .option('-t, --timeout <seconds>', 'Test timeout (defaults to test.timeout, or 600)')
+  .action(async (commitHashes, options) => {
+    const manager = new ForkParityManager();
+    await manager.verifyIntegration(commitHashes, options);
+  });
+
+program
+  .command('bisect')
+  .description('Find the integration of a batch after which the tests fail, and mark it conflict')
+  .option('--test <command>', 'Test command (defaults to test.command in .fork-parity/config)')
+  .option('--batch <batch-id>', 'Integration batch to walk (defaults to the latest)')
+  .option('-t, --timeout <seconds>', 'Timeout per test run (defaults to test.timeout, or 600)')
+  .action(async (options) => {
+    const manager = new ForkParityManager();
+    await manager.bisectIntegrations(options);
+  });
+
 program
   .command('migration-plan <commit-hashes...>')
   .description('Create detailed migration plan for commits')
@@ -818,6 +1645,7 @@ program
   .option('-s, --source <pattern>', 'Source pattern')
   .option('-T, --target <pattern>', 'Target pattern')
   .option('-n, --notes <notes>', 'Notes about the adaptation')
+  .option('-f, --file-pattern <pattern>', 'Only apply to conflicted files whose path contains this')
   .option('--success', 'Mark as successful adaptation', true)
   .option('--effort <effort>', 'Effort level (trivial,small,medium,large)', 'medium')
   .action(async (commitHash, options) => {
@@ -825,6 +1653,125 @@ program
     await manager.learnAdaptation(commitHash, options);
   });
 
+const db = program
+  .command('db')
+  .description('Manage the parity database');
+
+db
+  .command('merge <other-db>')
+  .description('Merge commits, triage, status events and integrations from a teammate\'s parity.db')
+  .option('--dry-run', 'Show what would change and which decisions conflict without writing anything')
+  .action(async (otherDb, options) => {
+    const manager = new ForkParityManager();
+    await manager.mergeDatabase(otherDb, options);
+  });
+
+const triage = program
+  .command('triage')
+  .description('Manage the repository\'s triage rules (.fork-parity/triage.yml) and priority model');
+
+triage
+  .command('validate')
+  .description('Check the triage rules file against its schema')
+  .action(async () => {
+    const manager = new ForkParityManager();
+    await manager.validateTriageRules();
+  });
+
+triage
+  .command('schema')
+  .description('Print the JSON Schema of the triage rules file')
+  .action(() => {
+    console.log(JSON.stringify(TRIAGE_CONFIG_SCHEMA, null, 2));
+  });
+
+triage
+  .command('train')
+  .description('Learn priorities from skipped, deferred, integrated and re-prioritized commits (.fork-parity/triage-model.json)')
+  .action(async () => {
+    const manager = new ForkParityManager();
+    await manager.trainTriageModel();
+  });
+
+triage
+  .command('set-priority <commit-hash> <priority>')
+  .description('Override the triage priority of a commit (critical, high, medium or low)')
+  .option('-r, --reason <reason>', 'Why the priority was changed')
+  .action(async (commitHash, priority, options) => {
+    const manager = new ForkParityManager();
+    await manager.setPriority(commitHash, priority, options.reason);
+  });
+
+const adaptations = program
+  .command('adaptations')
+  .description('Manage learned adaptation patterns');
+
+adaptations
+  .command('list')
+  .description('List adaptation patterns')
+  .option('-a, --all', 'Include disabled patterns')
+  .option('-t, --type <type>', 'Filter by pattern type')
+  .action(async (options) => {
+    const manager = new ForkParityManager();
+    await manager.listAdaptations(options);
+  });
+
+adaptations
+  .command('show <pattern-id>')
+  .description('Show an adaptation pattern')
+  .action(async (patternId) => {
+    const manager = new ForkParityManager();
+    await manager.showAdaptation(patternId);
+  });
+
+adaptations
+  .command('edit <pattern-id>')
+  .description('Edit an adaptation pattern')
+  .option('-t, --type <type>', 'Adaptation type')
+  .option('-f, --file-pattern <pattern>', 'File path substring the pattern applies to')
+  .option('-s, --source <pattern>', 'Source pattern')
+  .option('-T, --target <pattern>', 'Target pattern')
+  .option('-n, --notes <notes>', 'Notes about the adaptation')
+  .option('--effort <effort>', 'Effort level (trivial,small,medium,large)')
+  .option('--success', 'Mark as successful adaptation')
+  .option('--no-success', 'Mark as unsuccessful adaptation')
+  .action(async (patternId, options) => {
+    const manager = new ForkParityManager();
+    await manager.editAdaptation(patternId, {
+      type: options.type,
+      filePattern: options.filePattern,
+      sourcePattern: options.source,
+      targetPattern: options.target,
+      notes: options.notes,
+      effort: options.effort,
+      success: options.success
+    });
+  });
+
+adaptations
+  .command('disable <pattern-id>')
+  .description('Stop suggesting an adaptation pattern')
+  .action(async (patternId) => {
+    const manager = new ForkParityManager();
+    await manager.editAdaptation(patternId, { enabled: false });
+  });
+
+adaptations
+  .command('enable <pattern-id>')
+  .description('Re-enable a disabled adaptation pattern')
+  .action(async (patternId) => {
+    const manager = new ForkParityManager();
+    await manager.editAdaptation(patternId, { enabled: true });
+  });
+
+adaptations
+  .command('delete <pattern-id>')
+  .description('Delete an adaptation pattern')
+  .action(async (patternId) => {
+    const manager = new ForkParityManager();
+    await manager.deleteAdaptation(patternId);
+  });
+
 // Handle the case where no command is provided
 if (process.argv.length === 2) {
   program.help();
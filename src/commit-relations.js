@@ -0,0 +1,129 @@
+// Relationship detection between upstream commits
+//
+// Links tracked upstream commits that depend on each other so integration
+// plans keep them in order and reverted work can be skipped as a pair:
+// reverts, fixup!/squash! commits and "Fixes <hash>" references. Follow-ups,
+// commits that touch the same files shortly after an earlier one, are only
+// advisory: they are listed with a commit's relations but are not
+// prerequisites, and files that most commits touch (manifests, lockfiles,
+// changelogs, generated output) do not make one.
+
+import { streamCommits } from './git-log.js';
+
+const FOLLOW_UP_WINDOW_DAYS = 7;
+
+// Files changed alongside unrelated work, which say nothing about two
+// commits being connected
+export const BUSY_FILES = [
+  /(^|\/)(package|composer)\.json$/,
+  /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|bun\.lockb?|Cargo\.lock|go\.sum|Gemfile\.lock|poetry\.lock|composer\.lock)$/,
+  /(^|\/)(CHANGELOG|CHANGES|HISTORY|NEWS)(\.\w+)?$/i,
+  /(^|\/)(dist|build|vendor|generated)\//,
+  /\.min\.(js|css)$|\.map$|\.snap$/
+];
+
+class CommitRelationsSystem {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Detect relations among the upstream commits not yet in the fork branch
+   * and store those between tracked commits. The range is streamed oldest
+   * first, so earlier commits are known when later ones refer to them.
+   */
+  async detectRelations(repo, upstreamRef, repositoryPath) {
+    const forkBranch = repo.fork_branch || 'main';
+    const findRelations = relationFinder();
+
+    let found = 0;
+    let added = 0;
+    for await (const commit of streamCommits([upstreamRef, `^${forkBranch}`], repositoryPath, { reverse: true })) {
+      for (const relation of findRelations(toRelationCommit(commit))) {
+        found++;
+        const commitId = this.db.getCommitId(repo.id, relation.hash);
+        const relatedCommitId = this.db.getCommitId(repo.id, relation.relatedHash);
+        if (commitId && relatedCommitId) {
+          added += this.db.addCommitRelation(commitId, relatedCommitId, relation.type, relation.evidence).changes;
+        }
+      }
+    }
+
+    return {
+      found,
+      added,
+      netZeroPairs: this.db.getNetZeroPairs(repo.id)
+    };
+  }
+
+  // `commits` oldest first
+  findRelations(commits) {
+    return commits.flatMap(relationFinder());
+  }
+}
+
+function toRelationCommit(commit) {
+  return {
+    hash: commit.hash,
+    date: new Date(commit.commitDate),
+    subject: commit.message,
+    body: commit.body ? `${commit.message}\n\n${commit.body}` : commit.message,
+    files: commit.filesChanged
+  };
+}
+
+/**
+ * Returns a function that takes commits one at a time, oldest first, and
+ * returns the relations of each to the commits seen before it. Only the
+ * hash and subject of earlier commits are kept.
+ */
+function relationFinder() {
+  const seen = [];
+  const related = new Set();
+  const lastTouched = new Map();
+  const followUpWindow = FOLLOW_UP_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+  const resolve = ref => seen.find(earlier => earlier.hash.startsWith(ref.toLowerCase()))?.hash;
+
+  return commit => {
+    const relations = [];
+    const add = (relatedHash, type, evidence) => {
+      if (!relatedHash || relatedHash === commit.hash) return;
+      relations.push({ hash: commit.hash, relatedHash, type, evidence });
+      related.add(`${commit.hash}:${relatedHash}`);
+    };
+
+    for (const match of commit.body.matchAll(/This reverts commit ([0-9a-f]{7,40})/g)) {
+      add(resolve(match[1]), 'reverts', match[0]);
+    }
+
+    const autosquash = /^(fixup|squash|amend)! (.+)$/.exec(commit.subject);
+    if (autosquash) {
+      const targetSubject = autosquash[2].replace(/^((fixup|squash|amend)! )+/, '');
+      const target = seen.findLast(earlier => earlier.subject === targetSubject);
+      add(target?.hash, autosquash[1] === 'squash' ? 'squash' : 'fixup', commit.subject);
+    }
+
+    // Only hashes of tracked commits count, so words that happen to be
+    // hex ("Fixes defaced layout") are ignored
+    for (const match of commit.body.matchAll(/\bFix(?:es|ed)?:?\s+(?:commit\s+)?([0-9a-f]{7,40})\b/gi)) {
+      add(resolve(match[1]), 'fixes', match[0]);
+    }
+
+    for (const file of commit.files) {
+      if (BUSY_FILES.some(pattern => pattern.test(file))) continue;
+      const previous = lastTouched.get(file);
+      if (previous
+        && commit.date - previous.date <= followUpWindow
+        && !related.has(`${commit.hash}:${previous.hash}`)) {
+        add(previous.hash, 'follow-up', `Also changes ${file}`);
+      }
+      lastTouched.set(file, { hash: commit.hash, date: commit.date });
+    }
+
+    seen.push({ hash: commit.hash, subject: commit.subject });
+    return relations;
+  };
+}
+
+export default CommitRelationsSystem;
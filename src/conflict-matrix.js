@@ -0,0 +1,234 @@
+// Conflict matrix for pending upstream commits
+//
+// Every pending commit is predicted against the fork with merge-tree, then
+// commits touching the same files are predicted in sequence both ways (A then
+// B, B then A). That finds pairs that conflict with each other, and commits
+// that only conflict with the fork because a commit they build on is not
+// applied yet. A conflicted tree cannot be built on, so a sequence is only
+// predicted when its first commit applies cleanly. The application order
+// keeps upstream order except where another order avoids a conflict. Only
+// the oldest pending commits are predicted, files most commits touch do not
+// make pairs, and pairs stop at a cap, so large backlogs stay bounded.
+
+import { runGit, assertRef } from './git-runner.js';
+import { predictCherryPick } from './merge-tree.js';
+import { BUSY_FILES } from './commit-relations.js';
+
+const DEFAULT_MAX_PAIRS = 500;
+const DEFAULT_MAX_COMMITS = 200;
+const MAX_CACHED_PREDICTIONS = 10000;
+
+class ConflictMatrixSystem {
+  constructor(database) {
+    this.db = database;
+    // Predictions are keyed on the tree they were made against, so they
+    // stay valid until the fork branch moves
+    this.predictions = new Map();
+  }
+
+  /**
+   * Predict conflicts for the pending commits of `repo`. Returns the
+   * commits with the files each conflicts on against the fork (and the
+   * commits that make them apply, `appliesAfter`), the pairs that conflict
+   * when applied in sequence, and `order`: hashes in the application order
+   * that avoids the most conflicts. Commits past `maxCommits` are not
+   * predicted and follow in upstream order.
+   */
+  buildMatrix(repo, repositoryPath, options = {}) {
+    const { maxPairs = DEFAULT_MAX_PAIRS, maxCommits = DEFAULT_MAX_COMMITS } = options;
+    const forkRef = assertRef(repo.fork_branch || 'main', 'fork branch');
+    const forkTree = runGit(['rev-parse', '--verify', `${forkRef}^{tree}`], { cwd: repositoryPath }).trim();
+
+    const pending = this.db.getPendingCommits(repo.id);
+    const commits = pending.slice(0, maxCommits).map((row, index) => {
+      const prediction = this.predict(row.hash, forkTree, repositoryPath);
+      return {
+        hash: row.hash,
+        message: row.message,
+        priority: row.priority,
+        upstreamIndex: index,
+        files: touchedFiles(row),
+        tree: prediction.tree,
+        clean: prediction.clean,
+        conflicts: prediction.conflicts.map(({ file, type }) => ({ file, type }))
+      };
+    });
+
+    const { pairs: candidates, truncated } = overlappingPairs(commits, maxPairs);
+    // first then second conflicts although second applies alone
+    const pairs = [];
+    // `after` only applies cleanly once `before` is in
+    const enablers = [];
+    let checked = 0;
+
+    const record = (first, second, sequence, reverse) => {
+      if (!sequence) return;
+      if (second.clean && !sequence.clean) {
+        pairs.push({
+          first: first.hash,
+          second: second.hash,
+          files: sequence.conflicts.map(conflict => conflict.file),
+          reverseClean: Boolean(reverse?.clean)
+        });
+      } else if (!second.clean && sequence.clean) {
+        enablers.push({ before: first.hash, after: second.hash });
+      }
+    };
+
+    for (const [a, b] of candidates) {
+      if (!a.clean && !b.clean) continue;
+      checked++;
+
+      const aThenB = a.clean ? this.predict(b.hash, a.tree, repositoryPath) : null;
+      const bThenA = b.clean ? this.predict(a.hash, b.tree, repositoryPath) : null;
+      record(a, b, aThenB, bThenA);
+      record(b, a, bThenA, aThenB);
+    }
+
+    // Pairs that must be applied one way round to avoid a conflict
+    const precedence = [
+      ...enablers,
+      ...pairs.filter(pair => pair.reverseClean).map(pair => ({ before: pair.second, after: pair.first }))
+    ];
+    const order = [
+      ...this.computeOrder(commits, precedence, this.db.getPrerequisites(repo.id)),
+      ...pending.slice(commits.length).map(row => row.hash)
+    ];
+    const upstreamOrder = commits.map(commit => commit.hash);
+
+    return {
+      forkTree,
+      commits: commits.map(({ hash, message, priority, clean, conflicts }) => ({
+        hash,
+        message,
+        priority,
+        clean,
+        conflicts,
+        appliesAfter: enablers.filter(enabler => enabler.after === hash).map(enabler => enabler.before)
+      })),
+      pairs: pairs.map(({ first, second, files }) => ({ first, second, files })),
+      precedence,
+      order,
+      summary: {
+        pendingCommits: pending.length,
+        predictedCommits: commits.length,
+        conflictingWithFork: commits.filter(commit => !commit.clean).length,
+        candidatePairs: candidates.length,
+        checkedPairs: checked,
+        skippedPairs: candidates.length - checked,
+        pairsTruncated: truncated,
+        conflictingPairs: pairs.length,
+        expectedConflicts: countConflicts(order, commits, pairs, enablers),
+        upstreamOrderConflicts: countConflicts(upstreamOrder, commits, pairs, enablers)
+      }
+    };
+  }
+
+  /**
+   * Topological order over prerequisites and conflict-avoiding precedence,
+   * taking the earliest upstream commit whenever there is a choice. On a
+   * cycle the commit with the fewest unplaced predecessors goes next.
+   */
+  computeOrder(commits, precedence, prerequisites = {}) {
+    const byHash = new Map(commits.map(commit => [commit.hash, commit]));
+    const predecessors = new Map(commits.map(commit => [commit.hash, new Set()]));
+
+    for (const [hash, required] of Object.entries(prerequisites)) {
+      for (const prerequisite of required) {
+        if (byHash.has(hash) && byHash.has(prerequisite)) {
+          predecessors.get(hash).add(prerequisite);
+        }
+      }
+    }
+    for (const { before, after } of precedence) {
+      predecessors.get(after).add(before);
+    }
+
+    const placed = new Set();
+    const order = [];
+    while (order.length < commits.length) {
+      const remaining = commits.filter(commit => !placed.has(commit.hash));
+      const unplaced = commit => [...predecessors.get(commit.hash)].filter(hash => !placed.has(hash)).length;
+
+      let next = remaining.find(commit => unplaced(commit) === 0);
+      if (!next) {
+        next = remaining.reduce((best, commit) => unplaced(commit) < unplaced(best) ? commit : best);
+      }
+      placed.add(next.hash);
+      order.push(next.hash);
+    }
+
+    return order;
+  }
+
+  predict(commit, onto, repositoryPath) {
+    const key = `${onto}:${commit}`;
+    if (!this.predictions.has(key)) {
+      if (this.predictions.size >= MAX_CACHED_PREDICTIONS) {
+        this.predictions.clear();
+      }
+      this.predictions.set(key, predictCherryPick(commit, onto, repositoryPath));
+    }
+    return this.predictions.get(key);
+  }
+}
+
+// Paths a commit touches, including the old side of renames
+function touchedFiles(row) {
+  const files = new Set(JSON.parse(row.files_changed || '[]'));
+  for (const stat of JSON.parse(row.file_stats || '[]')) {
+    files.add(stat.path);
+    if (stat.oldPath) files.add(stat.oldPath);
+  }
+  return files;
+}
+
+// Only commits sharing a path can conflict with each other. Neighbouring
+// commits come first, as they are the likeliest to be reordered, and no more
+// than `maxPairs` are generated.
+export function overlappingPairs(commits, maxPairs = DEFAULT_MAX_PAIRS) {
+  const byFile = new Map();
+  for (const commit of commits) {
+    for (const file of commit.files) {
+      if (BUSY_FILES.some(pattern => pattern.test(file))) continue;
+      if (!byFile.has(file)) byFile.set(file, []);
+      byFile.get(file).push(commit);
+    }
+  }
+
+  const touching = [...byFile.values()].filter(list => list.length > 1);
+  const longest = Math.max(0, ...touching.map(list => list.length));
+  const seen = new Set();
+  const pairs = [];
+  const sorted = () => pairs.sort(([a, b], [c, d]) => (b.upstreamIndex - a.upstreamIndex) - (d.upstreamIndex - c.upstreamIndex));
+
+  // Commits `gap` apart among those touching a file, closest first
+  for (let gap = 1; gap < longest; gap++) {
+    for (const list of touching) {
+      for (let i = 0; i + gap < list.length; i++) {
+        const key = `${list[i].hash}:${list[i + gap].hash}`;
+        if (seen.has(key)) continue;
+        if (pairs.length >= maxPairs) {
+          return { pairs: sorted(), truncated: true };
+        }
+        seen.add(key);
+        pairs.push([list[i], list[i + gap]]);
+      }
+    }
+  }
+
+  return { pairs: sorted(), truncated: false };
+}
+
+// Commits that conflict with the fork with none of their enablers applied
+// before them, plus conflicting pairs applied in the conflicting order
+function countConflicts(order, commits, pairs, enablers) {
+  const position = new Map(order.map((hash, index) => [hash, index]));
+  const withFork = commits.filter(commit => !commit.clean && !enablers.some(enabler =>
+    enabler.after === commit.hash && position.get(enabler.before) < position.get(commit.hash)
+  )).length;
+  const inSequence = pairs.filter(pair => position.get(pair.first) < position.get(pair.second)).length;
+  return withFork + inSequence;
+}
+
+export default ConflictMatrixSystem;
@@ -0,0 +1,38 @@
+// Conventional Commits (https://www.conventionalcommits.org) subject parsing
+//
+// "type(scope)!: description", with breaking changes also declared by a
+// BREAKING CHANGE (or BREAKING-CHANGE) footer. Messages that do not follow
+// the format parse to null and are triaged by keywords instead.
+
+// Types are lowercase, so "WIP: ...", "Merge: ..." or "Revert: ..." subjects
+// are not read as typed commits
+const HEADER = /^([a-z][a-z0-9-]*)(?:\(([^()\r\n]*)\))?(!)?: +(\S.*)$/;
+
+// Footers git-log.js reads into the trailers map
+const BREAKING_FOOTERS = ['BREAKING CHANGE', 'BREAKING-CHANGE'];
+
+/**
+ * The Conventional Commits structure of a commit: { type, scope, breaking,
+ * description, breakingNote }, or null when the subject does not conform.
+ * A scope list such as "api,db" is kept as written.
+ */
+export function parseConventionalCommit(subject, trailers = {}) {
+  const match = HEADER.exec((subject || '').trim());
+  if (!match) return null;
+
+  const [, type, scope, bang, description] = match;
+  const breakingNote = BREAKING_FOOTERS.map(token => trailers[token]).flat().find(Boolean) || null;
+
+  return {
+    type,
+    scope: scope?.trim() || null,
+    breaking: Boolean(bang) || Boolean(breakingNote),
+    description: description.trim(),
+    breakingNote
+  };
+}
+
+// "api, db/migrations" -> ['api', 'db/migrations']
+export function splitScopes(scope) {
+  return (scope || '').split(/[,\s]+/).map(part => part.trim().toLowerCase()).filter(Boolean);
+}
@@ -1,146 +1,177 @@
 import Database from 'better-sqlite3';
 import { join } from 'path';
-import { existsSync, mkdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { randomUUID } from 'crypto';
+import { existsSync, mkdirSync, rmSync, appendFileSync, readFileSync, writeFileSync } from 'fs';
+import migrations, { LATEST_SCHEMA_VERSION } from './migrations.js';
+import GitNotesStore from './git-notes.js';
+import { parseConventionalCommit } from './conventional-commits.js';
+import { PRIORITIES } from './triage.js';
+
+export const METRIC_TYPES = [
+  'pending_total',
+  'pending_critical',
+  'pending_high',
+  'pending_medium',
+  'pending_low',
+  'integrated_count',
+  'skipped_count',
+  'lag_days',
+  'avg_conflict_risk'
+];
+
+export const IMPORT_STRATEGIES = ['skip', 'overwrite', 'newest-wins'];
+
+// Thrown inside the import transaction to roll back a dry run
+const DRY_RUN_ROLLBACK = new Error('Dry run rollback');
+
+// Status events store created_at in SQLite's CURRENT_TIMESTAMP form, plus
+// milliseconds, so that ledger-stamped and default-stamped events sort
+// together and events within one second keep their order
+function toSqliteTimestamp(isoDate) {
+  return new Date(isoDate).toISOString().replace('T', ' ').slice(0, 23);
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone designator
+function toTimestamp(value) {
+  if (!value) return 0;
+  const normalized = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?$/.test(value) ? `${value.replace(' ', 'T')}Z` : value;
+  return new Date(normalized).getTime() || 0;
+}
+
+function toIsoTimestamp(value) {
+  return new Date(toTimestamp(value) || Date.now()).toISOString();
+}
 
 class ForkParityDatabase {
-  constructor(dbPath = null) {
+  constructor(dbPath = null, options = {}) {
+    // Databases opened by explicit path (snapshots, custom setups) only share
+    // decisions through a ledger or git notes when one is passed in
+    let ledgerPath = options.ledgerPath || null;
+    let notes = options.notes || null;
+    let parityDir = null;
+
     // Default to .fork-parity directory in project root
     if (!dbPath) {
       const projectRoot = process.cwd();
-      const parityDir = join(projectRoot, '.fork-parity');
+      parityDir = join(projectRoot, '.fork-parity');
       if (!existsSync(parityDir)) {
         mkdirSync(parityDir, { recursive: true });
       }
       dbPath = join(parityDir, 'parity.db');
+
+      // Decisions go to the committed ledger unless the repository opted into
+      // git notes with `git config fork-parity.backend notes`
+      const backend = options.backend || GitNotesStore.readConfig(projectRoot, 'fork-parity.backend') || 'ledger';
+      if (backend === 'notes') {
+        notes = notes || new GitNotesStore(projectRoot);
+      } else {
+        ledgerPath = ledgerPath || join(parityDir, 'decisions.jsonl');
+      }
     }
     
+    this.dbPath = dbPath;
+    this.parityDir = parityDir;
+    this.ledgerPath = ledgerPath;
+    this.notes = notes;
+    // Ledger and notes entries waiting for the current transaction to commit
+    this.pendingShares = null;
     this.db = new Database(dbPath);
-    this.initializeSchema();
+
+    // Callers that need to inspect the schema first (e.g. `migrate --dry-run`)
+    // opt out of upgrading on open
+    if (options.autoMigrate !== false) {
+      this.initializeSchema();
+    }
+  }
+
+  /**
+   * Write .fork-parity/.gitignore so the SQLite cache and its backups stay
+   * out of git while decisions.jsonl is committed. Called when a
+   * repository is initialized; an existing file is left alone. Returns the
+   * path written, or null.
+   */
+  writeGitignore() {
+    if (!this.parityDir) return null;
+    const gitignorePath = join(this.parityDir, '.gitignore');
+    if (existsSync(gitignorePath)) return null;
+
+    writeFileSync(gitignorePath, '# Local cache and migration backups; commit decisions.jsonl\nparity.db*\n');
+    return gitignorePath;
   }
 
   initializeSchema() {
-    // Repository configuration
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS repositories (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        path TEXT UNIQUE NOT NULL,
-        upstream_url TEXT,
-        upstream_branch TEXT DEFAULT 'main',
-        fork_branch TEXT DEFAULT 'main',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    return this.migrate();
+  }
 
-    // Commit tracking with rich metadata
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS commits (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        repository_id INTEGER NOT NULL,
-        hash TEXT NOT NULL,
-        author TEXT,
-        author_email TEXT,
-        commit_date DATETIME,
-        message TEXT,
-        files_changed TEXT, -- JSON array of changed files
-        insertions INTEGER DEFAULT 0,
-        deletions INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (repository_id) REFERENCES repositories (id),
-        UNIQUE(repository_id, hash)
-      )
-    `);
+  // Schema versioning
+  getSchemaVersion() {
+    return this.db.pragma('user_version', { simple: true });
+  }
 
-    // Triage results from auto-analysis
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS triage_results (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        commit_id INTEGER NOT NULL,
-        priority TEXT CHECK(priority IN ('critical', 'high', 'medium', 'low')) NOT NULL,
-        category TEXT CHECK(category IN ('security', 'bugfix', 'feature', 'refactor', 'docs', 'test', 'chore')) NOT NULL,
-        impact_areas TEXT, -- JSON array of impact areas
-        conflict_risk REAL CHECK(conflict_risk >= 0 AND conflict_risk <= 1),
-        effort_estimate TEXT CHECK(effort_estimate IN ('trivial', 'small', 'medium', 'large', 'xl')),
-        reasoning TEXT,
-        confidence REAL CHECK(confidence >= 0 AND confidence <= 1),
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (commit_id) REFERENCES commits (id),
-        UNIQUE(commit_id)
-      )
-    `);
+  getPendingMigrations() {
+    const currentVersion = this.getSchemaVersion();
+    return migrations.filter(migration => migration.version > currentVersion);
+  }
 
-    // Status tracking with decision history
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS commit_status (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        commit_id INTEGER NOT NULL,
-        status TEXT CHECK(status IN ('pending', 'reviewed', 'integrated', 'skipped', 'conflict', 'deferred')) NOT NULL,
-        decision_reasoning TEXT,
-        reviewer TEXT,
-        review_date DATETIME,
-        adaptation_notes TEXT,
-        integration_effort_actual TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (commit_id) REFERENCES commits (id)
-      )
-    `);
+  /**
+   * Apply pending migrations in order, backing up the database file first.
+   * With dryRun nothing is written; the returned summary lists what would run.
+   */
+  migrate(options = {}) {
+    const { dryRun = false, backup = true } = options;
+    const fromVersion = this.getSchemaVersion();
 
-    // Integration history for tracking what was actually done
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS integrations (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        commit_id INTEGER NOT NULL,
-        integration_type TEXT CHECK(integration_type IN ('direct', 'adapted', 'cherry-pick', 'manual')) NOT NULL,
-        target_branch TEXT,
-        integration_commit_hash TEXT,
-        conflicts_resolved TEXT, -- JSON array of conflict details
-        adaptation_changes TEXT, -- Description of changes made
-        integration_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (commit_id) REFERENCES commits (id)
-      )
-    `);
+    if (fromVersion > LATEST_SCHEMA_VERSION) {
+      throw new Error(
+        `Database schema version ${fromVersion} is newer than this release supports (${LATEST_SCHEMA_VERSION}). Upgrade fork-parity-mcp.`
+      );
+    }
 
-    // Metrics and analytics
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS metrics (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        repository_id INTEGER NOT NULL,
-        metric_type TEXT NOT NULL,
-        metric_value REAL,
-        metric_data TEXT, -- JSON for complex metrics
-        period_start DATETIME,
-        period_end DATETIME,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (repository_id) REFERENCES repositories (id)
-      )
-    `);
+    const pending = this.getPendingMigrations();
+    const result = {
+      fromVersion,
+      toVersion: pending.length > 0 ? pending[pending.length - 1].version : fromVersion,
+      pending: pending.map(({ version, description }) => ({ version, description })),
+      backupPath: null,
+      dryRun
+    };
 
-    // Create indexes for performance
-    this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_commits_repo_hash ON commits(repository_id, hash);
-      CREATE INDEX IF NOT EXISTS idx_commits_date ON commits(commit_date);
-      CREATE INDEX IF NOT EXISTS idx_triage_priority ON triage_results(priority);
-      CREATE INDEX IF NOT EXISTS idx_status_status ON commit_status(status);
-      CREATE INDEX IF NOT EXISTS idx_metrics_type_date ON metrics(metric_type, created_at);
-    `);
+    if (pending.length === 0) {
+      return result;
+    }
 
-    // Create triggers for updated_at timestamps
-    this.db.exec(`
-      CREATE TRIGGER IF NOT EXISTS update_repositories_timestamp 
-      AFTER UPDATE ON repositories
-      BEGIN
-        UPDATE repositories SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-      END;
-    `);
+    if (backup && this.hasExistingData()) {
+      result.backupPath = this.getMigrationBackupPath(fromVersion);
+      if (!dryRun) {
+        this.db.prepare('VACUUM INTO ?').run(result.backupPath);
+      }
+    }
 
-    this.db.exec(`
-      CREATE TRIGGER IF NOT EXISTS update_commit_status_timestamp 
-      AFTER UPDATE ON commit_status
-      BEGIN
-        UPDATE commit_status SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-      END;
-    `);
+    if (dryRun) {
+      return result;
+    }
+
+    for (const migration of pending) {
+      const apply = this.db.transaction(() => {
+        migration.up(this.db);
+        this.db.pragma(`user_version = ${migration.version}`);
+      });
+      apply();
+    }
+
+    return result;
+  }
+
+  hasExistingData() {
+    if (this.dbPath === ':memory:') return false;
+    const stmt = this.db.prepare('SELECT COUNT(*) as count FROM sqlite_master WHERE type = \'table\'');
+    return stmt.get().count > 0;
+  }
+
+  getMigrationBackupPath(fromVersion) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return `${this.dbPath}.v${fromVersion}-${timestamp}.bak`;
   }
 
   // Repository management
@@ -157,25 +188,106 @@ class ForkParityDatabase {
     return stmt.get(path);
   }
 
+  setLastSyncedUpstream(repositoryId, tip) {
+    const stmt = this.db.prepare(`
+      UPDATE repositories SET last_synced_upstream = ?, last_synced_at = CURRENT_TIMESTAMP WHERE id = ?
+    `);
+    return stmt.run(tip, repositoryId);
+  }
+
+  // Replaces the stored divergence (see divergence.js) with `divergence`
+  setForkDivergence(repositoryId, divergence) {
+    const replace = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM fork_divergence WHERE repository_id = ?').run(repositoryId);
+      const insert = this.db.prepare(`
+        INSERT INTO fork_divergence (repository_id, path, fork_path, insertions, deletions, change)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      for (const file of divergence?.files.values() ?? []) {
+        insert.run(repositoryId, file.path, file.forkPath || null, file.insertions, file.deletions, file.change);
+      }
+      this.db.prepare(`
+        UPDATE repositories SET divergence_merge_base = ?, divergence_fork_tip = ? WHERE id = ?
+      `).run(divergence?.mergeBase ?? null, divergence?.forkTip ?? null, repositoryId);
+    });
+    return replace();
+  }
+
+  // The divergence stored by the last sync, or null when none was
+  getForkDivergence(repositoryId) {
+    const repo = this.db.prepare(`
+      SELECT divergence_merge_base, divergence_fork_tip FROM repositories WHERE id = ?
+    `).get(repositoryId);
+    if (!repo?.divergence_merge_base) return null;
+
+    const rows = this.db.prepare('SELECT * FROM fork_divergence WHERE repository_id = ?').all(repositoryId);
+    return {
+      mergeBase: repo.divergence_merge_base,
+      forkTip: repo.divergence_fork_tip,
+      files: new Map(rows.map(row => [row.path, {
+        path: row.path,
+        ...(row.fork_path && { forkPath: row.fork_path }),
+        insertions: row.insertions,
+        deletions: row.deletions,
+        change: row.change
+      }]))
+    };
+  }
+
   // Commit management
+  // Re-adding a tracked commit updates it in place, so its row id and the
+  // status, relations, integrations and overrides keyed to it are kept
   addCommit(repositoryId, commitData) {
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO commits 
-      (repository_id, hash, author, author_email, commit_date, message, files_changed, insertions, deletions)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO commits
+      (repository_id, hash, author, author_email, commit_date, message, body, trailers, conventional, files_changed, file_stats, insertions, deletions)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(repository_id, hash) DO UPDATE SET
+        author = excluded.author, author_email = excluded.author_email, commit_date = excluded.commit_date,
+        message = excluded.message, body = excluded.body, trailers = excluded.trailers,
+        conventional = excluded.conventional, files_changed = excluded.files_changed,
+        file_stats = excluded.file_stats, insertions = excluded.insertions, deletions = excluded.deletions
+      RETURNING id
     `);
-    
-    return stmt.run(
+
+    const { id } = stmt.get(
       repositoryId,
       commitData.hash,
       commitData.author,
       commitData.authorEmail,
       commitData.commitDate,
       commitData.message,
+      commitData.body || null,
+      JSON.stringify(commitData.trailers || {}),
+      commitData.conventional ? JSON.stringify(commitData.conventional) : null,
       JSON.stringify(commitData.filesChanged || []),
+      commitData.fileStats ? JSON.stringify(commitData.fileStats) : null,
       commitData.insertions || 0,
       commitData.deletions || 0
     );
+    return { changes: 1, lastInsertRowid: id };
+  }
+
+  // Stored or exported commit rows back into the shape addCommit takes
+  static fromCommitRow(row) {
+    const trailers = JSON.parse(row.trailers || '{}');
+    return {
+      hash: row.hash,
+      author: row.author,
+      authorEmail: row.author_email,
+      commitDate: row.commit_date,
+      message: row.message,
+      body: row.body,
+      trailers,
+      // Exports from before the column existed are parsed on the way in
+      conventional: 'conventional' in row
+        ? JSON.parse(row.conventional || 'null')
+        : parseConventionalCommit(row.message, trailers),
+      filesChanged: JSON.parse(row.files_changed || '[]'),
+      fileStats: row.file_stats ? JSON.parse(row.file_stats) : null,
+      insertions: row.insertions,
+      deletions: row.deletions
+    };
   }
 
   getCommit(repositoryId, hash) {
@@ -190,16 +302,20 @@ class ForkParityDatabase {
   }
 
   // Triage management
+  // A priority set by a reviewer survives re-triage. The rules' own priority
+  // is kept apart from one the model blended in, for training.
   addTriageResult(commitId, triageData) {
     const stmt = this.db.prepare(`
       INSERT OR REPLACE INTO triage_results
-      (commit_id, priority, category, impact_areas, conflict_risk, effort_estimate, reasoning, confidence)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      (commit_id, priority, rule_priority, category, impact_areas, conflict_risk, effort_estimate, reasoning, confidence)
+      VALUES (?, COALESCE((SELECT priority FROM priority_overrides WHERE commit_id = ?), ?), ?, ?, ?, ?, ?, ?, ?)
     `);
     
     return stmt.run(
+      commitId,
       commitId,
       triageData.priority,
+      triageData.model?.rulePriority ?? triageData.priority,
       triageData.category,
       JSON.stringify(triageData.impactAreas || []),
       triageData.conflictRisk,
@@ -209,25 +325,1099 @@ class ForkParityDatabase {
     );
   }
 
+  /**
+   * Set a commit's priority by hand. The triage priority it replaces is
+   * kept with the override, and the override is shared through the ledger
+   * or git notes like a status change.
+   */
+  setPriorityOverride(commitId, priority, metadata = {}) {
+    const timestamp = new Date().toISOString();
+    const entry = {
+      id: randomUUID(),
+      priority,
+      reviewer: metadata.reviewer,
+      reasoning: metadata.reason,
+      timestamp
+    };
+
+    const set = this.sharedTransaction(() => {
+      const result = this.storePriorityOverride(commitId, {
+        priority,
+        reviewer: metadata.reviewer,
+        reason: metadata.reason,
+        created_at: toSqliteTimestamp(timestamp)
+      });
+      this.shareDecision(commitId, entry);
+      return result;
+    });
+
+    return set();
+  }
+
+  getPriorityOverride(commitId) {
+    return this.db.prepare(`
+      SELECT priority, previous_priority, reviewer, reason, created_at
+      FROM priority_overrides WHERE commit_id = ?
+    `).get(commitId) ?? null;
+  }
+
+  // Replayed, imported and merged overrides only replace an older one
+  isNewerOverride(commitId, createdAt) {
+    const current = this.getPriorityOverride(commitId);
+    return !current || toTimestamp(createdAt) > toTimestamp(current.created_at);
+  }
+
+  storePriorityOverride(commitId, override) {
+    const store = this.db.transaction(() => {
+      const previous = this.db.prepare(`
+        SELECT COALESCE(
+          (SELECT previous_priority FROM priority_overrides WHERE commit_id = ?),
+          (SELECT priority FROM triage_results WHERE commit_id = ?)
+        ) AS priority
+      `).get(commitId, commitId).priority;
+
+      this.db.prepare(`
+        INSERT OR REPLACE INTO priority_overrides (commit_id, priority, previous_priority, reviewer, reason, created_at)
+        VALUES (?, ?, ?, ?, ?, COALESCE(?, strftime('%Y-%m-%d %H:%M:%f', 'now')))
+      `).run(commitId, override.priority, previous, override.reviewer || null, override.reason || null, override.created_at ?? null);
+      this.db.prepare('UPDATE triage_results SET priority = ? WHERE commit_id = ?').run(override.priority, commitId);
+
+      return { priority: override.priority, previousPriority: previous };
+    });
+
+    return store();
+  }
+
+  /**
+   * Commits a reviewer has ruled on (a priority override, or a current
+   * status of integrated, skipped or deferred), with their triage
+   */
+  getPriorityTrainingData(repositoryId) {
+    return this.db.prepare(`
+      SELECT c.hash, c.message, c.files_changed, tr.priority, tr.category, tr.effort_estimate,
+             cs.status, po.priority AS override_priority,
+             COALESCE(tr.rule_priority, po.previous_priority, tr.priority) AS rule_priority
+      FROM commits c
+      JOIN triage_results tr ON c.id = tr.commit_id
+      LEFT JOIN commit_status cs ON c.id = cs.commit_id
+      LEFT JOIN priority_overrides po ON c.id = po.commit_id
+      WHERE c.repository_id = ?
+        AND (po.priority IS NOT NULL OR cs.status IN ('integrated', 'skipped', 'deferred'))
+      ORDER BY c.commit_date ASC
+    `).all(repositoryId);
+  }
+
+  /**
+   * Insert a chunk of synced commits and their triage in one transaction.
+   * Commits that are already tracked are left as they are.
+   */
+  addCommitBatch(repositoryId, entries) {
+    const insert = this.db.transaction(() => {
+      let added = 0;
+      for (const { commit, triage } of entries) {
+        if (this.getCommitId(repositoryId, commit.hash)) continue;
+
+        const result = this.addCommit(repositoryId, commit);
+        this.addTriageResult(result.lastInsertRowid, triage);
+        added++;
+      }
+      return { added, skipped: entries.length - added };
+    });
+
+    return insert();
+  }
+
+  // Re-triaged results for tracked commits, in one transaction
+  replaceTriageResults(entries) {
+    const replace = this.db.transaction(() => {
+      for (const { commitId, triage } of entries) {
+        this.addTriageResult(commitId, triage);
+      }
+    });
+    return replace();
+  }
+
   // Status management
+  // Status changes are append-only events; the commit_status view exposes the
+  // latest event per commit as its current status. Each change is also
+  // written to the decisions.jsonl ledger or the commit's git note so it can
+  // be shared, unless `metadata.shared` is false.
   updateCommitStatus(commitId, status, metadata = {}) {
+    const current = this.getCurrentStatus(commitId);
+    const timestamp = new Date().toISOString();
+    const ledgerId = randomUUID();
+    const entry = {
+      id: ledgerId,
+      from: current?.status ?? null,
+      status,
+      reviewer: metadata.reviewer,
+      reasoning: metadata.decisionReasoning,
+      notes: metadata.adaptationNotes,
+      effort: metadata.integrationEffortActual,
+      timestamp
+    };
+
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO commit_status
-      (commit_id, status, decision_reasoning, reviewer, review_date, adaptation_notes, integration_effort_actual)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO commit_status_events
+      (commit_id, from_status, to_status, decision_reasoning, reviewer, review_date, adaptation_notes, integration_effort_actual, created_at, ledger_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
-    
+
+    const update = this.sharedTransaction(() => {
+      const result = stmt.run(
+        commitId,
+        current?.status ?? null,
+        status,
+        metadata.decisionReasoning,
+        metadata.reviewer,
+        metadata.reviewDate || timestamp,
+        metadata.adaptationNotes,
+        metadata.integrationEffortActual,
+        toSqliteTimestamp(timestamp),
+        ledgerId
+      );
+      if (metadata.shared !== false) {
+        this.shareDecision(commitId, entry);
+      }
+      return result;
+    });
+
+    return update();
+  }
+
+  /**
+   * Like db.transaction, but ledger and git notes entries queued with
+   * shareDecision while it runs are written only once the outermost
+   * transaction commits, so a rollback leaves no decision behind in either
+   */
+  sharedTransaction(fn) {
+    const transaction = this.db.transaction(fn);
+    return (...args) => {
+      if (this.pendingShares) return transaction(...args);
+
+      this.pendingShares = [];
+      let result;
+      let shares;
+      try {
+        result = transaction(...args);
+        shares = this.pendingShares;
+      } finally {
+        this.pendingShares = null;
+      }
+      this.writeShares(shares);
+      return result;
+    };
+  }
+
+  // Queues a ledger entry for a commit, or writes it at once outside a
+  // shared transaction
+  shareDecision(commitId, entry) {
+    if (!this.notes && !this.ledgerPath) return;
+
+    const { hash } = this.db.prepare('SELECT hash FROM commits WHERE id = ?').get(commitId);
+    const share = { hash, entry, triage: this.notes ? this.getNoteTriage(commitId) : null };
+    if (this.pendingShares) {
+      this.pendingShares.push(share);
+    } else {
+      this.writeShares([share]);
+    }
+  }
+
+  writeShares(shares) {
+    if (shares.length === 0) return;
+
+    if (this.notes) {
+      for (const { hash, entry, triage } of shares) {
+        this.notes.appendDecision(hash, entry, triage);
+      }
+    }
+    if (this.ledgerPath) {
+      appendFileSync(this.ledgerPath, shares.map(({ hash, entry }) => JSON.stringify({ hash, ...entry }) + '\n').join(''));
+    }
+  }
+
+  getNoteTriage(commitId) {
+    return this.db.prepare(`
+      SELECT priority, rule_priority, category, impact_areas, conflict_risk, effort_estimate, reasoning, confidence
+      FROM triage_results WHERE commit_id = ?
+    `).get(commitId);
+  }
+
+  readLedger() {
+    if (!this.ledgerPath || !existsSync(this.ledgerPath)) {
+      return [];
+    }
+
+    return readFileSync(this.ledgerPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          // Leftover merge conflict markers or a hand edit gone wrong
+          throw new Error(`Invalid JSON on line ${index + 1} of ${this.ledgerPath}`);
+        }
+      });
+  }
+
+  // Replays shared decisions from the ledger or git notes into the local cache
+  replayDecisions(repositoryId) {
+    if (!this.notes) {
+      return this.applyDecisionEntries(repositoryId, this.readLedger());
+    }
+
+    const notes = this.notes.readAll();
+    const insertTriage = this.db.prepare(`
+      INSERT OR IGNORE INTO triage_results
+      (commit_id, priority, rule_priority, category, impact_areas, conflict_risk, effort_estimate, reasoning, confidence)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    // Triage from a note only fills in commits that have none locally
+    for (const { hash, note } of notes) {
+      const commitId = this.getCommitId(repositoryId, hash);
+      if (commitId && note.triage?.priority && note.triage?.category) {
+        const triage = note.triage;
+        insertTriage.run(
+          commitId,
+          triage.priority,
+          triage.rule_priority ?? null,
+          triage.category,
+          triage.impact_areas || '[]',
+          triage.conflict_risk,
+          triage.effort_estimate,
+          triage.reasoning,
+          triage.confidence
+        );
+      }
+    }
+
+    return this.applyDecisionEntries(
+      repositoryId,
+      notes.flatMap(({ hash, note }) => (note.history || []).map(entry => ({ ...entry, hash })))
+    );
+  }
+
+  // Entries already applied are recognised by ledger id, and priority
+  // overrides by being no newer than the commit's current one; entries for
+  // commits not tracked yet are left for a later sync.
+  applyDecisionEntries(repositoryId, entries) {
+    entries = entries
+      .filter(entry => entry.id && entry.hash && toTimestamp(entry.timestamp))
+      .filter(entry => entry.status || PRIORITIES.includes(entry.priority))
+      .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+
+    const known = this.db.prepare('SELECT 1 FROM commit_status_events WHERE ledger_id = ?');
+    const stmt = this.db.prepare(`
+      INSERT INTO commit_status_events
+      (commit_id, from_status, to_status, decision_reasoning, reviewer, review_date, adaptation_notes, integration_effort_actual, created_at, ledger_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const result = { total: entries.length, applied: 0, alreadyApplied: 0, untracked: 0 };
+
+    const replay = this.db.transaction(() => {
+      for (const entry of entries) {
+        if (known.get(entry.id)) {
+          result.alreadyApplied++;
+          continue;
+        }
+
+        const commitId = this.getCommitId(repositoryId, entry.hash);
+        if (!commitId) {
+          result.untracked++;
+          continue;
+        }
+
+        if (!entry.status) {
+          const createdAt = toSqliteTimestamp(entry.timestamp);
+          if (this.isNewerOverride(commitId, createdAt)) {
+            this.storePriorityOverride(commitId, {
+              priority: entry.priority,
+              reviewer: entry.reviewer,
+              reason: entry.reasoning,
+              created_at: createdAt
+            });
+            result.applied++;
+          } else {
+            result.alreadyApplied++;
+          }
+          continue;
+        }
+
+        stmt.run(
+          commitId,
+          entry.from ?? null,
+          entry.status,
+          entry.reasoning,
+          entry.reviewer,
+          entry.timestamp,
+          entry.notes,
+          entry.effort,
+          toSqliteTimestamp(entry.timestamp),
+          entry.id
+        );
+        result.applied++;
+      }
+    });
+    replay();
+
+    return result;
+  }
+
+  getCurrentStatus(commitId) {
+    const stmt = this.db.prepare('SELECT * FROM commit_status WHERE commit_id = ?');
+    return stmt.get(commitId);
+  }
+
+  getCommitHistory(commitId) {
+    const stmt = this.db.prepare(`
+      SELECT id, from_status, to_status, decision_reasoning, reviewer, review_date,
+             adaptation_notes, integration_effort_actual, created_at, ledger_id
+      FROM commit_status_events
+      WHERE commit_id = ?
+      ORDER BY created_at ASC, id ASC
+    `);
+    return stmt.all(commitId);
+  }
+
+  // Integration tracking
+  // Links an upstream commit to the fork commit that brought it in and marks
+  // the upstream commit integrated, in one transaction. With `shared: false`
+  // the status change stays out of the ledger and git notes.
+  recordIntegration(commitId, integrationData) {
+    const stmt = this.db.prepare(`
+      INSERT INTO integrations
+      (commit_id, integration_type, target_branch, integration_commit_hash, conflicts_resolved, adaptation_changes, integration_date, detection_method, batch_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const record = this.sharedTransaction(() => {
+      const integrationDate = integrationData.integrationDate || new Date().toISOString();
+      const result = stmt.run(
+        commitId,
+        integrationData.integrationType || 'cherry-pick',
+        integrationData.targetBranch,
+        integrationData.integrationCommitHash,
+        JSON.stringify(integrationData.conflictsResolved || []),
+        integrationData.adaptationChanges,
+        integrationDate,
+        integrationData.detectionMethod || 'manual',
+        integrationData.batchId || null
+      );
+
+      this.updateCommitStatus(commitId, 'integrated', {
+        decisionReasoning: integrationData.decisionReasoning || this.describeIntegration({
+          integration_type: integrationData.integrationType || 'cherry-pick',
+          integration_commit_hash: integrationData.integrationCommitHash,
+          target_branch: integrationData.targetBranch
+        }),
+        reviewer: integrationData.reviewer,
+        reviewDate: integrationDate,
+        adaptationNotes: integrationData.adaptationChanges,
+        shared: integrationData.shared
+      });
+
+      return result;
+    });
+
+    return record();
+  }
+
+  getIntegrations(commitId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM integrations
+      WHERE commit_id = ?
+      ORDER BY integration_date DESC, id DESC
+    `);
+    return stmt.all(commitId);
+  }
+
+  getRecentIntegrations(repositoryId, limit = 20) {
+    const stmt = this.db.prepare(`
+      SELECT c.hash, c.message, i.integration_type, i.target_branch, i.integration_commit_hash,
+             i.conflicts_resolved, i.adaptation_changes, i.integration_date, i.detection_method, i.batch_id
+      FROM integrations i
+      JOIN commits c ON c.id = i.commit_id
+      WHERE c.repository_id = ?
+      ORDER BY i.integration_date DESC, i.id DESC
+      LIMIT ?
+    `);
+    return stmt.all(repositoryId, limit);
+  }
+
+  // Test suite runs against candidate integrations. `hashes` are the
+  // commits verified together; each gets a row sharing the batch id.
+  addVerificationResult(repositoryId, hashes, result) {
+    const stmt = this.db.prepare(`
+      INSERT INTO verification_results
+      (commit_id, batch_id, status, command, base_commit, exit_code, duration_ms, log_excerpt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const record = this.db.transaction(() => {
+      for (const hash of hashes) {
+        stmt.run(
+          this.getCommitId(repositoryId, hash),
+          result.batchId,
+          result.status,
+          result.command,
+          result.baseCommit,
+          result.exitCode ?? null,
+          result.durationMs,
+          result.logExcerpt
+        );
+      }
+    });
+    record();
+  }
+
+  getVerificationResults(commitId, limit = 10) {
+    const stmt = this.db.prepare(`
+      SELECT v.*, (
+        SELECT json_group_array(c.hash) FROM verification_results batch
+        JOIN commits c ON c.id = batch.commit_id
+        WHERE batch.batch_id = v.batch_id
+      ) AS batch_hashes
+      FROM verification_results v
+      WHERE v.commit_id = ?
+      ORDER BY v.created_at DESC, v.id DESC
+      LIMIT ?
+    `);
+    return stmt.all(commitId, limit).map(row => ({ ...row, batch_hashes: JSON.parse(row.batch_hashes) }));
+  }
+
+  // Integrations recorded together, in the order they were applied. Without a
+  // batch id, the most recent batch of the repository.
+  getIntegrationBatch(repositoryId, batchId = null) {
+    const id = batchId || this.db.prepare(`
+      SELECT i.batch_id FROM integrations i
+      JOIN commits c ON c.id = i.commit_id
+      WHERE c.repository_id = ? AND i.batch_id IS NOT NULL
+      ORDER BY i.id DESC
+      LIMIT 1
+    `).get(repositoryId)?.batch_id;
+    if (!id) return null;
+
+    const integrations = this.db.prepare(`
+      SELECT c.id AS commit_id, c.hash, c.message, i.integration_commit_hash, i.target_branch, i.integration_date
+      FROM integrations i
+      JOIN commits c ON c.id = i.commit_id
+      WHERE c.repository_id = ? AND i.batch_id = ?
+      ORDER BY i.id ASC
+    `).all(repositoryId, id);
+    return integrations.length > 0 ? { batchId: id, integrations } : null;
+  }
+
+  // Tracked upstream commits not yet marked integrated, for automatic detection
+  getUnintegratedCommits(repositoryId) {
+    const stmt = this.db.prepare(`
+      SELECT c.id, c.hash
+      FROM commits c
+      LEFT JOIN commit_status cs ON c.id = cs.commit_id
+      WHERE c.repository_id = ? AND (cs.status IS NULL OR cs.status != 'integrated')
+    `);
+    return stmt.all(repositoryId);
+  }
+
+  // Triaged commits still waiting for a decision, oldest upstream first.
+  // Sync inserts newest first, so ties on the date go to the later row id.
+  getPendingCommits(repositoryId) {
+    const stmt = this.db.prepare(`
+      SELECT c.*, tr.priority, tr.category, tr.impact_areas, tr.effort_estimate, tr.conflict_risk,
+             tr.reasoning, tr.confidence
+      FROM commits c
+      JOIN triage_results tr ON c.id = tr.commit_id
+      LEFT JOIN commit_status cs ON c.id = cs.commit_id
+      WHERE c.repository_id = ?
+        AND (cs.status IS NULL OR cs.status = 'pending')
+      ORDER BY c.commit_date ASC, c.id DESC
+    `);
+    return stmt.all(repositoryId);
+  }
+
+  // Tracked commits still pending or deferred, by row id, a chunk at a time
+  getUndecidedCommits(repositoryId, afterId = 0, limit = 500) {
+    return this.db.prepare(`
+      SELECT c.*
+      FROM commits c
+      LEFT JOIN commit_status cs ON c.id = cs.commit_id
+      WHERE c.repository_id = ? AND c.id > ?
+        AND (cs.status IS NULL OR cs.status IN ('pending', 'deferred'))
+      ORDER BY c.id ASC
+      LIMIT ?
+    `).all(repositoryId, afterId, limit);
+  }
+
+  describeIntegration(integration) {
+    const parts = [`Integrated via ${integration.integration_type}`];
+    if (integration.integration_commit_hash) {
+      parts.push(integration.integration_commit_hash.substring(0, 8));
+    }
+    if (integration.target_branch) {
+      parts.push(`on branch ${integration.target_branch}`);
+    }
+    if (integration.detection_method && integration.detection_method !== 'manual') {
+      parts.push(`(detected by ${integration.detection_method})`);
+    }
+    return parts.join(' ');
+  }
+
+  // Commit relations
+  addCommitRelation(commitId, relatedCommitId, relationType, evidence) {
+    const stmt = this.db.prepare(`
+      INSERT OR IGNORE INTO commit_relations (commit_id, related_commit_id, relation_type, evidence)
+      VALUES (?, ?, ?, ?)
+    `);
+    return stmt.run(commitId, relatedCommitId, relationType, evidence);
+  }
+
+  // Both directions: what this commit depends on and what depends on it
+  getCommitRelations(commitId) {
+    const stmt = this.db.prepare(`
+      SELECT 'depends_on' as direction, r.relation_type, r.evidence, c.hash, c.message,
+             COALESCE(cs.status, 'pending') as status
+      FROM commit_relations r
+      JOIN commits c ON c.id = r.related_commit_id
+      LEFT JOIN commit_status cs ON c.id = cs.commit_id
+      WHERE r.commit_id = ?
+      UNION ALL
+      SELECT 'required_by' as direction, r.relation_type, r.evidence, c.hash, c.message,
+             COALESCE(cs.status, 'pending') as status
+      FROM commit_relations r
+      JOIN commits c ON c.id = r.commit_id
+      LEFT JOIN commit_status cs ON c.id = cs.commit_id
+      WHERE r.related_commit_id = ?
+    `);
+    return stmt.all(commitId, commitId);
+  }
+
+  // Map of commit hash to the hashes it depends on. Follow-ups are only a
+  // guess from shared files, so they do not count.
+  getPrerequisites(repositoryId) {
+    const rows = this.db.prepare(`
+      SELECT c.hash, related.hash as prerequisite
+      FROM commit_relations r
+      JOIN commits c ON c.id = r.commit_id
+      JOIN commits related ON related.id = r.related_commit_id
+      WHERE c.repository_id = ? AND r.relation_type != 'follow-up'
+    `).all(repositoryId);
+
+    const prerequisites = {};
+    for (const row of rows) {
+      (prerequisites[row.hash] ||= []).push(row.prerequisite);
+    }
+    return prerequisites;
+  }
+
+  // A pending revert of a pending commit: integrating neither changes the fork.
+  // A revert that is itself reverted is left out, since the pair after it
+  // (revert of the revert) is the one that cancels.
+  getNetZeroPairs(repositoryId) {
+    const stmt = this.db.prepare(`
+      SELECT revert.hash as revert_hash, revert.message as revert_message,
+             original.hash as original_hash, original.message as original_message
+      FROM commit_relations r
+      JOIN commits revert ON revert.id = r.commit_id
+      JOIN commits original ON original.id = r.related_commit_id
+      LEFT JOIN commit_status revert_status ON revert_status.commit_id = revert.id
+      LEFT JOIN commit_status original_status ON original_status.commit_id = original.id
+      WHERE revert.repository_id = ?
+        AND r.relation_type = 'reverts'
+        AND COALESCE(revert_status.status, 'pending') = 'pending'
+        AND COALESCE(original_status.status, 'pending') = 'pending'
+        AND NOT EXISTS (
+          SELECT 1 FROM commit_relations rr
+          WHERE rr.related_commit_id = r.commit_id AND rr.relation_type = 'reverts'
+        )
+    `);
+    return stmt.all(repositoryId);
+  }
+
+  skipNetZeroPairs(repositoryId, metadata = {}) {
+    const pairs = this.getNetZeroPairs(repositoryId);
+
+    const skip = this.sharedTransaction(() => {
+      for (const pair of pairs) {
+        const decisionReasoning = `Net zero: ${pair.revert_hash.substring(0, 8)} reverts ${pair.original_hash.substring(0, 8)}`;
+        for (const hash of [pair.original_hash, pair.revert_hash]) {
+          this.updateCommitStatus(this.getCommitId(repositoryId, hash), 'skipped', { ...metadata, decisionReasoning });
+        }
+      }
+    });
+    skip();
+
+    return pairs;
+  }
+
+  // Adaptation patterns learned from past integrations
+  addAdaptationPattern(pattern) {
+    const stmt = this.db.prepare(`
+      INSERT INTO adaptation_patterns
+      (pattern_id, commit_hash, pattern_type, file_pattern, source_pattern, target_pattern, context, success, effort, notes, enabled)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
     return stmt.run(
-      commitId,
-      status,
-      metadata.decisionReasoning,
-      metadata.reviewer,
-      metadata.reviewDate || new Date().toISOString(),
-      metadata.adaptationNotes,
-      metadata.integrationEffortActual
+      pattern.id,
+      pattern.commitHash,
+      pattern.type,
+      pattern.filePattern,
+      pattern.sourcePattern,
+      pattern.targetPattern,
+      JSON.stringify(pattern.context || {}),
+      pattern.success === false ? 0 : 1,
+      pattern.effort,
+      pattern.notes,
+      pattern.enabled === false ? 0 : 1
     );
   }
 
+  getAdaptationPatterns(options = {}) {
+    const { includeDisabled = false, type } = options;
+
+    let query = 'SELECT * FROM adaptation_patterns WHERE 1 = 1';
+    const params = [];
+
+    if (!includeDisabled) {
+      query += ' AND enabled = 1';
+    }
+
+    if (type) {
+      query += ' AND pattern_type = ?';
+      params.push(type);
+    }
+
+    return this.db.prepare(`${query} ORDER BY created_at DESC, id DESC`).all(...params);
+  }
+
+  getAdaptationPattern(patternId) {
+    const stmt = this.db.prepare('SELECT * FROM adaptation_patterns WHERE pattern_id = ?');
+    return stmt.get(patternId);
+  }
+
+  updateAdaptationPattern(patternId, updates = {}) {
+    const columns = {
+      type: 'pattern_type',
+      filePattern: 'file_pattern',
+      sourcePattern: 'source_pattern',
+      targetPattern: 'target_pattern',
+      context: 'context',
+      success: 'success',
+      effort: 'effort',
+      notes: 'notes',
+      enabled: 'enabled'
+    };
+
+    const assignments = [];
+    const params = [];
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (updates[key] === undefined) continue;
+
+      let value = updates[key];
+      if (key === 'context') value = JSON.stringify(value || {});
+      if (key === 'success' || key === 'enabled') value = value ? 1 : 0;
+
+      assignments.push(`${column} = ?`);
+      params.push(value);
+    }
+
+    if (assignments.length === 0) {
+      return { changes: 0 };
+    }
+
+    const stmt = this.db.prepare(`UPDATE adaptation_patterns SET ${assignments.join(', ')} WHERE pattern_id = ?`);
+    return stmt.run(...params, patternId);
+  }
+
+  deleteAdaptationPattern(patternId) {
+    const stmt = this.db.prepare('DELETE FROM adaptation_patterns WHERE pattern_id = ?');
+    return stmt.run(patternId);
+  }
+
+  // Export and import
+  exportRepositoryData(repositoryId) {
+    const repository = this.db.prepare('SELECT * FROM repositories WHERE id = ?').get(repositoryId);
+    const commits = this.db.prepare(`
+      SELECT 
+        c.*,
+        tr.priority, tr.rule_priority, tr.category, tr.impact_areas, tr.conflict_risk,
+        tr.effort_estimate, tr.reasoning, tr.confidence,
+        cs.status, cs.decision_reasoning, cs.reviewer, cs.review_date
+      FROM commits c
+      LEFT JOIN triage_results tr ON c.id = tr.commit_id
+      LEFT JOIN commit_status cs ON c.id = cs.commit_id
+      WHERE c.repository_id = ?
+      ORDER BY c.commit_date DESC
+    `).all(repositoryId);
+
+    return {
+      repository,
+      schemaVersion: this.getSchemaVersion(),
+      commits: commits.map(commit => ({
+        ...commit,
+        history: this.getCommitHistory(commit.id),
+        integrations: this.getIntegrations(commit.id),
+        priority_override: this.getPriorityOverride(commit.id)
+      })),
+      exportedAt: new Date().toISOString()
+    };
+  }
+
+  // Restores commits, triage, status history and integrations from
+  // exportRepositoryData output. A commit that is already tracked is kept
+  // (skip), replaced (overwrite), or replaced only when the import saw a
+  // later status change or integration (newest-wins).
+  importRepositoryData(repositoryId, data, options = {}) {
+    const { strategy = 'skip', dryRun = false } = options;
+
+    if (!IMPORT_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown merge strategy: ${strategy}. Use one of: ${IMPORT_STRATEGIES.join(', ')}`);
+    }
+    if (!data || !Array.isArray(data.commits)) {
+      throw new Error('Import data has no commits array');
+    }
+
+    const summary = {
+      strategy,
+      dryRun,
+      total: data.commits.length,
+      added: 0,
+      overwritten: 0,
+      skipped: 0,
+      statusEvents: 0,
+      integrations: 0,
+      priorityOverrides: 0,
+      conflicts: []
+    };
+
+    const apply = this.sharedTransaction(() => {
+      for (const commit of data.commits) {
+        if (!commit.hash) continue;
+
+        const history = this.getImportedHistory(commit);
+        const existingId = this.getCommitId(repositoryId, commit.hash);
+
+        if (!existingId) {
+          const result = this.addCommit(repositoryId, ForkParityDatabase.fromCommitRow(commit));
+          this.importCommitRecords(result.lastInsertRowid, commit, history, summary);
+          summary.added++;
+          continue;
+        }
+
+        const ours = this.getCurrentStatus(existingId)?.status || 'pending';
+        const theirs = history.length > 0 ? history[history.length - 1].to_status : 'pending';
+
+        let takeTheirs = strategy === 'overwrite';
+        if (strategy === 'newest-wins') {
+          const oursActivity = this.getLastActivity(this.getCommitHistory(existingId), this.getIntegrations(existingId));
+          takeTheirs = this.getLastActivity(history, commit.integrations || []) > oursActivity;
+        }
+
+        if (ours !== theirs) {
+          summary.conflicts.push({ hash: commit.hash, ours, theirs, resolution: takeTheirs ? 'theirs' : 'ours' });
+        }
+
+        if (!takeTheirs) {
+          summary.skipped++;
+          continue;
+        }
+
+        const { conventional } = ForkParityDatabase.fromCommitRow(commit);
+        this.db.prepare(`
+          UPDATE commits
+          SET author = ?, author_email = ?, commit_date = ?, message = ?, body = ?, trailers = ?, conventional = ?,
+              files_changed = ?, file_stats = ?, insertions = ?, deletions = ?
+          WHERE id = ?
+        `).run(
+          commit.author,
+          commit.author_email,
+          commit.commit_date,
+          commit.message,
+          commit.body || null,
+          commit.trailers || '{}',
+          conventional ? JSON.stringify(conventional) : null,
+          commit.files_changed || '[]',
+          commit.file_stats || null,
+          commit.insertions || 0,
+          commit.deletions || 0,
+          existingId
+        );
+        this.db.prepare('DELETE FROM triage_results WHERE commit_id = ?').run(existingId);
+        this.db.prepare('DELETE FROM commit_status_events WHERE commit_id = ?').run(existingId);
+        this.db.prepare('DELETE FROM integrations WHERE commit_id = ?').run(existingId);
+        this.db.prepare('DELETE FROM priority_overrides WHERE commit_id = ?').run(existingId);
+        this.importCommitRecords(existingId, commit, history, summary);
+        summary.overwritten++;
+      }
+
+      if (dryRun) throw DRY_RUN_ROLLBACK;
+    });
+
+    try {
+      apply();
+    } catch (error) {
+      if (error !== DRY_RUN_ROLLBACK) throw error;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Open another parity database for merging without modifying it. The file
+   * is snapshotted to a temporary copy, which is migrated to the current
+   * schema; close() on the returned instance removes the copy.
+   */
+  static openSnapshot(path) {
+    if (!existsSync(path)) {
+      throw new Error(`Database not found: ${path}`);
+    }
+
+    const snapshotPath = join(tmpdir(), `fork-parity-snapshot-${process.pid}-${Date.now()}.db`);
+    const source = new Database(path, { readonly: true, fileMustExist: true });
+    try {
+      source.prepare('VACUUM INTO ?').run(snapshotPath);
+    } finally {
+      source.close();
+    }
+
+    const snapshot = new ForkParityDatabase(snapshotPath, { autoMigrate: false });
+    snapshot.migrate({ backup: false });
+    snapshot.close = () => {
+      snapshot.db.close();
+      rmSync(snapshotPath, { force: true });
+    };
+    return snapshot;
+  }
+
+  // Reconciles another teammate's data for the same repository into this one.
+  // Unlike importRepositoryData nothing local is replaced: missing commits,
+  // triage and integrations are added, and status events are appended when
+  // one side's history extends the other's. Histories that diverged with
+  // different outcomes are reported as conflicts and left for manual review.
+  mergeRepositoryData(repositoryId, data, options = {}) {
+    const { dryRun = false } = options;
+    const eventKey = event => [event.to_status, event.created_at, event.reviewer || '', event.decision_reasoning || ''].join('\u0000');
+    const integrationKey = integration => [integration.integration_commit_hash, integration.integration_type, integration.target_branch || ''].join('\u0000');
+    const describeEvent = event => event && {
+      status: event.to_status,
+      reviewer: event.reviewer,
+      reasoning: event.decision_reasoning,
+      at: event.created_at
+    };
+
+    const summary = {
+      dryRun,
+      total: data.commits.length,
+      added: 0,
+      updated: 0,
+      unchanged: 0,
+      triage: 0,
+      statusEvents: 0,
+      integrations: 0,
+      priorityOverrides: 0,
+      conflicts: []
+    };
+
+    const apply = this.sharedTransaction(() => {
+      for (const commit of data.commits) {
+        const existingId = this.getCommitId(repositoryId, commit.hash);
+
+        if (!existingId) {
+          const result = this.addCommit(repositoryId, ForkParityDatabase.fromCommitRow(commit));
+          this.importCommitRecords(result.lastInsertRowid, commit, commit.history || [], summary);
+          summary.added++;
+          continue;
+        }
+
+        let changed = false;
+
+        if (commit.priority && commit.category && !this.db.prepare('SELECT 1 FROM triage_results WHERE commit_id = ?').get(existingId)) {
+          this.importCommitRecords(existingId, { ...commit, integrations: [], priority_override: null }, [], summary);
+          summary.triage++;
+          changed = true;
+        }
+
+        if (this.importPriorityOverride(existingId, commit.priority_override, summary)) {
+          changed = true;
+        }
+
+        const ourIntegrations = new Set(this.getIntegrations(existingId).map(integrationKey));
+        const newIntegrations = (commit.integrations || []).filter(integration => !ourIntegrations.has(integrationKey(integration)));
+        if (newIntegrations.length > 0) {
+          this.importCommitRecords(existingId, { integrations: newIntegrations }, [], summary);
+          changed = true;
+        }
+
+        const ours = this.getCommitHistory(existingId);
+        const theirs = commit.history || [];
+        const oursIsPrefix = ours.every((event, index) => theirs[index] && eventKey(theirs[index]) === eventKey(event));
+        const theirsIsPrefix = theirs.every((event, index) => ours[index] && eventKey(ours[index]) === eventKey(event));
+
+        if (oursIsPrefix && theirs.length > ours.length) {
+          this.importCommitRecords(existingId, { integrations: [] }, theirs.slice(ours.length), summary);
+          changed = true;
+        } else if (!oursIsPrefix && !theirsIsPrefix) {
+          const ourLatest = ours[ours.length - 1];
+          const theirLatest = theirs[theirs.length - 1];
+          if (ourLatest.to_status !== theirLatest.to_status) {
+            summary.conflicts.push({
+              hash: commit.hash,
+              message: commit.message,
+              ours: describeEvent(ourLatest),
+              theirs: describeEvent(theirLatest)
+            });
+          }
+        }
+
+        if (changed) {
+          summary.updated++;
+        } else {
+          summary.unchanged++;
+        }
+      }
+
+      if (dryRun) throw DRY_RUN_ROLLBACK;
+    });
+
+    try {
+      apply();
+    } catch (error) {
+      if (error !== DRY_RUN_ROLLBACK) throw error;
+    }
+
+    return summary;
+  }
+
+  // Exports written before status history existed only carry the current status
+  getImportedHistory(commit) {
+    if (Array.isArray(commit.history)) return commit.history;
+    if (!commit.status) return [];
+
+    return [{
+      from_status: null,
+      to_status: commit.status,
+      decision_reasoning: commit.decision_reasoning,
+      reviewer: commit.reviewer,
+      review_date: commit.review_date,
+      created_at: commit.review_date
+    }];
+  }
+
+  getLastActivity(history, integrations) {
+    const times = [
+      ...history.map(event => toTimestamp(event.created_at)),
+      ...integrations.map(integration => toTimestamp(integration.integration_date))
+    ];
+    return Math.max(0, ...times);
+  }
+
+  importCommitRecords(commitId, commit, history, summary) {
+    if (commit.priority && commit.category) {
+      this.db.prepare(`
+        INSERT OR REPLACE INTO triage_results
+        (commit_id, priority, rule_priority, category, impact_areas, conflict_risk, effort_estimate, reasoning, confidence)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        commitId,
+        commit.priority,
+        commit.rule_priority ?? null,
+        commit.category,
+        commit.impact_areas || '[]',
+        commit.conflict_risk,
+        commit.effort_estimate,
+        commit.reasoning,
+        commit.confidence
+      );
+    }
+
+    this.importPriorityOverride(commitId, commit.priority_override, summary);
+
+    // Events carrying a ledger id that is already applied here were replayed
+    // from decisions.jsonl on both sides. The rest are new here and are
+    // shared like decisions made on this machine.
+    const eventStmt = this.db.prepare(`
+      INSERT OR IGNORE INTO commit_status_events
+      (commit_id, from_status, to_status, decision_reasoning, reviewer, review_date, adaptation_notes, integration_effort_actual, created_at, ledger_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const event of history) {
+      const createdAt = event.created_at || toSqliteTimestamp(new Date());
+      const ledgerId = event.ledger_id ?? randomUUID();
+      const result = eventStmt.run(
+        commitId,
+        event.from_status,
+        event.to_status,
+        event.decision_reasoning,
+        event.reviewer,
+        event.review_date,
+        event.adaptation_notes,
+        event.integration_effort_actual,
+        createdAt,
+        ledgerId
+      );
+      summary.statusEvents += result.changes;
+
+      if (result.changes > 0) {
+        this.shareDecision(commitId, {
+          id: ledgerId,
+          from: event.from_status ?? null,
+          status: event.to_status,
+          reviewer: event.reviewer,
+          reasoning: event.decision_reasoning,
+          notes: event.adaptation_notes,
+          effort: event.integration_effort_actual,
+          timestamp: toIsoTimestamp(createdAt)
+        });
+      }
+    }
+
+    const integrationStmt = this.db.prepare(`
+      INSERT INTO integrations
+      (commit_id, integration_type, target_branch, integration_commit_hash, conflicts_resolved, adaptation_changes, integration_date, detection_method, batch_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    // Exported newest first; insert oldest first to keep the original order
+    for (const integration of [...(commit.integrations || [])].reverse()) {
+      integrationStmt.run(
+        commitId,
+        integration.integration_type,
+        integration.target_branch,
+        integration.integration_commit_hash,
+        integration.conflicts_resolved,
+        integration.adaptation_changes,
+        integration.integration_date,
+        integration.detection_method || 'manual',
+        integration.batch_id ?? null
+      );
+      summary.integrations++;
+    }
+  }
+
+  importPriorityOverride(commitId, override, summary) {
+    if (!override?.priority || !this.isNewerOverride(commitId, override.created_at)) {
+      return false;
+    }
+    const createdAt = override.created_at || toSqliteTimestamp(new Date());
+    // The exporting side's triage priority before the override
+    this.db.prepare(`
+      INSERT OR REPLACE INTO priority_overrides (commit_id, priority, previous_priority, reviewer, reason, created_at)
+      VALUES (?, ?, COALESCE(?, (SELECT priority FROM triage_results WHERE commit_id = ?)), ?, ?, ?)
+    `).run(commitId, override.priority, override.previous_priority, commitId, override.reviewer, override.reason, createdAt);
+    this.db.prepare('UPDATE triage_results SET priority = ? WHERE commit_id = ?').run(override.priority, commitId);
+    this.shareDecision(commitId, {
+      id: randomUUID(),
+      priority: override.priority,
+      reviewer: override.reviewer,
+      reasoning: override.reason,
+      timestamp: toIsoTimestamp(createdAt)
+    });
+    summary.priorityOverrides++;
+    return true;
+  }
+
   // Analytics and reporting
   getParityDashboard(repositoryId, options = {}) {
     const { since, priority, status } = options;
@@ -288,14 +1478,183 @@ class ForkParityDatabase {
     `);
 
     const actionableItems = actionableStmt.all(repositoryId);
+    const recentIntegrations = this.getRecentIntegrations(repositoryId, 10);
 
     return {
       summary,
       actionableItems,
+      recentIntegrations,
       generatedAt: new Date().toISOString()
     };
   }
 
+  // Full-text search
+  searchCommits(repositoryId, query, options = {}) {
+    const { status, priority, since, until, limit = 20 } = options;
+
+    let whereClause = 'WHERE commit_search MATCH ? AND c.repository_id = ?';
+    const params = [repositoryId];
+
+    if (status) {
+      whereClause += ' AND COALESCE(cs.status, \'pending\') = ?';
+      params.push(status);
+    }
+
+    if (priority) {
+      whereClause += ' AND tr.priority = ?';
+      params.push(priority);
+    }
+
+    if (since) {
+      whereClause += ' AND c.commit_date >= ?';
+      params.push(this.resolveSinceDate(since));
+    }
+
+    if (until) {
+      whereClause += ' AND c.commit_date <= ?';
+      params.push(this.resolveSinceDate(until));
+    }
+
+    const stmt = this.db.prepare(`
+      SELECT
+        c.hash, c.message, c.author, c.commit_date,
+        tr.priority, tr.category,
+        COALESCE(cs.status, 'pending') as status,
+        snippet(commit_search, -1, '[', ']', '…', 12) as snippet,
+        bm25(commit_search, 4.0, 2.0, 1.0, 1.0, 1.0) as rank
+      FROM commit_search
+      JOIN commits c ON c.id = commit_search.rowid
+      LEFT JOIN triage_results tr ON c.id = tr.commit_id
+      LEFT JOIN commit_status cs ON c.id = cs.commit_id
+      ${whereClause}
+      ORDER BY rank
+      LIMIT ?
+    `);
+
+    try {
+      return stmt.all(query, ...params, limit);
+    } catch (error) {
+      if (!/fts5: syntax error|unterminated string|no such column|unknown special query/.test(error.message)) throw error;
+      // Plain text with punctuation (paths, hashes, "foo-bar") is not valid
+      // FTS5 syntax, so fall back to matching each term literally
+      const literal = query.split(/\s+/).filter(Boolean).map(term => `"${term.replace(/"/g, '""')}"`).join(' ');
+      return stmt.all(literal, ...params, limit);
+    }
+  }
+
+  // Metrics snapshots
+  // A commit counts as pending until it is integrated or skipped.
+  recordMetricsSnapshot(repositoryId) {
+    const open = '(cs.status IS NULL OR cs.status NOT IN (\'integrated\', \'skipped\'))';
+    const stats = this.db.prepare(`
+      SELECT
+        COUNT(CASE WHEN ${open} THEN 1 END) as pending_total,
+        COUNT(CASE WHEN ${open} AND tr.priority = 'critical' THEN 1 END) as pending_critical,
+        COUNT(CASE WHEN ${open} AND tr.priority = 'high' THEN 1 END) as pending_high,
+        COUNT(CASE WHEN ${open} AND tr.priority = 'medium' THEN 1 END) as pending_medium,
+        COUNT(CASE WHEN ${open} AND tr.priority = 'low' THEN 1 END) as pending_low,
+        COUNT(CASE WHEN cs.status = 'integrated' THEN 1 END) as integrated_count,
+        COUNT(CASE WHEN cs.status = 'skipped' THEN 1 END) as skipped_count,
+        MIN(CASE WHEN ${open} THEN c.commit_date END) as oldest_pending,
+        AVG(CASE WHEN ${open} THEN tr.conflict_risk END) as avg_conflict_risk
+      FROM commits c
+      LEFT JOIN triage_results tr ON c.id = tr.commit_id
+      LEFT JOIN commit_status cs ON c.id = cs.commit_id
+      WHERE c.repository_id = ?
+    `).get(repositoryId);
+
+    const recordedAt = new Date().toISOString();
+    const lagDays = stats.oldest_pending
+      ? Math.max(0, Math.round((Date.now() - new Date(stats.oldest_pending).getTime()) / 8640000) / 10)
+      : 0;
+
+    const snapshot = {
+      pending_total: stats.pending_total,
+      pending_critical: stats.pending_critical,
+      pending_high: stats.pending_high,
+      pending_medium: stats.pending_medium,
+      pending_low: stats.pending_low,
+      integrated_count: stats.integrated_count,
+      skipped_count: stats.skipped_count,
+      lag_days: lagDays,
+      avg_conflict_risk: stats.avg_conflict_risk ?? 0
+    };
+
+    const stmt = this.db.prepare(`
+      INSERT INTO metrics (repository_id, metric_type, metric_value, metric_data, period_start, period_end)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    const record = this.db.transaction(() => {
+      for (const [metricType, value] of Object.entries(snapshot)) {
+        const data = metricType === 'lag_days' ? { oldest_pending: stats.oldest_pending } : null;
+        stmt.run(repositoryId, metricType, value, data && JSON.stringify(data), recordedAt, recordedAt);
+      }
+    });
+    record();
+
+    return { recordedAt, metrics: snapshot };
+  }
+
+  getMetricSeries(repositoryId, options = {}) {
+    const { type, since, until } = options;
+
+    let query = `
+      SELECT metric_type, metric_value, metric_data, period_start, period_end
+      FROM metrics
+      WHERE repository_id = ?
+    `;
+    const params = [repositoryId];
+
+    if (type) {
+      query += ' AND metric_type = ?';
+      params.push(type);
+    }
+
+    if (since) {
+      query += ' AND period_end >= ?';
+      params.push(this.resolveSinceDate(since));
+    }
+
+    if (until) {
+      query += ' AND period_end <= ?';
+      params.push(this.resolveSinceDate(until));
+    }
+
+    return this.db.prepare(`${query} ORDER BY period_end ASC, id ASC`).all(...params);
+  }
+
+  getLatestMetrics(repositoryId) {
+    const stmt = this.db.prepare(`
+      SELECT m.metric_type, m.metric_value, m.period_end
+      FROM metrics m
+      WHERE m.repository_id = ?
+        AND m.id = (SELECT MAX(id) FROM metrics WHERE repository_id = m.repository_id AND metric_type = m.metric_type)
+      ORDER BY m.metric_type
+    `);
+    return stmt.all(repositoryId);
+  }
+
+  // Accepts an ISO date or a relative window such as 90d, 12w, 6m or 1y
+  resolveSinceDate(value) {
+    const relative = /^(\d+)([dwmy])$/.exec(String(value).trim());
+    if (!relative) {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date: ${value}`);
+      }
+      return date.toISOString();
+    }
+
+    const amount = parseInt(relative[1]);
+    const date = new Date();
+    if (relative[2] === 'd') date.setDate(date.getDate() - amount);
+    if (relative[2] === 'w') date.setDate(date.getDate() - amount * 7);
+    if (relative[2] === 'm') date.setMonth(date.getMonth() - amount);
+    if (relative[2] === 'y') date.setFullYear(date.getFullYear() - amount);
+    return date.toISOString();
+  }
+
   getCommitsByStatus(repositoryId, status, limit = 50) {
     const stmt = this.db.prepare(`
       SELECT c.*, tr.priority, tr.category, cs.status, cs.decision_reasoning
@@ -312,21 +1671,9 @@ class ForkParityDatabase {
 
   // Batch operations
   batchUpdateStatus(commitIds, status, metadata = {}) {
-    const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO commit_status
-      (commit_id, status, decision_reasoning, reviewer, review_date)
-      VALUES (?, ?, ?, ?, ?)
-    `);
-    
-    const transaction = this.db.transaction((ids) => {
+    const transaction = this.sharedTransaction((ids) => {
       for (const commitId of ids) {
-        stmt.run(
-          commitId,
-          status,
-          metadata.decisionReasoning,
-          metadata.reviewer,
-          metadata.reviewDate || new Date().toISOString()
-        );
+        this.updateCommitStatus(commitId, status, metadata);
       }
     });
     
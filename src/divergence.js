@@ -0,0 +1,54 @@
+// How far the fork has diverged from upstream, per file
+//
+// The fork branch is diffed against its merge-base with the upstream tip,
+// with rename detection, giving the lines the fork changed in every file
+// since the histories split. Files are keyed by their path at the
+// merge-base, which is the path upstream commits use unless they renamed the
+// file themselves. Sync computes this once and stores it with the
+// repository, and triage scores conflict risk from it.
+
+import { runGit, assertRef } from './git-runner.js';
+import { parseNumstat } from './git-log.js';
+
+/**
+ * Files the fork changed since its merge-base with `upstreamRef`: {
+ * mergeBase, forkTip, files } where files maps each merge-base path to {
+ * path, forkPath, insertions, deletions, change } and change is modified,
+ * added, deleted or renamed. Null when the histories share no commit.
+ */
+export function readForkDivergence(forkRef, upstreamRef, repositoryPath) {
+  const git = args => runGit(args, { cwd: repositoryPath });
+
+  const forkTip = git(['rev-parse', '--verify', `${assertRef(forkRef, 'fork branch')}^{commit}`]).trim();
+  let mergeBase;
+  try {
+    mergeBase = git(['merge-base', forkTip, assertRef(upstreamRef, 'upstream ref')]).trim();
+  } catch (error) {
+    // Exit code 1: unrelated histories
+    if (error.exitCode === 1) return null;
+    throw error;
+  }
+
+  const diff = ['diff', '-z', '-M', '--no-ext-diff', '--no-textconv', mergeBase, forkTip];
+  const added = new Set(git([...diff, '--diff-filter=A', '--name-only', '--']).split('\0').filter(Boolean));
+  const deleted = new Set(git([...diff, '--diff-filter=D', '--name-only', '--']).split('\0').filter(Boolean));
+
+  const files = new Map();
+  for (const stat of parseNumstat(git([...diff, '--numstat', '--']))) {
+    const path = stat.oldPath ?? stat.path;
+    let change = 'modified';
+    if (stat.oldPath) change = 'renamed';
+    else if (added.has(stat.path)) change = 'added';
+    else if (deleted.has(stat.path)) change = 'deleted';
+
+    files.set(path, {
+      path,
+      ...(stat.oldPath && { forkPath: stat.path }),
+      insertions: stat.insertions,
+      deletions: stat.deletions,
+      change
+    });
+  }
+
+  return { mergeBase, forkTip, files };
+}
@@ -9,13 +9,22 @@ import {
   McpError,
 } from '@modelcontextprotocol/sdk/types.js';
 
-import ForkParityDatabase from './database.js';
-import SmartTriageSystem from './triage.js';
+import ForkParityDatabase, { METRIC_TYPES, IMPORT_STRATEGIES } from './database.js';
+import { triageForRepository } from './triage-config.js';
 import AdvancedAnalysisSystem from './advanced-analysis.js';
 import IntegrationHelpersSystem from './integration-helpers.js';
+import CommitRelationsSystem from './commit-relations.js';
+import UpstreamSyncSystem from './upstream-sync.js';
+import ConflictMatrixSystem from './conflict-matrix.js';
+import CherryPickSystem from './cherry-pick.js';
+import IntegrationVerificationSystem from './verification.js';
+import { readCommits } from './git-log.js';
+import { readPatch, readPatches } from './patch.js';
 import GitHubActionsIntegration from './github-actions.js';
 import NotificationSystem from './notifications.js';
-import { execSync } from 'child_process';
+import { runGit, runGitAsync, assertRef, assertRange, GitError, FETCH_TIMEOUT_MS } from './git-runner.js';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
 
 class EnhancedForkParityServer {
   constructor() {
@@ -32,9 +41,13 @@ class EnhancedForkParityServer {
     );
 
     this.db = new ForkParityDatabase();
-    this.triage = new SmartTriageSystem();
     this.advancedAnalysis = new AdvancedAnalysisSystem();
     this.integrationHelpers = new IntegrationHelpersSystem(this.db);
+    this.commitRelations = new CommitRelationsSystem(this.db);
+    this.upstreamSync = new UpstreamSyncSystem(this.db);
+    this.conflictMatrix = new ConflictMatrixSystem(this.db);
+    this.cherryPick = new CherryPickSystem(this.db, this.integrationHelpers);
+    this.verification = new IntegrationVerificationSystem(this.db, this.cherryPick, this.integrationHelpers);
     this.githubActions = new GitHubActionsIntegration();
     this.notifications = new NotificationSystem(this.db);
     this.setupToolHandlers();
@@ -102,6 +115,73 @@ class EnhancedForkParityServer {
               }
             }
           },
+          {
+            name: 'fork_parity_get_metrics',
+            description: 'Get parity metrics recorded at each sync as a time series (pending by priority, integrated count, lag, conflict risk)',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                metric_type: {
+                  type: 'string',
+                  enum: METRIC_TYPES,
+                  description: 'Metric to return (omit for the latest value of every metric)'
+                },
+                since: {
+                  type: 'string',
+                  description: 'Start of the window: ISO date or relative such as 30d, 12w, 6m, 1y'
+                },
+                until: {
+                  type: 'string',
+                  description: 'End of the window: ISO date or relative'
+                },
+                repository_path: {
+                  type: 'string',
+                  description: 'Path to repository (defaults to current directory)'
+                }
+              }
+            }
+          },
+          {
+            name: 'fork_parity_search_commits',
+            description: 'Full-text search over tracked upstream commits: messages, file paths, triage reasoning and review notes',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                query: {
+                  type: 'string',
+                  description: 'Search terms (SQLite FTS5 syntax such as "session cookie", auth NOT oauth, files:session)'
+                },
+                status: {
+                  type: 'string',
+                  enum: ['pending', 'reviewed', 'integrated', 'skipped', 'conflict', 'deferred'],
+                  description: 'Only return commits with this status'
+                },
+                priority: {
+                  type: 'string',
+                  enum: ['critical', 'high', 'medium', 'low'],
+                  description: 'Only return commits with this priority'
+                },
+                since: {
+                  type: 'string',
+                  description: 'Only commits authored since an ISO date or relative window (e.g. 90d)'
+                },
+                until: {
+                  type: 'string',
+                  description: 'Only commits authored until an ISO date or relative window'
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Maximum number of results',
+                  default: 20
+                },
+                repository_path: {
+                  type: 'string',
+                  description: 'Path to repository (defaults to current directory)'
+                }
+              },
+              required: ['query']
+            }
+          },
           {
             name: 'fork_parity_get_actionable_items',
             description: 'Get prioritized list of commits requiring action',
@@ -150,6 +230,11 @@ class EnhancedForkParityServer {
                   },
                   description: 'Additional metadata for the status update'
                 },
+                priority: {
+                  type: 'string',
+                  enum: ['critical', 'high', 'medium', 'low'],
+                  description: 'Override the triage priority; kept through re-triage and learned from by `fork-parity triage train`'
+                },
                 repository_path: {
                   type: 'string',
                   description: 'Path to repository (defaults to current directory)'
@@ -158,6 +243,98 @@ class EnhancedForkParityServer {
               required: ['commit_hash', 'status']
             }
           },
+          {
+            name: 'fork_parity_get_commit_history',
+            description: 'Get the full decision timeline (status changes, reviewers, reasoning) for a commit',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                commit_hash: {
+                  type: 'string',
+                  description: 'Commit hash to get history for'
+                },
+                repository_path: {
+                  type: 'string',
+                  description: 'Path to repository (defaults to current directory)'
+                }
+              },
+              required: ['commit_hash']
+            }
+          },
+          {
+            name: 'fork_parity_record_integration',
+            description: 'Record the fork commit that integrated an upstream commit and mark it integrated',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                commit_hash: {
+                  type: 'string',
+                  description: 'Upstream commit hash that was integrated'
+                },
+                integration_commit_hash: {
+                  type: 'string',
+                  description: 'Fork commit that brought the change in'
+                },
+                integration_type: {
+                  type: 'string',
+                  enum: ['direct', 'adapted', 'cherry-pick', 'manual'],
+                  description: 'How the commit was integrated',
+                  default: 'cherry-pick'
+                },
+                target_branch: {
+                  type: 'string',
+                  description: 'Fork branch the integration landed on (defaults to the tracked fork branch)'
+                },
+                conflicts_resolved: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Files whose conflicts were resolved during integration'
+                },
+                adaptation_changes: {
+                  type: 'string',
+                  description: 'Description of changes made while adapting the commit'
+                },
+                reviewer: {
+                  type: 'string',
+                  description: 'Person who performed the integration'
+                },
+                repository_path: {
+                  type: 'string',
+                  description: 'Path to repository (defaults to current directory)'
+                }
+              },
+              required: ['commit_hash', 'integration_commit_hash']
+            }
+          },
+          {
+            name: 'fork_parity_import_data',
+            description: 'Restore commits, triage results, status history and integrations from a fork-parity JSON export',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                file_path: {
+                  type: 'string',
+                  description: 'Path to the JSON export (relative paths resolve against the repository)'
+                },
+                strategy: {
+                  type: 'string',
+                  enum: IMPORT_STRATEGIES,
+                  description: 'How to merge commits that are already tracked',
+                  default: 'skip'
+                },
+                dry_run: {
+                  type: 'boolean',
+                  description: 'Report what would change without writing anything',
+                  default: false
+                },
+                repository_path: {
+                  type: 'string',
+                  description: 'Path to repository (defaults to current directory)'
+                }
+              },
+              required: ['file_path']
+            }
+          },
           {
             name: 'fork_parity_batch_analyze_commits',
             description: 'Analyze multiple commits in batch with smart triage',
@@ -218,9 +395,43 @@ class EnhancedForkParityServer {
               }
             }
           },
+          {
+            name: 'fork_parity_get_commit_relations',
+            description: 'Show reverts, fixups, "Fixes" references and follow-ups between upstream commits; without a commit, list pending revert pairs that cancel out (net zero)',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                commit_hash: {
+                  type: 'string',
+                  description: 'Commit to show relations for (omit to list net zero pairs)'
+                },
+                repository_path: {
+                  type: 'string',
+                  description: 'Path to repository (defaults to current directory)'
+                }
+              }
+            }
+          },
+          {
+            name: 'fork_parity_skip_net_zero',
+            description: 'Mark every pending commit and its pending revert as skipped, since integrating neither changes the fork',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                reviewer: {
+                  type: 'string',
+                  description: 'Reviewer recorded with the decisions'
+                },
+                repository_path: {
+                  type: 'string',
+                  description: 'Path to repository (defaults to current directory)'
+                }
+              }
+            }
+          },
           {
             name: 'fork_parity_sync_and_analyze',
-            description: 'Sync with upstream and run comprehensive analysis',
+            description: 'Sync with upstream and run comprehensive analysis. Only commits since the last synced upstream tip are read; progress is reported when the request carries a progress token.',
             inputSchema: {
               type: 'object',
               properties: {
@@ -232,6 +443,11 @@ class EnhancedForkParityServer {
                   type: 'string',
                   description: 'Upstream branch to sync with',
                   default: 'main'
+                },
+                full_resync: {
+                  type: 'boolean',
+                  description: 'Re-read every upstream commit instead of only those since the last sync',
+                  default: false
                 }
               }
             }
@@ -281,6 +497,80 @@ class EnhancedForkParityServer {
               required: ['commit_hash']
             }
           },
+          {
+            name: 'fork_parity_conflict_matrix',
+            description: 'Predict which pending upstream commits conflict with the fork and with each other, and the application order that avoids the most conflicts',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                repository_path: {
+                  type: 'string',
+                  description: 'Path to repository (defaults to current directory)'
+                },
+                max_pairs: {
+                  type: 'number',
+                  description: 'Maximum number of commit pairs touching the same files to predict in sequence',
+                  default: 500
+                },
+                max_commits: {
+                  type: 'number',
+                  description: 'Maximum number of pending commits, oldest first, to predict against the fork',
+                  default: 200
+                }
+              }
+            }
+          },
+          {
+            name: 'fork_parity_apply_commits',
+            description: 'Cherry-pick upstream commits with -x onto an integration branch in a separate worktree, in dependency order, and record them as integrated',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                commit_hashes: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Upstream commits to apply'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Integration branch, created from the fork branch if missing',
+                  default: 'fork-parity/integration'
+                },
+                worktree_path: {
+                  type: 'string',
+                  description: 'Where to add the worktree when the branch has none (defaults to a directory under the git directory)'
+                },
+                repository_path: {
+                  type: 'string',
+                  description: 'Path to repository (defaults to current directory)'
+                }
+              },
+              required: ['commit_hashes']
+            }
+          },
+          {
+            name: 'fork_parity_verify_integration',
+            description: 'Apply commits to the fork branch in a temporary worktree, run the test command from .fork-parity/config and store pass/fail with a log excerpt',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                commit_hashes: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Commit, or batch of commits, to verify together'
+                },
+                timeout_seconds: {
+                  type: 'number',
+                  description: 'Test timeout (defaults to test.timeout in .fork-parity/config, or 600)'
+                },
+                repository_path: {
+                  type: 'string',
+                  description: 'Path to repository (defaults to current directory)'
+                }
+              },
+              required: ['commit_hashes']
+            }
+          },
           {
             name: 'fork_parity_migration_plan',
             description: 'Create detailed migration plan for integrating changes',
@@ -395,6 +685,7 @@ class EnhancedForkParityServer {
                   type: 'object',
                   properties: {
                     type: { type: 'string' },
+                    file_pattern: { type: 'string' },
                     source_pattern: { type: 'string' },
                     target_pattern: { type: 'string' },
                     context: { type: 'object' },
@@ -407,6 +698,81 @@ class EnhancedForkParityServer {
               },
               required: ['commit_hash', 'adaptation_data']
             }
+          },
+          {
+            name: 'fork_parity_list_adaptations',
+            description: 'List learned adaptation patterns',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                include_disabled: {
+                  type: 'boolean',
+                  description: 'Include disabled patterns',
+                  default: false
+                },
+                type: {
+                  type: 'string',
+                  description: 'Only list patterns of this type'
+                }
+              }
+            }
+          },
+          {
+            name: 'fork_parity_get_adaptation',
+            description: 'Show a single adaptation pattern',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                pattern_id: {
+                  type: 'string',
+                  description: 'Adaptation pattern ID'
+                }
+              },
+              required: ['pattern_id']
+            }
+          },
+          {
+            name: 'fork_parity_update_adaptation',
+            description: 'Edit, enable or disable an adaptation pattern',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                pattern_id: {
+                  type: 'string',
+                  description: 'Adaptation pattern ID'
+                },
+                updates: {
+                  type: 'object',
+                  properties: {
+                    type: { type: 'string' },
+                    file_pattern: { type: 'string' },
+                    source_pattern: { type: 'string' },
+                    target_pattern: { type: 'string' },
+                    context: { type: 'object' },
+                    success: { type: 'boolean' },
+                    effort: { type: 'string' },
+                    notes: { type: 'string' },
+                    enabled: { type: 'boolean' }
+                  },
+                  description: 'Fields to change'
+                }
+              },
+              required: ['pattern_id', 'updates']
+            }
+          },
+          {
+            name: 'fork_parity_delete_adaptation',
+            description: 'Delete an adaptation pattern',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                pattern_id: {
+                  type: 'string',
+                  description: 'Adaptation pattern ID'
+                }
+              },
+              required: ['pattern_id']
+            }
           }
         ]
       };
@@ -426,12 +792,27 @@ class EnhancedForkParityServer {
           case 'fork_parity_generate_dashboard':
             return await this.generateDashboard(args);
           
+          case 'fork_parity_get_metrics':
+            return await this.getMetrics(args);
+          
+          case 'fork_parity_search_commits':
+            return await this.searchCommits(args);
+          
           case 'fork_parity_get_actionable_items':
             return await this.getActionableItems(args);
           
           case 'fork_parity_update_commit_status':
             return await this.updateCommitStatus(args);
           
+          case 'fork_parity_get_commit_history':
+            return await this.getCommitHistory(args);
+          
+          case 'fork_parity_record_integration':
+            return await this.recordIntegration(args);
+          
+          case 'fork_parity_import_data':
+            return await this.importData(args);
+          
           case 'fork_parity_batch_analyze_commits':
             return await this.batchAnalyzeCommits(args);
           
@@ -441,8 +822,14 @@ class EnhancedForkParityServer {
           case 'fork_parity_generate_integration_plan':
             return await this.generateIntegrationPlan(args);
           
+          case 'fork_parity_get_commit_relations':
+            return await this.getCommitRelations(args);
+          
+          case 'fork_parity_skip_net_zero':
+            return await this.skipNetZero(args);
+          
           case 'fork_parity_sync_and_analyze':
-            return await this.syncAndAnalyze(args);
+            return await this.syncAndAnalyze(args, request.params._meta?.progressToken);
           
           case 'fork_parity_advanced_analysis':
             return await this.runAdvancedAnalysis(args);
@@ -450,6 +837,15 @@ class EnhancedForkParityServer {
           case 'fork_parity_conflict_analysis':
             return await this.analyzeConflicts(args);
           
+          case 'fork_parity_conflict_matrix':
+            return await this.buildConflictMatrix(args);
+          
+          case 'fork_parity_apply_commits':
+            return await this.applyCommits(args);
+          
+          case 'fork_parity_verify_integration':
+            return await this.verifyIntegration(args);
+          
           case 'fork_parity_migration_plan':
             return await this.createMigrationPlan(args);
           
@@ -465,6 +861,18 @@ class EnhancedForkParityServer {
           case 'fork_parity_learn_adaptation':
             return await this.learnAdaptation(args);
           
+          case 'fork_parity_list_adaptations':
+            return await this.listAdaptations(args);
+          
+          case 'fork_parity_get_adaptation':
+            return await this.getAdaptation(args);
+          
+          case 'fork_parity_update_adaptation':
+            return await this.updateAdaptation(args);
+          
+          case 'fork_parity_delete_adaptation':
+            return await this.deleteAdaptation(args);
+          
           default:
             throw new McpError(
               ErrorCode.MethodNotFound,
@@ -472,9 +880,12 @@ class EnhancedForkParityServer {
             );
         }
       } catch (error) {
+        // Git failures carry the command, exit code and stderr as error data
+        const gitError = [error, error.cause].find(candidate => candidate instanceof GitError);
         throw new McpError(
-          ErrorCode.InternalError,
-          `Error executing ${name}: ${error.message}`
+          gitError?.code === 'INVALID_ARGUMENT' ? ErrorCode.InvalidParams : ErrorCode.InternalError,
+          `Error executing ${name}: ${error.message}`,
+          gitError?.toJSON()
         );
       }
     });
@@ -489,6 +900,8 @@ class EnhancedForkParityServer {
     }
 
     const results = [];
+    // Risk is scored against the fork as of the last sync
+    const divergence = this.db.getForkDivergence(repo.id);
     
     for (const hash of commit_hashes) {
       const commit = this.db.getCommit(repo.id, hash);
@@ -501,12 +914,17 @@ class EnhancedForkParityServer {
         hash: commit.hash,
         message: commit.message,
         author: commit.author,
+        body: commit.body,
+        trailers: JSON.parse(commit.trailers || '{}'),
         filesChanged: JSON.parse(commit.files_changed || '[]'),
+        fileStats: JSON.parse(commit.file_stats || 'null'),
         insertions: commit.insertions,
-        deletions: commit.deletions
+        deletions: commit.deletions,
+        patch: await readPatch(commit.hash, repository_path),
+        divergence
       };
 
-      const triageResult = this.triage.analyzeCommit(commitData);
+      const triageResult = triageForRepository(repository_path).analyzeCommit(commitData);
       
       // Update database
       const commitId = this.db.getCommitId(repo.id, hash);
@@ -592,6 +1010,68 @@ class EnhancedForkParityServer {
     };
   }
 
+  async getMetrics(args) {
+    const { metric_type, since, until, repository_path = process.cwd() } = args;
+    const repo = this.db.getRepository(repository_path);
+    
+    if (!repo) {
+      throw new Error('Repository not initialized');
+    }
+
+    let result;
+    if (metric_type) {
+      const series = this.db.getMetricSeries(repo.id, { type: metric_type, since, until });
+      result = {
+        metric_type,
+        since: since || null,
+        until: until || null,
+        points: series.map(point => ({
+          value: point.metric_value,
+          recorded_at: point.period_end,
+          data: point.metric_data ? JSON.parse(point.metric_data) : null
+        })),
+        point_count: series.length
+      };
+    } else {
+      const latest = this.db.getLatestMetrics(repo.id);
+      result = {
+        latest: Object.fromEntries(latest.map(metric => [metric.metric_type, metric.metric_value])),
+        recorded_at: latest.length > 0 ? latest[0].period_end : null,
+        available_metrics: METRIC_TYPES
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }]
+    };
+  }
+
+  async searchCommits(args) {
+    const { query, status, priority, since, until, limit = 20, repository_path = process.cwd() } = args;
+    const repo = this.db.getRepository(repository_path);
+    
+    if (!repo) {
+      throw new Error('Repository not initialized');
+    }
+
+    const results = this.db.searchCommits(repo.id, query, { status, priority, since, until, limit });
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          query,
+          filters: { status, priority, since, until },
+          results,
+          result_count: results.length
+        }, null, 2)
+      }]
+    };
+  }
+
   async getActionableItems(args) {
     const { repository_path = process.cwd(), priority_filter = 'medium', limit = 20 } = args;
     const repo = this.db.getRepository(repository_path);
@@ -637,7 +1117,7 @@ class EnhancedForkParityServer {
   }
 
   async updateCommitStatus(args) {
-    const { commit_hash, status, metadata = {}, repository_path = process.cwd() } = args;
+    const { commit_hash, status, metadata = {}, priority, repository_path = process.cwd() } = args;
     const repo = this.db.getRepository(repository_path);
     
     if (!repo) {
@@ -656,6 +1136,12 @@ class EnhancedForkParityServer {
     };
 
     this.db.updateCommitStatus(commitId, status, enrichedMetadata);
+    const override = priority
+      ? this.db.setPriorityOverride(commitId, priority, {
+        reviewer: enrichedMetadata.reviewer,
+        reason: metadata.decision_reasoning
+      })
+      : null;
 
     return {
       content: [{
@@ -663,6 +1149,7 @@ class EnhancedForkParityServer {
         text: JSON.stringify({
           commit_hash,
           status,
+          ...(override && { priority: override.priority, previous_priority: override.previousPriority }),
           metadata: enrichedMetadata,
           updated_at: new Date().toISOString()
         }, null, 2)
@@ -670,32 +1157,123 @@ class EnhancedForkParityServer {
     };
   }
 
+  async getCommitHistory(args) {
+    const { commit_hash, repository_path = process.cwd() } = args;
+    const repo = this.db.getRepository(repository_path);
+    
+    if (!repo) {
+      throw new Error('Repository not initialized');
+    }
+
+    const commit = this.db.getCommit(repo.id, commit_hash);
+    if (!commit) {
+      throw new Error(`Commit ${commit_hash} not found`);
+    }
+
+    const commitId = this.db.getCommitId(repo.id, commit_hash);
+    const history = this.db.getCommitHistory(commitId);
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          commit_hash: commit.hash,
+          message: commit.message,
+          current_status: commit.status || 'pending',
+          history,
+          event_count: history.length,
+          integrations: this.db.getIntegrations(commitId)
+        }, null, 2)
+      }]
+    };
+  }
+
+  async recordIntegration(args) {
+    const {
+      commit_hash,
+      integration_commit_hash,
+      integration_type = 'cherry-pick',
+      target_branch,
+      conflicts_resolved = [],
+      adaptation_changes,
+      reviewer,
+      repository_path = process.cwd()
+    } = args;
+    const repo = this.db.getRepository(repository_path);
+    
+    if (!repo) {
+      throw new Error('Repository not initialized');
+    }
+
+    const commitId = this.db.getCommitId(repo.id, commit_hash);
+    if (!commitId) {
+      throw new Error(`Commit ${commit_hash} not found`);
+    }
+
+    let forkCommit;
+    try {
+      forkCommit = runGit(['rev-parse', '--verify', `${assertRef(integration_commit_hash, 'integration commit')}^{commit}`], {
+        cwd: repository_path
+      }).trim();
+    } catch (error) {
+      if (error.code === 'INVALID_ARGUMENT') throw error;
+      throw new Error(`Fork commit ${integration_commit_hash} not found in ${repository_path}`);
+    }
+
+    const integration = {
+      integrationType: integration_type,
+      targetBranch: target_branch || repo.fork_branch,
+      integrationCommitHash: forkCommit,
+      conflictsResolved: conflicts_resolved,
+      adaptationChanges: adaptation_changes,
+      reviewer: reviewer || process.env.USER || 'unknown'
+    };
+
+    this.db.recordIntegration(commitId, integration);
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          commit_hash,
+          status: 'integrated',
+          integration,
+          summary: this.db.describeIntegration({
+            integration_type: integration.integrationType,
+            integration_commit_hash: integration.integrationCommitHash,
+            target_branch: integration.targetBranch
+          }),
+          recorded_at: new Date().toISOString()
+        }, null, 2)
+      }]
+    };
+  }
+
   async batchAnalyzeCommits(args) {
     const { commit_range, repository_path = process.cwd(), auto_update_db = true } = args;
     
     try {
       // Get commits in range
-      const logOutput = execSync(
-        `git log ${commit_range} --pretty=format:"%H|%an|%ae|%ad|%s" --date=iso --name-only`,
-        { encoding: 'utf8', cwd: repository_path }
-      );
-
-      const commits = this.parseGitLog(logOutput);
-      const analyzed = this.triage.batchAnalyze(commits);
-
-      if (auto_update_db) {
-        const repo = this.db.getRepository(repository_path);
-        if (repo) {
-          for (const analysis of analyzed) {
-            const commitData = commits.find(c => c.hash === analysis.hash);
-            if (commitData) {
-              try {
-                const commitResult = this.db.addCommit(repo.id, commitData);
-                const commitId = commitResult.lastInsertRowid;
-                this.db.addTriageResult(commitId, analysis.triage);
-              } catch {
-                // Commit might already exist
-              }
+      const commits = readCommits(assertRange(commit_range), repository_path);
+      const patches = await readPatches(commits.map(commit => commit.hash), repository_path);
+      const repo = this.db.getRepository(repository_path);
+      const divergence = repo ? this.db.getForkDivergence(repo.id) : null;
+      for (const commit of commits) {
+        commit.patch = patches.get(commit.hash);
+        commit.divergence = divergence;
+      }
+      const analyzed = triageForRepository(repository_path).batchAnalyze(commits);
+
+      if (auto_update_db && repo) {
+        for (const analysis of analyzed) {
+          const commitData = commits.find(c => c.hash === analysis.hash);
+          if (commitData) {
+            try {
+              const commitResult = this.db.addCommit(repo.id, commitData);
+              const commitId = commitResult.lastInsertRowid;
+              this.db.addTriageResult(commitId, analysis.triage);
+            } catch {
+              // Commit might already exist
             }
           }
         }
@@ -713,7 +1291,7 @@ class EnhancedForkParityServer {
         }]
       };
     } catch (error) {
-      throw new Error(`Failed to analyze commits: ${error.message}`);
+      throw new Error(`Failed to analyze commits: ${error.message}`, { cause: error });
     }
   }
 
@@ -748,32 +1326,30 @@ class EnhancedForkParityServer {
       throw new Error('Repository not initialized');
     }
 
-    // Get pending commits
-    const stmt = this.db.db.prepare(`
-      SELECT c.*, tr.priority, tr.category, tr.effort_estimate, tr.conflict_risk
-      FROM commits c
-      JOIN triage_results tr ON c.id = tr.commit_id
-      LEFT JOIN commit_status cs ON c.id = cs.commit_id
-      WHERE c.repository_id = ? 
-        AND (cs.status IS NULL OR cs.status = 'pending')
-      ORDER BY 
-        CASE tr.priority 
-          WHEN 'critical' THEN 1 
-          WHEN 'high' THEN 2 
-          WHEN 'medium' THEN 3
-          ELSE 4
-        END,
-        tr.conflict_risk ASC
-    `);
+    const pendingCommits = this.db.getPendingCommits(repo.id);
 
-    const pendingCommits = stmt.all(repo.id);
-    const plan = this.triage.generateIntegrationPlan(pendingCommits);
+    // Without a usable checkout the plan falls back to upstream order
+    let conflictMatrix = null;
+    let orderingError = null;
+    try {
+      conflictMatrix = this.conflictMatrix.buildMatrix(repo, repository_path);
+    } catch (error) {
+      orderingError = error.message;
+    }
+
+    const plan = triageForRepository(repository_path).generateIntegrationPlan(pendingCommits, {
+      prerequisites: this.db.getPrerequisites(repo.id),
+      netZeroPairs: this.db.getNetZeroPairs(repo.id),
+      conflictMatrix
+    });
 
     return {
       content: [{
         type: 'text',
         text: JSON.stringify({
           time_horizon,
+          ordering: conflictMatrix ? 'conflict_matrix' : 'upstream',
+          ...(orderingError && { ordering_error: orderingError }),
           integration_plan: plan,
           generated_at: new Date().toISOString()
         }, null, 2)
@@ -781,21 +1357,123 @@ class EnhancedForkParityServer {
     };
   }
 
-  async syncAndAnalyze(args) {
-    const { repository_path = process.cwd(), upstream_branch = 'main' } = args;
+  async getCommitRelations(args) {
+    const { commit_hash, repository_path = process.cwd() } = args;
+    const repo = this.db.getRepository(repository_path);
+    
+    if (!repo) {
+      throw new Error('Repository not initialized');
+    }
+
+    let result;
+    if (commit_hash) {
+      const commitId = this.db.getCommitId(repo.id, commit_hash);
+      if (!commitId) {
+        throw new Error(`Commit ${commit_hash} not found`);
+      }
+      result = {
+        commit_hash,
+        relations: this.db.getCommitRelations(commitId)
+      };
+    } else {
+      const pairs = this.db.getNetZeroPairs(repo.id);
+      result = {
+        net_zero_pairs: pairs,
+        net_zero_count: pairs.length
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }]
+    };
+  }
+
+  async skipNetZero(args) {
+    const { reviewer, repository_path = process.cwd() } = args;
+    const repo = this.db.getRepository(repository_path);
+    
+    if (!repo) {
+      throw new Error('Repository not initialized');
+    }
+
+    const pairs = this.db.skipNetZeroPairs(repo.id, { reviewer });
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          skipped_pairs: pairs,
+          commits_skipped: pairs.length * 2
+        }, null, 2)
+      }]
+    };
+  }
+
+  async importData(args) {
+    const { file_path, strategy = 'skip', dry_run = false, repository_path = process.cwd() } = args;
+
+    const data = JSON.parse(readFileSync(resolve(repository_path, file_path), 'utf8'));
+    if (!Array.isArray(data.commits)) {
+      throw new Error('Not a fork-parity JSON export (no commits array)');
+    }
+
+    let repo = this.db.getRepository(repository_path);
+    let initialized = false;
+    if (!repo) {
+      const source = data.repository || {};
+      if (!source.upstream_url) {
+        throw new Error('Repository not initialized and the export has no upstream URL');
+      }
+
+      if (dry_run) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              dry_run: true,
+              would_initialize: source.upstream_url,
+              would_add: data.commits.length
+            }, null, 2)
+          }]
+        };
+      }
+
+      this.db.addRepository(repository_path, source.upstream_url, source.upstream_branch || 'main', source.fork_branch || 'main');
+      repo = this.db.getRepository(repository_path);
+      initialized = true;
+    }
+
+    const summary = this.db.importRepositoryData(repo.id, data, { strategy, dryRun: dry_run });
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          repository_initialized: initialized,
+          ...summary
+        }, null, 2)
+      }]
+    };
+  }
+
+  async syncAndAnalyze(args, progressToken) {
+    const { repository_path = process.cwd(), upstream_branch = 'main', full_resync = false } = args;
     
     try {
+      assertRef(upstream_branch, 'upstream branch');
+
       // Ensure repository is initialized
       let repo = this.db.getRepository(repository_path);
       if (!repo) {
         // Try to auto-initialize if upstream remote exists
         try {
-          const upstreamUrl = execSync('git remote get-url upstream', { 
-            encoding: 'utf8', 
-            cwd: repository_path 
-          }).trim();
+          const upstreamUrl = runGit(['remote', 'get-url', 'upstream'], { cwd: repository_path }).trim();
           
           this.db.addRepository(repository_path, upstreamUrl, upstream_branch);
+          this.db.writeGitignore();
           repo = this.db.getRepository(repository_path);
         } catch {
           throw new Error('Repository not initialized and no upstream remote found');
@@ -803,32 +1481,37 @@ class EnhancedForkParityServer {
       }
 
       // Fetch upstream
-      execSync('git fetch upstream', { cwd: repository_path });
+      // Without blocking other tool calls for as long as the fetch takes
+      await runGitAsync(['fetch', 'upstream'], { cwd: repository_path, timeout: FETCH_TIMEOUT_MS });
       
-      // Get new commits
-      const logOutput = execSync(
-        `git log ${repo.fork_branch}..upstream/${upstream_branch} --pretty=format:"%H|%an|%ae|%ad|%s" --date=iso --name-only`,
-        { encoding: 'utf8', cwd: repository_path }
+      // Stream new commits into the database, reporting progress per chunk
+      const synced = await this.upstreamSync.syncCommits(repo, `upstream/${upstream_branch}`, repository_path, {
+        full: full_resync,
+        onProgress: ({ processed, total }) => {
+          if (progressToken === undefined) return;
+          return this.server.notification({
+            method: 'notifications/progress',
+            params: { progressToken, progress: processed, total }
+          });
+        }
+      });
+
+      // Apply teammates' decisions from the ledger or git notes before detection
+      if (this.db.notes) {
+        this.db.notes.pull();
+      }
+      const ledger = this.db.replayDecisions(repo.id);
+
+      // Mark commits the fork already picked up as integrated
+      const detectedIntegrations = await this.integrationHelpers.detectExistingIntegrations(
+        repo,
+        `upstream/${upstream_branch}`,
+        repository_path
       );
 
-      const commits = this.parseGitLog(logOutput);
-      const analyzed = this.triage.batchAnalyze(commits);
+      const snapshot = this.db.recordMetricsSnapshot(repo.id);
 
-      // Update database
-      let addedCount = 0;
-      for (const analysis of analyzed) {
-        const commitData = commits.find(c => c.hash === analysis.hash);
-        if (commitData) {
-          try {
-            const commitResult = this.db.addCommit(repo.id, commitData);
-            const commitId = commitResult.lastInsertRowid;
-            this.db.addTriageResult(commitId, analysis.triage);
-            addedCount++;
-          } catch {
-            // Commit might already exist
-          }
-        }
-      }
+      const relations = await this.commitRelations.detectRelations(repo, `upstream/${upstream_branch}`, repository_path);
 
       // Generate summary
       const dashboard = this.db.getParityDashboard(repo.id);
@@ -838,18 +1521,29 @@ class EnhancedForkParityServer {
           type: 'text',
           text: JSON.stringify({
             sync_result: {
-              commits_found: commits.length,
-              commits_added: addedCount,
+              commits_found: synced.found,
+              commits_added: synced.added,
+              incremental: synced.incremental,
+              upstream_tip: synced.tip,
+              merge_base: synced.mergeBase,
+              fork_diverged_files: synced.divergedFiles,
+              commits_rescored: synced.rescored,
+              integrations_detected: detectedIntegrations.length,
+              decisions_replayed: ledger.applied,
+              relations_added: relations.added,
               upstream_branch
             },
+            detected_integrations: detectedIntegrations,
+            net_zero_pairs: relations.netZeroPairs,
             dashboard_summary: dashboard.summary,
+            metrics: snapshot.metrics,
             actionable_items: dashboard.actionableItems.slice(0, 10),
             synced_at: new Date().toISOString()
           }, null, 2)
         }]
       };
     } catch (error) {
-      throw new Error(`Sync failed: ${error.message}`);
+      throw new Error(`Sync failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -872,7 +1566,8 @@ class EnhancedForkParityServer {
       author: commit.author,
       filesChanged: JSON.parse(commit.files_changed || '[]'),
       insertions: commit.insertions,
-      deletions: commit.deletions
+      deletions: commit.deletions,
+      patch: await readPatch(commit.hash, repository_path)
     };
 
     const results = {};
@@ -882,15 +1577,15 @@ class EnhancedForkParityServer {
     }
 
     if (analysis_types.includes('breaking-changes')) {
-      results.breakingChanges = this.advancedAnalysis.identifyBreakingChanges(commitData, repository_path);
+      results.breakingChanges = this.advancedAnalysis.identifyBreakingChanges(commitData);
     }
 
     if (analysis_types.includes('security')) {
-      results.securityAnalysis = this.advancedAnalysis.assessSecurityImpact(commitData, repository_path);
+      results.securityAnalysis = this.advancedAnalysis.assessSecurityImpact(commitData);
     }
 
     if (analysis_types.includes('performance')) {
-      results.performanceAnalysis = this.advancedAnalysis.predictPerformanceImpact(commitData, repository_path);
+      results.performanceAnalysis = this.advancedAnalysis.predictPerformanceImpact(commitData);
     }
 
     return {
@@ -925,7 +1620,7 @@ class EnhancedForkParityServer {
       filesChanged: JSON.parse(commit.files_changed || '[]')
     };
 
-    const conflictAnalysis = await this.integrationHelpers.analyzeConflicts(commitData, repository_path);
+    const conflictAnalysis = await this.integrationHelpers.analyzeConflicts(commitData, repository_path, repo.fork_branch);
     const resolutionSuggestions = this.integrationHelpers.generateConflictResolutions(conflictAnalysis);
     const similarityAnalysis = this.integrationHelpers.analyzeCodeSimilarity(commitData, repository_path);
 
@@ -943,6 +1638,84 @@ class EnhancedForkParityServer {
     };
   }
 
+  async buildConflictMatrix(args) {
+    const { repository_path = process.cwd(), max_pairs, max_commits } = args;
+
+    const repo = this.db.getRepository(repository_path);
+    if (!repo) {
+      throw new Error('Repository not initialized');
+    }
+
+    const matrix = this.conflictMatrix.buildMatrix(repo, repository_path, { maxPairs: max_pairs, maxCommits: max_commits });
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          fork_branch: repo.fork_branch,
+          summary: matrix.summary,
+          order: matrix.order,
+          conflicts_with_fork: matrix.commits.filter(commit => !commit.clean),
+          conflicting_pairs: matrix.pairs,
+          precedence: matrix.precedence,
+          analyzed_at: new Date().toISOString()
+        }, null, 2)
+      }]
+    };
+  }
+
+  async applyCommits(args) {
+    const { commit_hashes, branch, worktree_path, repository_path = process.cwd() } = args;
+
+    const repo = this.db.getRepository(repository_path);
+    if (!repo) {
+      throw new Error('Repository not initialized');
+    }
+
+    const result = this.cherryPick.applyCommits(repo, commit_hashes, repository_path, {
+      branch,
+      worktreePath: worktree_path
+    });
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          ...result,
+          next_steps: result.stoppedAt ? [
+            `Resolve the conflicts in ${result.worktree} and run git cherry-pick --continue`,
+            `Record the result with fork_parity_record_integration (target_branch ${result.branch})`,
+            ...(result.remaining.length > 0 ? ['Apply the remaining commits with fork_parity_apply_commits'] : [])
+          ] : [],
+          applied_at: new Date().toISOString()
+        }, null, 2)
+      }]
+    };
+  }
+
+  async verifyIntegration(args) {
+    const { commit_hashes, timeout_seconds, repository_path = process.cwd() } = args;
+
+    const repo = this.db.getRepository(repository_path);
+    if (!repo) {
+      throw new Error('Repository not initialized');
+    }
+
+    const result = await this.verification.verify(repo, commit_hashes, repository_path, {
+      timeoutSeconds: timeout_seconds
+    });
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          ...result,
+          verified_at: new Date().toISOString()
+        }, null, 2)
+      }]
+    };
+  }
+
   async createMigrationPlan(args) {
     const { commit_hashes, repository_path = process.cwd() } = args;
     
@@ -966,16 +1739,18 @@ class EnhancedForkParityServer {
       const commitData = {
         hash: commit.hash,
         message: commit.message,
-        filesChanged: JSON.parse(commit.files_changed || '[]')
+        filesChanged: JSON.parse(commit.files_changed || '[]'),
+        patch: await readPatch(commit.hash, repository_path)
       };
 
       // Run comprehensive analysis
       const analysisResults = {
         dependencyAnalysis: this.advancedAnalysis.analyzeDependencyChain(commitData, repository_path),
-        breakingChanges: this.advancedAnalysis.identifyBreakingChanges(commitData, repository_path),
-        securityAnalysis: this.advancedAnalysis.assessSecurityImpact(commitData, repository_path),
-        performanceAnalysis: this.advancedAnalysis.predictPerformanceImpact(commitData, repository_path),
-        conflicts: await this.integrationHelpers.analyzeConflicts(commitData, repository_path)
+        breakingChanges: this.advancedAnalysis.identifyBreakingChanges(commitData),
+        securityAnalysis: this.advancedAnalysis.assessSecurityImpact(commitData),
+        performanceAnalysis: this.advancedAnalysis.predictPerformanceImpact(commitData),
+        conflicts: await this.integrationHelpers.analyzeConflicts(commitData, repository_path, repo.fork_branch),
+        verification: this.db.getVerificationResults(this.db.getCommitId(repo.id, commit.hash), 1)[0] || null
       };
 
       const migrationPlan = this.integrationHelpers.createMigrationPlan(commitData, analysisResults, repository_path);
@@ -1097,45 +1872,92 @@ class EnhancedForkParityServer {
     }
   }
 
-  // Helper methods
-  parseGitLog(logOutput) {
-    const commits = [];
-    const lines = logOutput.split('\n').filter(line => line.trim());
-    
-    let currentCommit = null;
-    let filesChanged = [];
-    
-    for (const line of lines) {
-      if (line.includes('|')) {
-        if (currentCommit) {
-          currentCommit.filesChanged = [...filesChanged];
-          commits.push(currentCommit);
-          filesChanged = [];
-        }
-        
-        const [hash, author, authorEmail, commitDate, message] = line.split('|');
-        currentCommit = {
-          hash,
-          author,
-          authorEmail,
-          commitDate: new Date(commitDate).toISOString(),
-          message,
-          insertions: 0,
-          deletions: 0
-        };
-      } else if (line.trim() && currentCommit) {
-        filesChanged.push(line.trim());
-      }
+  async listAdaptations(args) {
+    const { include_disabled = false, type } = args;
+    const patterns = this.db.getAdaptationPatterns({ includeDisabled: include_disabled, type });
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          count: patterns.length,
+          patterns: patterns.map(row => this.integrationHelpers.toAdaptationPattern(row))
+        }, null, 2)
+      }]
+    };
+  }
+
+  async getAdaptation(args) {
+    const { pattern_id } = args;
+    const row = this.db.getAdaptationPattern(pattern_id);
+
+    if (!row) {
+      throw new Error(`Adaptation pattern ${pattern_id} not found`);
     }
-    
-    if (currentCommit) {
-      currentCommit.filesChanged = [...filesChanged];
-      commits.push(currentCommit);
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(this.integrationHelpers.toAdaptationPattern(row), null, 2)
+      }]
+    };
+  }
+
+  async updateAdaptation(args) {
+    const { pattern_id, updates = {} } = args;
+
+    if (!this.db.getAdaptationPattern(pattern_id)) {
+      throw new Error(`Adaptation pattern ${pattern_id} not found`);
     }
-    
-    return commits;
+
+    this.db.updateAdaptationPattern(pattern_id, {
+      type: updates.type,
+      filePattern: updates.file_pattern,
+      sourcePattern: updates.source_pattern,
+      targetPattern: updates.target_pattern,
+      context: updates.context,
+      success: updates.success,
+      effort: updates.effort,
+      notes: updates.notes,
+      enabled: updates.enabled
+    });
+    this.integrationHelpers.loadAdaptationPatterns();
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          success: true,
+          pattern: this.integrationHelpers.toAdaptationPattern(this.db.getAdaptationPattern(pattern_id)),
+          updated_at: new Date().toISOString()
+        }, null, 2)
+      }]
+    };
+  }
+
+  async deleteAdaptation(args) {
+    const { pattern_id } = args;
+    const result = this.db.deleteAdaptationPattern(pattern_id);
+
+    if (result.changes === 0) {
+      throw new Error(`Adaptation pattern ${pattern_id} not found`);
+    }
+
+    this.integrationHelpers.loadAdaptationPatterns();
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          success: true,
+          pattern_id,
+          deleted_at: new Date().toISOString()
+        }, null, 2)
+      }]
+    };
   }
 
+  // Helper methods
   getPriorityFilter(priority) {
     const priorities = {
       'critical': '\'critical\'',
@@ -1183,6 +2005,13 @@ class EnhancedForkParityServer {
         lines.push(`   ${priority} ${item.hash.substring(0, 8)} - ${item.message.substring(0, 60)}...`);
       });
     }
+
+    if (dashboard.recentIntegrations?.length > 0) {
+      lines.push('\n🔗 Recent Integrations:');
+      dashboard.recentIntegrations.forEach(item => {
+        lines.push(`   ✅ ${item.hash.substring(0, 8)} - ${item.message.substring(0, 50)} (${this.db.describeIntegration(item)})`);
+      });
+    }
     
     return lines.join('\n');
   }
@@ -1208,6 +2037,15 @@ class EnhancedForkParityServer {
         lines.push(`| ${priority} | \`${item.hash.substring(0, 8)}\` | ${item.message.substring(0, 50)}... |`);
       });
     }
+
+    if (dashboard.recentIntegrations?.length > 0) {
+      lines.push('\n## 🔗 Recent Integrations\n');
+      lines.push('| Hash | Message | Integration |');
+      lines.push('|------|---------|-------------|');
+      dashboard.recentIntegrations.forEach(item => {
+        lines.push(`| \`${item.hash.substring(0, 8)}\` | ${item.message.substring(0, 50)} | ${this.db.describeIntegration(item)} |`);
+      });
+    }
     
     return lines.join('\n');
   }
@@ -0,0 +1,147 @@
+// Reading commits from git log for sync and batch analysis
+//
+// Fields are separated with the ASCII unit separator and commits with the
+// record separator, and file stats are read with -z, so subjects containing
+// "|", multi-line bodies and paths with spaces or renames survive intact.
+
+import { runGit, streamGitRecords } from './git-runner.js';
+import { parseConventionalCommit } from './conventional-commits.js';
+
+const LOG_FORMAT = '%x1e%H%x1f%an%x1f%ae%x1f%aI%x1f%B%x1f';
+
+// Trailer tokens are single words, except the Conventional Commits footer
+const TRAILER_LINE = /^([A-Za-z][A-Za-z0-9-]*|BREAKING CHANGE): (.*)$/;
+
+function logArgs(revisions, { reverse = false } = {}) {
+  return [
+    'log', '-z', '--numstat', '-M', `--format=${LOG_FORMAT}`,
+    ...(reverse ? ['--reverse'] : []),
+    ...[].concat(revisions),
+    '--'
+  ];
+}
+
+/**
+ * Commits in a revision range, newest first, with subject, body, trailers,
+ * Conventional Commits structure and per-file numstat. `revisions` is a
+ * range string or a list such as [tip, '^main'].
+ */
+export function readCommits(revisions, repositoryPath) {
+  return parseGitLog(runGit(logArgs(revisions), { cwd: repositoryPath }));
+}
+
+/**
+ * Like readCommits, but yields commits as git produces them so that ranges
+ * of any size are read without buffering the whole log. Pass
+ * `{ reverse: true }` for oldest first.
+ */
+export async function* streamCommits(revisions, repositoryPath, options = {}) {
+  const records = streamGitRecords(logArgs(revisions, options), { cwd: repositoryPath, separator: '\x1e' });
+  for await (const record of records) {
+    if (record.trim()) yield parseRecord(record);
+  }
+}
+
+export function parseGitLog(output) {
+  return output
+    .split('\x1e')
+    .filter(record => record.trim())
+    .map(parseRecord);
+}
+
+// The message sits between the date and the numstat, so a stray unit
+// separator inside it is kept rather than shifting the stats
+function parseRecord(record) {
+  const fields = record.split('\x1f');
+  const [hash, author, authorEmail, date] = fields;
+  const rawMessage = fields.slice(4, -1).join('\x1f');
+  const stats = fields.length > 5 ? fields[fields.length - 1] : '';
+  const { subject, body } = splitMessage(rawMessage);
+  const fileStats = parseNumstat(stats);
+  const trailers = parseTrailers(body);
+
+  return {
+    hash,
+    author,
+    authorEmail,
+    commitDate: new Date(date).toISOString(),
+    message: subject,
+    body,
+    trailers,
+    conventional: parseConventionalCommit(subject, trailers),
+    filesChanged: fileStats.map(stat => stat.path),
+    fileStats,
+    insertions: fileStats.reduce((total, stat) => total + stat.insertions, 0),
+    deletions: fileStats.reduce((total, stat) => total + stat.deletions, 0)
+  };
+}
+
+// The subject is the first paragraph folded onto one line, as git's %s does
+function splitMessage(rawMessage) {
+  const message = rawMessage.trim();
+  const paragraphEnd = message.search(/\n\s*\n/);
+  const subject = paragraphEnd === -1 ? message : message.slice(0, paragraphEnd);
+  const body = paragraphEnd === -1 ? '' : message.slice(paragraphEnd).trim();
+
+  return {
+    subject: subject.split('\n').map(line => line.trim()).join(' '),
+    body
+  };
+}
+
+// With -z each entry is "ins\tdel\tpath\0", or "ins\tdel\t\0old\0new\0" for
+// a rename. Binary files report "-" for both counts.
+export function parseNumstat(stats) {
+  const tokens = stats.split('\0');
+  const fileStats = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const match = /^(\d+|-)\t(\d+|-)\t([\s\S]*)$/.exec(tokens[i].replace(/^\n+/, ''));
+    if (!match) continue;
+
+    const stat = {
+      path: match[3],
+      insertions: match[1] === '-' ? 0 : parseInt(match[1]),
+      deletions: match[2] === '-' ? 0 : parseInt(match[2])
+    };
+    if (match[1] === '-') {
+      stat.binary = true;
+    }
+    if (match[3] === '') {
+      stat.oldPath = tokens[++i];
+      stat.path = tokens[++i];
+    }
+    fileStats.push(stat);
+  }
+
+  return fileStats;
+}
+
+/**
+ * Trailers from the last paragraph of a commit body (Signed-off-by,
+ * Co-authored-by, Fixes, Reviewed-by, BREAKING CHANGE, ...) as a map of
+ * token to values. Continuation lines are folded into the previous value.
+ */
+export function parseTrailers(body) {
+  const paragraphs = body.trim().split(/\n\s*\n/);
+  const lines = paragraphs[paragraphs.length - 1].split('\n').filter(line => line.trim());
+  const entries = [];
+
+  for (const line of lines) {
+    const match = TRAILER_LINE.exec(line);
+    if (match) {
+      entries.push([match[1], match[2].trim()]);
+    } else if (/^\s/.test(line) && entries.length > 0) {
+      entries[entries.length - 1][1] += ` ${line.trim()}`;
+    } else {
+      // Prose in the last paragraph: it is not a trailer block
+      return {};
+    }
+  }
+
+  const trailers = {};
+  for (const [token, value] of entries) {
+    (trailers[token] ||= []).push(value);
+  }
+  return trailers;
+}
@@ -0,0 +1,134 @@
+// Git notes backend for sharing review decisions through git refs
+//
+// Each upstream commit with a decision carries a JSON note under
+// refs/notes/fork-parity:
+//
+//   { "triage": { ... }, "history": [ { id, from, status, reviewer, reasoning, notes, effort, timestamp } ] }
+//
+// History entries use the decisions.jsonl ledger format, so both backends
+// replay into the SQLite cache through the same code path. Priority
+// overrides are entries with `priority` instead of `from` and `status`.
+
+import { runGit, FETCH_TIMEOUT_MS } from './git-runner.js';
+
+class GitNotesStore {
+  constructor(repositoryPath, ref = 'fork-parity') {
+    this.repositoryPath = repositoryPath;
+    this.ref = ref;
+  }
+
+  /**
+   * Read a git config value such as fork-parity.backend, or null outside a
+   * git repository or when unset
+   */
+  static readConfig(repositoryPath, key) {
+    try {
+      return runGit(['config', '--get', key], { cwd: repositoryPath }).trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  git(args, input, options = {}) {
+    return runGit(args, { cwd: this.repositoryPath, input, ...options });
+  }
+
+  read(hash) {
+    try {
+      return JSON.parse(this.git(['notes', `--ref=${this.ref}`, 'show', hash]));
+    } catch {
+      return null;
+    }
+  }
+
+  write(hash, note) {
+    this.git(['notes', `--ref=${this.ref}`, 'add', '-f', '-F', '-', hash], JSON.stringify(note, null, 2) + '\n');
+  }
+
+  appendDecision(hash, entry, triage) {
+    const note = this.read(hash) || { history: [] };
+    this.write(hash, {
+      triage: triage || note.triage || null,
+      history: [...(note.history || []), entry]
+    });
+  }
+
+  /**
+   * Every note under a notes ref as { hash, note }, read in one
+   * `git cat-file --batch` call. Notes that are not valid JSON are skipped.
+   */
+  readAll(ref = this.ref) {
+    const listing = this.git(['notes', `--ref=${ref}`, 'list']).trim();
+    if (!listing) return [];
+
+    const pairs = listing.split('\n').map(line => line.split(' '));
+    const output = this.git(['cat-file', '--batch'], pairs.map(([blob]) => blob).join('\n') + '\n', { encoding: null });
+
+    const notes = [];
+    let offset = 0;
+    for (const [, hash] of pairs) {
+      const headerEnd = output.indexOf(0x0a, offset);
+      const size = parseInt(output.toString('utf8', offset, headerEnd).split(' ')[2]);
+      const content = output.toString('utf8', headerEnd + 1, headerEnd + 1 + size);
+      offset = headerEnd + 1 + size + 1;
+
+      try {
+        notes.push({ hash, note: JSON.parse(content) });
+      } catch {
+        // Not written by fork-parity
+      }
+    }
+    return notes;
+  }
+
+  /**
+   * Fetch the remote's notes and fold them into the local ref. Git merges
+   * notes for different commits itself; notes both sides changed are
+   * combined entry by entry so that a later `git push` fast-forwards.
+   */
+  pull(remote = GitNotesStore.readConfig(this.repositoryPath, 'fork-parity.notesRemote') || 'origin') {
+    const remoteRef = `refs/notes/remotes/${remote}/${this.ref}`;
+
+    try {
+      this.git(['fetch', '--quiet', '--', remote, `+refs/notes/${this.ref}:${remoteRef}`], undefined, { timeout: FETCH_TIMEOUT_MS });
+    } catch {
+      // No such remote, or nobody has pushed notes yet
+      return { fetched: false, combined: 0 };
+    }
+
+    const ours = new Map(this.readAll().map(({ hash, note }) => [hash, note]));
+    const theirs = this.readAll(remoteRef);
+
+    this.git(['notes', `--ref=${this.ref}`, 'merge', '--quiet', '-s', 'ours', remoteRef]);
+
+    let combined = 0;
+    for (const { hash, note } of theirs) {
+      const local = ours.get(hash);
+      if (!local) continue;
+
+      const merged = GitNotesStore.combine(local, note);
+      if (JSON.stringify(merged) !== JSON.stringify(local)) {
+        this.write(hash, merged);
+        combined++;
+      }
+    }
+
+    return { fetched: true, combined };
+  }
+
+  static combine(ours, theirs) {
+    const history = new Map();
+    for (const entry of [...(ours.history || []), ...(theirs.history || [])]) {
+      if (entry.id && !history.has(entry.id)) {
+        history.set(entry.id, entry);
+      }
+    }
+
+    return {
+      triage: ours.triage || theirs.triage || null,
+      history: [...history.values()].sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+    };
+  }
+}
+
+export default GitNotesStore;
@@ -0,0 +1,294 @@
+// Safe git command execution
+//
+// Every git invocation goes through here: arguments are passed as an array
+// straight to the git binary (never through a shell), refs, hashes and ranges
+// coming from tool arguments are validated before use, and each command runs
+// under a timeout. Failures are raised as GitError with the exit code and
+// stderr attached.
+
+import { execFileSync, spawn } from 'child_process';
+
+export const DEFAULT_GIT_TIMEOUT_MS = 2 * 60 * 1000;
+export const FETCH_TIMEOUT_MS = 10 * 60 * 1000;
+
+const MAX_BUFFER = 256 * 1024 * 1024;
+
+// Ref names, revision suffixes (^, ~, ^{commit}, @{u}) and remote/branch
+// paths. A leading "-" would be read as an option.
+const REF_PATTERN = /^[\w@][\w./@^~{}:+-]*$/;
+const HASH_PATTERN = /^[0-9a-f]{4,64}$/i;
+// ext:: runs an arbitrary command as the transport, fd:: talks over open
+// file descriptors
+const UNSAFE_TRANSPORT = /^(ext|fd)::/i;
+
+export class GitError extends Error {
+  /**
+   * `code` is one of INVALID_ARGUMENT, TIMEOUT, NOT_FOUND (git is not
+   * installed) or FAILED (git exited with a non-zero status)
+   */
+  constructor(message, { code = 'FAILED', args = [], exitCode = null, stderr = '', stdout = '' } = {}) {
+    super(message);
+    this.name = 'GitError';
+    this.code = code;
+    this.args = args;
+    this.exitCode = exitCode;
+    this.stderr = stderr;
+    // Some commands report results through their exit code (merge-tree
+    // exits 1 on conflicts), so their output is kept
+    this.stdout = stdout;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      command: ['git', ...this.args].join(' '),
+      exitCode: this.exitCode,
+      stderr: this.stderr
+    };
+  }
+}
+
+/**
+ * Run git and return its stdout. Options: cwd, input, timeout, encoding
+ * ('utf8', or null for a Buffer) and stdio (e.g. 'inherit' to show fetch
+ * progress, in which case nothing is returned).
+ */
+export function runGit(args, options = {}) {
+  const {
+    cwd = process.cwd(),
+    input,
+    timeout = DEFAULT_GIT_TIMEOUT_MS,
+    encoding = 'utf8',
+    stdio = [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe']
+  } = options;
+
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      input,
+      timeout,
+      encoding,
+      stdio,
+      maxBuffer: MAX_BUFFER,
+      killSignal: 'SIGKILL'
+    });
+  } catch (error) {
+    throw toGitError(error, args, timeout);
+  }
+}
+
+/**
+ * Like runGit, but without blocking the event loop, for slow commands such
+ * as fetch in the MCP server. Resolves with stdout; rejects with a GitError.
+ */
+export async function runGitAsync(args, options = {}) {
+  const { cwd = process.cwd(), timeout = DEFAULT_GIT_TIMEOUT_MS } = options;
+  const child = spawn('git', args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+  const exited = waitForGit(child, args);
+
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    child.kill('SIGKILL');
+  }, timeout);
+
+  let stdout = '';
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', data => { stdout += data; });
+
+  try {
+    await exited;
+  } catch (error) {
+    if (timedOut) {
+      throw new GitError(`git ${args[0]} timed out after ${Math.round(timeout / 1000)}s`, {
+        code: 'TIMEOUT',
+        args,
+        stderr: error.stderr
+      });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+  return stdout;
+}
+
+/**
+ * Run a git command used as a yes/no check (merge-base --is-ancestor,
+ * cat-file -e, ...). Exits other than 0 mean no; timeouts still throw.
+ */
+export function gitSucceeds(args, options = {}) {
+  try {
+    runGit(args, options);
+    return true;
+  } catch (error) {
+    if (error.code === 'FAILED') return false;
+    throw error;
+  }
+}
+
+/**
+ * Start a long-running git command whose output is streamed. The caller
+ * owns the child process; it is killed if it outlives `timeout`.
+ */
+export function spawnGit(args, options = {}) {
+  const { cwd = process.cwd(), timeout = null } = options;
+  const child = spawn('git', args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+
+  if (timeout) {
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+    child.on('close', () => clearTimeout(timer));
+  }
+  return child;
+}
+
+/**
+ * Run git and yield its stdout split on `separator` as it arrives, for
+ * output too large to buffer. `input` is an optional readable stream piped
+ * to git's stdin. Throws a GitError once the output ends if git failed; a
+ * consumer that stops early kills the command.
+ */
+export async function* streamGitRecords(args, options = {}) {
+  const { cwd = process.cwd(), separator = '\n', input = null } = options;
+  const child = spawn('git', args, { cwd, stdio: [input ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
+  const exited = waitForGit(child, args);
+
+  if (input) {
+    // git may exit before reading all of its input; that surfaces through
+    // the exit status, not as a write error
+    child.stdin.on('error', () => {});
+    input.pipe(child.stdin);
+  }
+
+  child.stdout.setEncoding('utf8');
+  let pending = '';
+  let finished = false;
+  try {
+    for await (const chunk of child.stdout) {
+      const records = (pending + chunk).split(separator);
+      // The last record may continue in the next chunk
+      pending = records.pop();
+      yield* records;
+    }
+    if (pending) yield pending;
+    finished = true;
+  } finally {
+    if (!finished) child.kill();
+  }
+
+  await exited;
+}
+
+/**
+ * Resolves when a spawned git command exits successfully and rejects with
+ * a GitError otherwise. Collects stderr for the error message.
+ */
+export function waitForGit(child, args) {
+  let stderr = '';
+  child.stderr.on('data', data => { stderr += data; });
+
+  const exited = new Promise((resolve, reject) => {
+    child.on('error', error => reject(toGitError(error, args)));
+    child.on('close', code => {
+      if (code === 0) {
+        resolve();
+      } else {
+        stderr = stderr.trim();
+        reject(new GitError(`git ${args[0]} failed: ${stderr || `exit code ${code}`}`, {
+          args,
+          exitCode: code,
+          stderr
+        }));
+      }
+    });
+  });
+  // Awaited once the output is read; until then a failure is not unhandled
+  exited.catch(() => {});
+  return exited;
+}
+
+function toGitError(error, args, timeout) {
+  if (error.code === 'ENOENT') {
+    return new GitError('git executable not found', { code: 'NOT_FOUND', args });
+  }
+  if (error.status === undefined && !error.signal) {
+    // Not a git failure (bad options and the like)
+    return error;
+  }
+
+  const stderr = error.stderr ? error.stderr.toString().trim() : '';
+  if (error.signal === 'SIGKILL' && error.status === null) {
+    return new GitError(`git ${args[0]} timed out after ${Math.round(timeout / 1000)}s`, {
+      code: 'TIMEOUT',
+      args,
+      stderr
+    });
+  }
+
+  return new GitError(`git ${args[0]} failed: ${stderr || `exit code ${error.status}`}`, {
+    args,
+    exitCode: error.status,
+    stderr,
+    stdout: error.stdout || ''
+  });
+}
+
+function invalid(label, value) {
+  return new GitError(`Invalid ${label}: ${JSON.stringify(value)}`, { code: 'INVALID_ARGUMENT' });
+}
+
+/**
+ * A single ref or revision: branch, tag, remote-tracking ref, hash or an
+ * expression such as HEAD~2 or upstream/main^{commit}
+ */
+export function assertRef(ref, label = 'ref') {
+  if (typeof ref !== 'string' || !REF_PATTERN.test(ref) || ref.includes('..') || ref.endsWith('.lock')) {
+    throw invalid(label, ref);
+  }
+  return ref;
+}
+
+export function assertHash(hash, label = 'commit hash') {
+  if (typeof hash !== 'string' || !HASH_PATTERN.test(hash)) {
+    throw invalid(label, hash);
+  }
+  return hash;
+}
+
+/**
+ * A revision range: "a..b", "a...b" or a single ref. Either side of ".."
+ * may be empty, as git allows.
+ */
+export function assertRange(range, label = 'commit range') {
+  if (typeof range !== 'string' || !range) {
+    throw invalid(label, range);
+  }
+
+  const sides = range.split(/\.{2,3}/);
+  if (sides.length > 2 || sides.every(side => !side)) {
+    throw invalid(label, range);
+  }
+  for (const side of sides) {
+    if (side) {
+      try {
+        assertRef(side);
+      } catch {
+        throw invalid(label, range);
+      }
+    }
+  }
+  return range;
+}
+
+/**
+ * Remote URLs and local paths are passed after "--" by callers, but are also
+ * rejected when they could be read as options, hold control characters or
+ * name a remote helper that runs commands or reads file descriptors
+ */
+export function assertRemoteUrl(url, label = 'remote URL') {
+  if (typeof url !== 'string' || !url || url.startsWith('-') || /[\x00-\x1f\x7f]/.test(url) || UNSAFE_TRANSPORT.test(url)) {
+    throw invalid(label, url);
+  }
+  return url;
+}
@@ -2,7 +2,6 @@
 
 import { writeFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
 import { join } from 'path';
-import { execSync } from 'child_process';
 
 class GitHubActionsIntegration {
   constructor() {
@@ -1181,7 +1180,7 @@ workflows:
 // Auto-PR generation script for Fork Parity
 // This script identifies safe changes and creates PRs automatically
 
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
 const { Octokit } = require('@octokit/rest');
 
 const config = ${JSON.stringify(options, null, 2)};
@@ -1311,7 +1310,7 @@ class AutoPRGenerator {
       console.log(\`📝 Creating PR for \${commits.length} \${group.type} changes...\`);
       
       // Create branch
-      execSync(\`git checkout -b \${branchName}\`);
+      execFileSync('git', ['checkout', '-b', branchName]);
       
       // Cherry-pick commits
       let successfulIntegrations = 0;
@@ -1319,31 +1318,31 @@ class AutoPRGenerator {
       
       for (const commit of commits) {
         try {
-          execSync(\`git cherry-pick \${commit.hash}\`, { stdio: 'ignore' });
+          execFileSync('git', ['cherry-pick', commit.hash], { stdio: 'ignore' });
           integratedCommits.push(commit);
           successfulIntegrations++;
           
           // Update status
-          execSync(\`fork-parity status \${commit.hash} integrated --reason "Auto-integrated via PR"\`);
+          execFileSync('fork-parity', ['status', commit.hash, 'integrated', '--reason', 'Auto-integrated via PR']);
           
         } catch (error) {
           console.log(\`⚠️ Failed to integrate \${commit.hash}, skipping\`);
           execSync('git cherry-pick --abort', { stdio: 'ignore' });
           
           // Update status
-          execSync(\`fork-parity status \${commit.hash} conflict --reason "Auto-integration failed"\`);
+          execFileSync('fork-parity', ['status', commit.hash, 'conflict', '--reason', 'Auto-integration failed']);
         }
       }
       
       if (successfulIntegrations === 0) {
         console.log('❌ No commits could be integrated, aborting PR');
         execSync('git checkout -');
-        execSync(\`git branch -D \${branchName}\`);
+        execFileSync('git', ['branch', '-D', branchName]);
         return;
       }
       
       // Push branch
-      execSync(\`git push origin \${branchName}\`);
+      execFileSync('git', ['push', 'origin', branchName]);
       
       // Create PR
       const prBody = this.generatePRBody(integratedCommits, group.type);
@@ -1389,7 +1388,7 @@ class AutoPRGenerator {
       // Cleanup
       try {
         execSync('git checkout -');
-        execSync(\`git branch -D \${branchName}\`);
+        execFileSync('git', ['branch', '-D', branchName]);
       } catch (cleanupError) {
         // Ignore cleanup errors
       }
@@ -1802,7 +1801,7 @@ jobs:
           
           node -e "
             const candidates = JSON.parse('\$CANDIDATES');
-            const { execSync } = require('child_process');
+            const { execSync, execFileSync } = require('child_process');
             
             let integratedCount = 0;
             const integratedCommits = [];
@@ -1812,7 +1811,7 @@ jobs:
                 console.log(\`Integrating commit \${candidate.hash}...\`);
                 
                 // Cherry-pick the commit
-                execSync(\`git cherry-pick \${candidate.hash}\`, { 
+                execFileSync('git', ['cherry-pick', candidate.hash], {
                   stdio: 'inherit',
                   cwd: process.cwd()
                 });
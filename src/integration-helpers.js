@@ -1,8 +1,10 @@
 // Integration helpers for conflict resolution, adaptation patterns, and migration planning
 
-import { execSync } from 'child_process';
+import { runGit, spawnGit, streamGitRecords, waitForGit, assertHash } from './git-runner.js';
+import { predictCherryPick } from './merge-tree.js';
 import { readFileSync, existsSync, writeFileSync } from 'fs';
 import { join, dirname, basename, extname } from 'path';
+import { randomUUID } from 'crypto';
 
 class IntegrationHelpersSystem {
   constructor(database) {
@@ -402,7 +404,7 @@ class IntegrationHelpersSystem {
     // Add adaptation tasks based on patterns
     const adaptationPatterns = this.getRelevantAdaptationPatterns(commitData);
     for (const pattern of adaptationPatterns) {
-      adaptationPhase.tasks.push(`Apply ${pattern.name} adaptation pattern`);
+      adaptationPhase.tasks.push(`Apply ${pattern.type} adaptation pattern (${pattern.id})`);
     }
 
     plan.phases.push(adaptationPhase);
@@ -437,99 +439,172 @@ class IntegrationHelpersSystem {
     plan.prerequisites = this.generatePrerequisites(analysisResults);
     plan.rollbackPlan = this.generateRollbackPlan(commitData);
     plan.testingStrategy = this.generateTestingStrategy(analysisResults);
+    plan.verification = analysisResults.verification || null;
 
     return plan;
   }
 
   /**
-   * Learn and store adaptation patterns
+   * Find tracked upstream commits that already reached the fork branch, either
+   * through a `(cherry picked from commit ...)` trailer or an identical
+   * `git patch-id`, and record them as integrated in the local database.
+   * Both ranges are streamed, so their size is not limited by a buffer.
    */
-  learnAdaptationPattern(commitHash, adaptationData) {
-    const pattern = {
-      id: `pattern_${Date.now()}`,
-      commitHash,
-      patternType: adaptationData.type,
-      sourcePattern: adaptationData.sourcePattern,
-      targetPattern: adaptationData.targetPattern,
-      context: adaptationData.context,
-      success: adaptationData.success,
-      effort: adaptationData.effort,
-      notes: adaptationData.notes,
-      createdAt: new Date().toISOString()
+  async detectExistingIntegrations(repo, upstreamRef, repositoryPath) {
+    const candidates = new Map(
+      this.db.getUnintegratedCommits(repo.id).map(commit => [commit.hash, commit])
+    );
+    if (candidates.size === 0) return [];
+
+    const forkBranch = repo.fork_branch || 'main';
+    const forkOnlyRange = `${upstreamRef}..${forkBranch}`;
+    const detected = [];
+    const batchId = randomUUID();
+
+    const markIntegrated = (upstreamHash, forkHash, detectionMethod, reasoning) => {
+      const candidate = candidates.get(upstreamHash);
+      if (!candidate) return;
+
+      candidates.delete(upstreamHash);
+      this.db.recordIntegration(candidate.id, {
+        integrationType: 'cherry-pick',
+        targetBranch: forkBranch,
+        integrationCommitHash: forkHash,
+        detectionMethod,
+        decisionReasoning: reasoning,
+        reviewer: 'fork-parity',
+        batchId,
+        // Every checkout finds these in git itself, so sharing them would
+        // only repeat them once per teammate
+        shared: false
+      });
+      detected.push({ hash: upstreamHash, forkCommit: forkHash, detectionMethod });
     };
 
-    // Store in database
-    try {
-      const stmt = this.db.db.prepare(`
-        INSERT INTO adaptation_patterns 
-        (pattern_id, commit_hash, pattern_type, source_pattern, target_pattern, context, success, effort, notes, created_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-      
-      stmt.run(
-        pattern.id,
-        pattern.commitHash,
-        pattern.patternType,
-        pattern.sourcePattern,
-        pattern.targetPattern,
-        JSON.stringify(pattern.context),
-        pattern.success ? 1 : 0,
-        pattern.effort,
-        pattern.notes,
-        pattern.createdAt
-      );
+    // 1. Explicit `git cherry-pick -x` trailers on fork-only commits
+    const forkLog = streamGitRecords(['log', '--format=%H%x1f%B%x1e', forkOnlyRange], {
+      cwd: repositoryPath,
+      separator: '\x1e'
+    });
+    const trailerPattern = /\(cherry picked from commit ([0-9a-f]{7,40})\)/g;
+
+    for await (const record of forkLog) {
+      const [forkHash, body = ''] = record.trim().split('\x1f');
+      if (!forkHash) continue;
+
+      for (const match of body.matchAll(trailerPattern)) {
+        const upstreamHash = [...candidates.keys()].find(hash => hash.startsWith(match[1]));
+        if (upstreamHash) {
+          markIntegrated(
+            upstreamHash,
+            forkHash,
+            'cherry-pick-trailer',
+            `Detected automatically: fork commit ${forkHash.substring(0, 8)} carries a cherry-pick trailer for this commit`
+          );
+        }
+      }
+    }
 
-      // Update in-memory cache
-      this.adaptationPatterns.set(pattern.id, pattern);
-      
-      return pattern;
-    } catch (error) {
-      console.error('Failed to store adaptation pattern:', error);
-      return null;
+    if (candidates.size === 0) return detected;
+
+    // 2. Identical patches applied without a trailer (plain cherry-pick, rebase, git am)
+    const forkPatchIds = new Map();
+    for await (const [patchId, forkHash] of this.streamPatchIds(forkOnlyRange, repositoryPath)) {
+      forkPatchIds.set(patchId, forkHash);
     }
+
+    for await (const [patchId, upstreamHash] of this.streamPatchIds(`${forkBranch}..${upstreamRef}`, repositoryPath)) {
+      const forkHash = forkPatchIds.get(patchId);
+      if (forkHash) {
+        markIntegrated(
+          upstreamHash,
+          forkHash,
+          'patch-id',
+          `Detected automatically: fork commit ${forkHash.substring(0, 8)} has the same patch-id`
+        );
+      }
+    }
+
+    return detected;
   }
 
-  // Helper methods
-  async simulateMerge(commitHash, repositoryPath) {
+  /**
+   * Yields [patchId, hash] for each non-merge commit in a range, with
+   * `git log -p` piped straight into `git patch-id`
+   */
+  async *streamPatchIds(range, repositoryPath) {
+    const logArgs = ['log', '-p', '--no-merges', '--no-color', '--no-ext-diff', range];
+    const log = spawnGit(logArgs, { cwd: repositoryPath });
+    const logExited = waitForGit(log, logArgs);
+
+    let finished = false;
     try {
-      // Create a temporary branch for simulation
-      const tempBranch = `temp_merge_${Date.now()}`;
-      
-      execSync(`git checkout -b ${tempBranch}`, { cwd: repositoryPath, stdio: 'ignore' });
-      
-      try {
-        // Attempt merge
-        execSync(`git merge ${commitHash}`, { cwd: repositoryPath, stdio: 'ignore' });
-        
-        // Clean up
-        execSync('git checkout -', { cwd: repositoryPath, stdio: 'ignore' });
-        execSync(`git branch -D ${tempBranch}`, { cwd: repositoryPath, stdio: 'ignore' });
-        
-        return { hasConflicts: false, conflictFiles: [] };
-      } catch (mergeError) {
-        // Get conflict files
-        const statusOutput = execSync('git status --porcelain', { 
-          cwd: repositoryPath, 
-          encoding: 'utf8' 
-        });
-        
-        const conflictFiles = statusOutput
-          .split('\n')
-          .filter(line => line.startsWith('UU '))
-          .map(line => line.substring(3));
-        
-        // Clean up
-        execSync('git merge --abort', { cwd: repositoryPath, stdio: 'ignore' });
-        execSync('git checkout -', { cwd: repositoryPath, stdio: 'ignore' });
-        execSync(`git branch -D ${tempBranch}`, { cwd: repositoryPath, stdio: 'ignore' });
-        
-        return { hasConflicts: true, conflictFiles };
+      const lines = streamGitRecords(['patch-id', '--stable'], { cwd: repositoryPath, input: log.stdout });
+      for await (const line of lines) {
+        if (line.trim()) yield line.split(' ');
       }
+      finished = true;
+    } finally {
+      if (!finished) log.kill();
+    }
+
+    await logExited;
+  }
+
+  // Helper methods
+  /**
+   * Predict whether cherry-picking a commit onto the fork conflicts. Runs
+   * entirely on git objects, so the checkout is never touched.
+   */
+  async simulateMerge(commitHash, repositoryPath, onto = 'HEAD') {
+    try {
+      const prediction = predictCherryPick(commitHash, onto, repositoryPath);
+      return {
+        hasConflicts: !prediction.clean,
+        conflictFiles: prediction.conflicts.map(conflict => conflict.file),
+        conflicts: prediction.conflicts
+      };
     } catch (error) {
-      return { hasConflicts: false, conflictFiles: [], error: error.message };
+      return { hasConflicts: false, conflictFiles: [], conflicts: [], error: error.message };
     }
   }
 
+  /**
+   * Predict and classify the conflicts an upstream commit would cause when
+   * cherry-picked onto the fork branch
+   */
+  async analyzeConflicts(commitData, repositoryPath, forkRef = 'HEAD') {
+    const simulation = await this.simulateMerge(commitData.hash, repositoryPath, forkRef);
+
+    const conflicts = [];
+    for (const conflict of simulation.conflicts) {
+      const type = this.determineConflictType(conflict.file);
+
+      // Deleted on one side: there are no markers, only a keep-or-drop decision
+      const analysis = conflict.content === null
+        ? {
+          file: conflict.file,
+          type,
+          conflicts: 0,
+          hunks: [],
+          resolutionComplexity: 'moderate',
+          suggestedResolution: [`Resolve the ${conflict.type} conflict by keeping or removing ${conflict.file}`]
+        }
+        : await this.analyzeFileConflicts({ file: conflict.file, type, content: conflict.content }, repositoryPath);
+
+      conflicts.push({ ...analysis, conflictKind: conflict.type, stages: conflict.stages });
+    }
+
+    return {
+      hasConflicts: simulation.hasConflicts,
+      conflicts,
+      semanticConflicts: this.analyzeSemanticConflicts(commitData.filesChanged || [], repositoryPath),
+      estimatedResolutionTime: this.estimateResolutionTime(conflicts),
+      resolutionSuggestions: this.generateResolutionSuggestions(conflicts),
+      ...(simulation.error ? { error: simulation.error } : {})
+    };
+  }
+
   async analyzeFileConflicts(filePath, repositoryPath) {
     try {
       const fullPath = join(repositoryPath, filePath);
@@ -743,45 +818,6 @@ class IntegrationHelpersSystem {
     return baseConfidence[patternName] || 0.5;
   }
 
-  findAdaptationPattern(conflict) {
-    // Search for similar patterns in adaptation history
-    for (const [id, pattern] of this.adaptationPatterns) {
-      if (this.isPatternApplicable(pattern, conflict)) {
-        return {
-          method: 'adaptation-pattern',
-          description: `Similar pattern found: ${pattern.patternType}`,
-          resolution: pattern.targetPattern,
-          confidence: pattern.success ? 0.8 : 0.6,
-          patternId: id,
-          notes: pattern.notes
-        };
-      }
-    }
-    
-    return null;
-  }
-
-  isPatternApplicable(pattern, conflict) {
-    // Simple similarity check - could be enhanced with ML
-    const patternContext = pattern.context || {};
-    const conflictFile = conflict.file || '';
-    
-    // Check file type similarity
-    if (patternContext.fileType && conflictFile) {
-      const conflictExt = extname(conflictFile);
-      if (patternContext.fileType !== conflictExt) {
-        return false;
-      }
-    }
-    
-    // Check pattern type similarity
-    if (pattern.patternType === conflict.type) {
-      return true;
-    }
-    
-    return false;
-  }
-
   recommendIntegrationApproach(resolutions) {
     const automaticCount = resolutions.filter(r => 
       r.suggestions.some(s => s.method === 'automatic')
@@ -814,13 +850,10 @@ class IntegrationHelpersSystem {
 
   getHistoricalCommits(repositoryPath, limit = 100) {
     try {
-      const output = execSync(
-        `git log --oneline -n ${limit} --pretty=format:"%H|%s"`,
-        { cwd: repositoryPath, encoding: 'utf8' }
-      );
+      const output = runGit(['log', '-n', String(limit), '--format=%H%x1f%s'], { cwd: repositoryPath });
       
-      return output.split('\n').map(line => {
-        const [hash, message] = line.split('|');
+      return output.split('\n').filter(line => line.trim()).map(line => {
+        const [hash, message] = line.split('\x1f');
         return { hash, message };
       });
     } catch (error) {
@@ -837,10 +870,8 @@ class IntegrationHelpersSystem {
     
     for (const commit of historicalCommits.slice(0, 20)) { // Check last 20 commits
       try {
-        const commitFiles = execSync(
-          `git show --name-only --pretty=format: ${commit.hash}`,
-          { cwd: repositoryPath, encoding: 'utf8' }
-        ).split('\n').filter(f => f.trim());
+        const commitFiles = runGit(['show', '--name-only', '--format=', assertHash(commit.hash)], { cwd: repositoryPath })
+          .split('\n').filter(f => f.trim());
         
         const similarFiles = commitFiles.filter(f => extname(f) === fileExt);
         
@@ -865,10 +896,7 @@ class IntegrationHelpersSystem {
   calculateContentSimilarity(contentLines, commit, repositoryPath) {
     // Simple line-based similarity - could be enhanced
     try {
-      const commitContent = execSync(
-        `git show ${commit.hash}`,
-        { cwd: repositoryPath, encoding: 'utf8' }
-      );
+      const commitContent = runGit(['show', assertHash(commit.hash)], { cwd: repositoryPath });
       
       const commitLines = commitContent.split('\n');
       const commonLines = contentLines.filter(line => 
@@ -914,45 +942,10 @@ class IntegrationHelpersSystem {
     }
   }
 
-  loadAdaptationPatterns() {
-    try {
-      // Create table if it doesn't exist
-      this.db.db.exec(`
-        CREATE TABLE IF NOT EXISTS adaptation_patterns (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          pattern_id TEXT UNIQUE,
-          commit_hash TEXT,
-          pattern_type TEXT,
-          source_pattern TEXT,
-          target_pattern TEXT,
-          context TEXT,
-          success INTEGER,
-          effort TEXT,
-          notes TEXT,
-          created_at DATETIME
-        )
-      `);
-      
-      // Load existing patterns
-      const stmt = this.db.db.prepare('SELECT * FROM adaptation_patterns');
-      const patterns = stmt.all();
-      
-      for (const pattern of patterns) {
-        this.adaptationPatterns.set(pattern.pattern_id, {
-          ...pattern,
-          context: JSON.parse(pattern.context || '{}'),
-          success: pattern.success === 1
-        });
-      }
-    } catch (error) {
-      console.error('Failed to load adaptation patterns:', error);
-    }
-  }
-
   getRelevantAdaptationPatterns(commitData) {
     const relevant = [];
     
-    for (const [id, pattern] of this.adaptationPatterns) {
+    for (const pattern of this.adaptationPatterns.values()) {
       if (pattern.success && this.isPatternRelevant(pattern, commitData)) {
         relevant.push(pattern);
       }
@@ -974,7 +967,7 @@ class IntegrationHelpersSystem {
     }
     
     // Check commit message similarity
-    if (pattern.commit_hash && commitData.message) {
+    if (pattern.commitHash && commitData.message) {
       const similarity = this.calculateMessageSimilarity(
         pattern.notes || '', 
         commitData.message
@@ -1072,7 +1065,7 @@ class IntegrationHelpersSystem {
   }
 
   generateTestingStrategy(analysisResults) {
-    const strategy = ['Run existing test suite'];
+    const strategy = [this.describeVerification(analysisResults.verification)];
     
     if (analysisResults.breakingChanges?.hasBreakingChanges) {
       strategy.push('Test all API endpoints');
@@ -1095,6 +1088,26 @@ class IntegrationHelpersSystem {
     return strategy;
   }
 
+  // The latest test suite run for the commit (see plan.verification), or how
+  // to get one
+  describeVerification(verification) {
+    if (!verification) {
+      return 'Run existing test suite (not verified yet: fork-parity verify / fork_parity_verify_integration)';
+    }
+
+    const others = verification.batch_hashes.length - 1;
+    const batch = others > 0 ? ` with ${others} other commit${others === 1 ? '' : 's'}` : '';
+    const outcome = {
+      passed: 'Test suite passed',
+      failed: `Test suite failed (exit code ${verification.exit_code})`,
+      timeout: 'Test suite timed out',
+      conflict: 'Test suite not run, the commits did not apply',
+      error: 'Test suite could not be started'
+    }[verification.status];
+    const advice = verification.status === 'passed' ? 're-run if the change is adapted' : 'fix before integrating';
+    return `${outcome} on ${verification.base_commit.substring(0, 8)}${batch} at ${verification.created_at} (\`${verification.command}\`); ${advice}`;
+  }
+
   // Utility methods for parsing
   parseConflictMarker(marker) {
     const lines = marker.split('\n');
@@ -1189,16 +1202,14 @@ class IntegrationHelpersSystem {
 
   getConflictedFiles(repositoryPath) {
     try {
-      const statusOutput = execSync('git status --porcelain', { 
-        encoding: 'utf8', 
-        cwd: repositoryPath 
-      });
+      const statusOutput = runGit(['status', '--porcelain'], { cwd: repositoryPath });
       
       const conflictedFiles = [];
       const lines = statusOutput.split('\n').filter(line => line.trim());
       
       for (const line of lines) {
-        if (line.startsWith('UU ') || line.startsWith('AA ') || line.startsWith('DD ')) {
+        // Every unmerged state, including modify/delete (UD, DU) and add (AU, UA)
+        if (/^(DD|AU|UD|UA|DU|AA|UU) /.test(line)) {
           const file = line.substring(3).trim();
           conflictedFiles.push({
             file,
@@ -1229,8 +1240,9 @@ class IntegrationHelpersSystem {
 
   async analyzeFileConflicts(conflictFile, repositoryPath) {
     try {
-      const filePath = join(repositoryPath, conflictFile.file);
-      const content = readFileSync(filePath, 'utf8');
+      // Predicted conflicts carry the merged content; otherwise read the
+      // conflicted file from an in-progress merge in the checkout
+      const content = conflictFile.content ?? readFileSync(join(repositoryPath, conflictFile.file), 'utf8');
       
       // Extract conflict markers
       const conflicts = this.extractConflictMarkers(content);
@@ -1239,6 +1251,7 @@ class IntegrationHelpersSystem {
         file: conflictFile.file,
         type: conflictFile.type,
         conflicts: conflicts.length,
+        hunks: conflicts,
         content: content,
         resolutionComplexity: this.assessResolutionComplexity(conflicts),
         suggestedResolution: this.suggestResolution(conflictFile.type, conflicts)
@@ -1268,6 +1281,9 @@ class IntegrationHelpersSystem {
           base: [],
           incoming: []
         };
+      } else if (line.startsWith('|||||||') && currentConflict) {
+        // diff3 conflict style: the common ancestor's lines follow
+        currentConflict.baseStart = i;
       } else if (line.startsWith('=======') && currentConflict) {
         currentConflict.separator = i;
       } else if (line.startsWith('>>>>>>>') && currentConflict) {
@@ -1275,7 +1291,9 @@ class IntegrationHelpersSystem {
         conflicts.push(currentConflict);
         currentConflict = null;
       } else if (currentConflict) {
-        if (currentConflict.separator === undefined) {
+        if (currentConflict.separator === undefined && currentConflict.baseStart !== undefined) {
+          currentConflict.base.push(line);
+        } else if (currentConflict.separator === undefined) {
           currentConflict.head.push(line);
         } else {
           currentConflict.incoming.push(line);
@@ -1409,13 +1427,10 @@ class IntegrationHelpersSystem {
 
   getHistoricalCommits(repositoryPath) {
     try {
-      const logOutput = execSync(
-        'git log --oneline -50 --pretty=format:"%H|%s"', 
-        { encoding: 'utf8', cwd: repositoryPath }
-      );
+      const logOutput = runGit(['log', '-n', '50', '--format=%H%x1f%s'], { cwd: repositoryPath });
       
       return logOutput.split('\n').map(line => {
-        const [hash, message] = line.split('|');
+        const [hash, message] = line.split('\x1f');
         return { hash, message };
       }).filter(commit => commit.hash && commit.message);
     } catch (error) {
@@ -1432,10 +1447,8 @@ class IntegrationHelpersSystem {
     
     for (const commit of historicalCommits.slice(0, 20)) { // Check last 20 commits
       try {
-        const commitFiles = execSync(
-          `git show --name-only --pretty=format: ${commit.hash}`,
-          { encoding: 'utf8', cwd: repositoryPath }
-        ).split('\n').filter(f => f.trim());
+        const commitFiles = runGit(['show', '--name-only', '--format=', assertHash(commit.hash)], { cwd: repositoryPath })
+          .split('\n').filter(f => f.trim());
         
         const similarFiles = commitFiles.filter(f => 
           basename(f) === fileName || dirname(f) === fileDir
@@ -1569,13 +1582,14 @@ class IntegrationHelpersSystem {
 
   findAdaptationPattern(conflict) {
     // Check stored adaptation patterns
-    for (const [pattern, data] of this.adaptationPatterns) {
+    for (const pattern of this.adaptationPatterns.values()) {
       if (this.matchesPattern(conflict, pattern)) {
         return {
           method: 'adaptation_pattern',
-          description: `Similar conflict resolved previously: ${data.description}`,
-          resolution: data.resolution,
-          confidence: data.successRate || 0.7
+          description: `Similar conflict resolved previously: ${pattern.type}${pattern.notes ? ` (${pattern.notes})` : ''}`,
+          resolution: pattern.targetPattern,
+          confidence: pattern.success ? 0.8 : 0.6,
+          patternId: pattern.id
         };
       }
     }
@@ -1585,8 +1599,10 @@ class IntegrationHelpersSystem {
 
   matchesPattern(conflict, pattern) {
     // Simple pattern matching based on file type and conflict type
-    return conflict.type === pattern.type && 
-           conflict.file.includes(pattern.filePattern);
+    if (conflict.type !== pattern.type) return false;
+    if (pattern.filePattern && !(conflict.file || '').includes(pattern.filePattern)) return false;
+    if (pattern.context?.fileType && extname(conflict.file || '') !== pattern.context.fileType) return false;
+    return true;
   }
 
   recommendIntegrationApproach(resolutions) {
@@ -1612,45 +1628,63 @@ class IntegrationHelpersSystem {
   }
 
   loadAdaptationPatterns() {
-    // Load patterns from database if available
+    // Load enabled patterns from the database; called again after any edit
+    this.adaptationPatterns.clear();
+
+    if (!this.db) return;
+
     try {
-      if (this.db) {
-        const patterns = this.db.getAdaptationPatterns();
-        for (const pattern of patterns) {
-          this.adaptationPatterns.set(pattern.id, pattern);
-        }
+      for (const row of this.db.getAdaptationPatterns()) {
+        const pattern = this.toAdaptationPattern(row);
+        this.adaptationPatterns.set(pattern.id, pattern);
       }
-    } catch (error) {
-      // Database not available or no patterns stored
+    } catch {
+      // Schema not migrated yet (e.g. `fork-parity migrate --dry-run`)
     }
   }
 
+  toAdaptationPattern(row) {
+    return {
+      id: row.pattern_id,
+      commitHash: row.commit_hash,
+      type: row.pattern_type,
+      filePattern: row.file_pattern,
+      sourcePattern: row.source_pattern,
+      targetPattern: row.target_pattern,
+      context: JSON.parse(row.context || '{}'),
+      success: row.success === 1,
+      effort: row.effort,
+      notes: row.notes,
+      enabled: row.enabled === 1,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
   learnAdaptationPattern(commitHash, adaptationData) {
+    // The MCP tool sends snake_case keys, the CLI camelCase
     const pattern = {
-      id: `pattern_${Date.now()}`,
+      id: `pattern_${randomUUID()}`,
       commitHash,
       type: adaptationData.type,
-      sourcePattern: adaptationData.source_pattern,
-      targetPattern: adaptationData.target_pattern,
-      context: adaptationData.context,
-      success: adaptationData.success,
+      filePattern: adaptationData.file_pattern ?? adaptationData.filePattern,
+      sourcePattern: adaptationData.source_pattern ?? adaptationData.sourcePattern,
+      targetPattern: adaptationData.target_pattern ?? adaptationData.targetPattern,
+      context: adaptationData.context || {},
+      success: adaptationData.success !== false,
       effort: adaptationData.effort,
       notes: adaptationData.notes,
+      enabled: true,
       createdAt: new Date().toISOString()
     };
+
+    if (!pattern.type) {
+      throw new Error('Adaptation pattern type is required');
+    }
     
-    // Store in memory
+    this.db.addAdaptationPattern(pattern);
     this.adaptationPatterns.set(pattern.id, pattern);
     
-    // Store in database if available
-    try {
-      if (this.db) {
-        this.db.storeAdaptationPattern(pattern);
-      }
-    } catch (error) {
-      // Database storage failed, but pattern is still in memory
-    }
-    
     return pattern;
   }
 }
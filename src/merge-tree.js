@@ -0,0 +1,125 @@
+// Conflict prediction with git merge-tree
+//
+// Predicts what cherry-picking an upstream commit onto the fork would do
+// without touching the working tree, the index or any ref. `git merge-tree
+// --write-tree` (git 2.38+) merges two commits entirely in the object
+// database. To give it cherry-pick semantics, the fork's tree is wrapped in a
+// throwaway commit whose parent is the upstream commit's parent, which makes
+// that parent the merge base. Only unreachable objects are written; git gc
+// prunes them.
+
+import { runGit, assertRef } from './git-runner.js';
+
+const CONFLICT_MESSAGE_TYPE = /^CONFLICT \((.+)\)$/;
+
+/**
+ * Predict cherry-picking `commit` onto `onto` (a commit or the tree of an
+ * earlier prediction). Returns { clean, tree, conflicts } where each conflict
+ * is { file, type, stages, content }: `type` is git's conflict type
+ * (content, modify/delete, add/add, rename/delete, ...) and `content` the
+ * file with conflict markers, or null when one side deleted it. `tree` is
+ * the merged tree, so picks can be chained.
+ */
+export function predictCherryPick(commit, onto, repositoryPath) {
+  const git = (args, options = {}) => runGit(args, { cwd: repositoryPath, ...options });
+
+  assertRef(commit, 'commit');
+  assertRef(onto, 'fork ref');
+
+  let parent = null;
+  try {
+    // Merge commits are picked against their first parent, as `cherry-pick -m 1`
+    parent = git(['rev-parse', '--verify', '--quiet', `${commit}^1^{commit}`]).trim();
+  } catch {
+    // A root commit: the merge base is the empty tree
+  }
+
+  const ontoTree = git(['rev-parse', '--verify', `${onto}^{tree}`]).trim();
+  const wrapper = git([
+    '-c', 'user.name=fork-parity',
+    '-c', 'user.email=fork-parity@localhost',
+    'commit-tree', ontoTree,
+    ...(parent ? ['-p', parent] : []),
+    '-m', 'fork-parity conflict prediction'
+  ]).trim();
+
+  const args = ['merge-tree', '--write-tree', '-z', ...(parent ? [] : ['--allow-unrelated-histories']), wrapper, commit];
+  let output;
+  try {
+    output = git(args);
+  } catch (error) {
+    // Exit code 1 means the merge has conflicts
+    if (error.exitCode !== 1 || !error.stdout) throw error;
+    output = error.stdout;
+  }
+
+  const { tree, entries, messages } = parseMergeTree(output);
+  const files = new Map();
+
+  for (const { path, stage } of entries) {
+    if (!files.has(path)) {
+      files.set(path, { file: path, type: 'content', stages: [] });
+    }
+    files.get(path).stages.push(stage);
+  }
+  for (const { paths, type } of messages) {
+    const match = CONFLICT_MESSAGE_TYPE.exec(type);
+    if (!match) continue;
+    for (const path of paths) {
+      if (files.has(path)) {
+        files.get(path).type = match[1] === 'contents' ? 'content' : match[1];
+      }
+    }
+  }
+
+  const conflicts = [...files.values()].map(conflict => {
+    // Only files both sides kept have conflict markers to read
+    if (!conflict.stages.includes(2) || !conflict.stages.includes(3)) {
+      return { ...conflict, content: null };
+    }
+
+    let content;
+    try {
+      content = git(['cat-file', '-p', `${tree}:${conflict.file}`]);
+    } catch {
+      return { ...conflict, content: null };
+    }
+
+    // Label the fork side HEAD, as a cherry-pick in the fork checkout would
+    content = content.split('\n').map(line => line === `<<<<<<< ${wrapper}` ? '<<<<<<< HEAD' : line).join('\n');
+    return { ...conflict, content };
+  });
+
+  return { clean: conflicts.length === 0, tree, conflicts };
+}
+
+/**
+ * With -z the output is the tree id, conflicted index entries
+ * ("<mode> <object> <stage>\t<path>"), an empty field, then messages as
+ * <path count>, <paths...>, <type>, <message>
+ */
+export function parseMergeTree(output) {
+  const fields = output.split('\0');
+  const tree = fields[0].trim();
+  const entries = [];
+
+  let i = 1;
+  for (; i < fields.length && fields[i] !== ''; i++) {
+    const match = /^\d+ [0-9a-f]+ (\d)\t([\s\S]*)$/.exec(fields[i]);
+    if (match) {
+      entries.push({ stage: parseInt(match[1]), path: match[2] });
+    }
+  }
+
+  const messages = [];
+  for (i++; i < fields.length;) {
+    const count = parseInt(fields[i]);
+    if (Number.isNaN(count)) break;
+
+    const paths = fields.slice(i + 1, i + 1 + count);
+    messages.push({ paths, type: fields[i + 1 + count], message: (fields[i + 2 + count] || '').trim() });
+    i += count + 3;
+  }
+
+  return { tree, entries, messages };
+}
@@ -0,0 +1,600 @@
+// Ordered schema migrations for the fork parity database
+//
+// Each migration moves the schema from `version - 1` to `version`. Released
+// migrations must never be edited; append a new one instead so that existing
+// .fork-parity/parity.db files can be upgraded in place.
+
+import { parseConventionalCommit } from './conventional-commits.js';
+
+const migrations = [
+  {
+    version: 1,
+    description: 'Baseline schema (repositories, commits, triage, status, integrations, metrics)',
+    up(db) {
+      // Everything here uses IF NOT EXISTS so databases created by 1.x,
+      // which never recorded a schema version, adopt it without changes
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS repositories (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          path TEXT UNIQUE NOT NULL,
+          upstream_url TEXT,
+          upstream_branch TEXT DEFAULT 'main',
+          fork_branch TEXT DEFAULT 'main',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS commits (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          repository_id INTEGER NOT NULL,
+          hash TEXT NOT NULL,
+          author TEXT,
+          author_email TEXT,
+          commit_date DATETIME,
+          message TEXT,
+          files_changed TEXT, -- JSON array of changed files
+          insertions INTEGER DEFAULT 0,
+          deletions INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (repository_id) REFERENCES repositories (id),
+          UNIQUE(repository_id, hash)
+        )
+      `);
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS triage_results (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          commit_id INTEGER NOT NULL,
+          priority TEXT CHECK(priority IN ('critical', 'high', 'medium', 'low')) NOT NULL,
+          category TEXT CHECK(category IN ('security', 'bugfix', 'feature', 'refactor', 'docs', 'test', 'chore')) NOT NULL,
+          impact_areas TEXT, -- JSON array of impact areas
+          conflict_risk REAL CHECK(conflict_risk >= 0 AND conflict_risk <= 1),
+          effort_estimate TEXT CHECK(effort_estimate IN ('trivial', 'small', 'medium', 'large', 'xl')),
+          reasoning TEXT,
+          confidence REAL CHECK(confidence >= 0 AND confidence <= 1),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (commit_id) REFERENCES commits (id),
+          UNIQUE(commit_id)
+        )
+      `);
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS commit_status (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          commit_id INTEGER NOT NULL,
+          status TEXT CHECK(status IN ('pending', 'reviewed', 'integrated', 'skipped', 'conflict', 'deferred')) NOT NULL,
+          decision_reasoning TEXT,
+          reviewer TEXT,
+          review_date DATETIME,
+          adaptation_notes TEXT,
+          integration_effort_actual TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (commit_id) REFERENCES commits (id)
+        )
+      `);
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS integrations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          commit_id INTEGER NOT NULL,
+          integration_type TEXT CHECK(integration_type IN ('direct', 'adapted', 'cherry-pick', 'manual')) NOT NULL,
+          target_branch TEXT,
+          integration_commit_hash TEXT,
+          conflicts_resolved TEXT, -- JSON array of conflict details
+          adaptation_changes TEXT, -- Description of changes made
+          integration_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (commit_id) REFERENCES commits (id)
+        )
+      `);
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS metrics (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          repository_id INTEGER NOT NULL,
+          metric_type TEXT NOT NULL,
+          metric_value REAL,
+          metric_data TEXT, -- JSON for complex metrics
+          period_start DATETIME,
+          period_end DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (repository_id) REFERENCES repositories (id)
+        )
+      `);
+
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_commits_repo_hash ON commits(repository_id, hash);
+        CREATE INDEX IF NOT EXISTS idx_commits_date ON commits(commit_date);
+        CREATE INDEX IF NOT EXISTS idx_triage_priority ON triage_results(priority);
+        CREATE INDEX IF NOT EXISTS idx_status_status ON commit_status(status);
+        CREATE INDEX IF NOT EXISTS idx_metrics_type_date ON metrics(metric_type, created_at);
+      `);
+
+      db.exec(`
+        CREATE TRIGGER IF NOT EXISTS update_repositories_timestamp
+        AFTER UPDATE ON repositories
+        BEGIN
+          UPDATE repositories SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+        END;
+      `);
+
+      db.exec(`
+        CREATE TRIGGER IF NOT EXISTS update_commit_status_timestamp
+        AFTER UPDATE ON commit_status
+        BEGIN
+          UPDATE commit_status SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+        END;
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'Append-only commit status history with a current-status view',
+    up(db) {
+      // commit_status had no UNIQUE(commit_id), so INSERT OR REPLACE piled up
+      // rows with no defined "current" one. Every decision is now an event and
+      // commit_status becomes a view over the latest event per commit.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS commit_status_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          commit_id INTEGER NOT NULL,
+          from_status TEXT, -- NULL for the first decision on a commit
+          to_status TEXT CHECK(to_status IN ('pending', 'reviewed', 'integrated', 'skipped', 'conflict', 'deferred')) NOT NULL,
+          decision_reasoning TEXT,
+          reviewer TEXT,
+          review_date DATETIME,
+          adaptation_notes TEXT,
+          integration_effort_actual TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (commit_id) REFERENCES commits (id)
+        )
+      `);
+
+      // Replay the old rows in insertion order so each commit keeps its timeline
+      db.exec(`
+        INSERT INTO commit_status_events
+          (commit_id, from_status, to_status, decision_reasoning, reviewer, review_date,
+           adaptation_notes, integration_effort_actual, created_at)
+        SELECT
+          commit_id,
+          LAG(status) OVER (PARTITION BY commit_id ORDER BY id),
+          status, decision_reasoning, reviewer, review_date,
+          adaptation_notes, integration_effort_actual, created_at
+        FROM commit_status
+        ORDER BY id
+      `);
+
+      db.exec(`
+        DROP TRIGGER IF EXISTS update_commit_status_timestamp;
+        DROP INDEX IF EXISTS idx_status_status;
+        DROP TABLE commit_status;
+
+        CREATE INDEX IF NOT EXISTS idx_status_events_commit ON commit_status_events(commit_id, id);
+        CREATE INDEX IF NOT EXISTS idx_status_events_status ON commit_status_events(to_status);
+
+        CREATE VIEW commit_status AS
+        SELECT
+          e.id,
+          e.commit_id,
+          e.to_status AS status,
+          e.decision_reasoning,
+          e.reviewer,
+          e.review_date,
+          e.adaptation_notes,
+          e.integration_effort_actual,
+          e.created_at,
+          e.created_at AS updated_at
+        FROM commit_status_events e
+        WHERE e.id = (
+          SELECT MAX(latest.id) FROM commit_status_events latest WHERE latest.commit_id = e.commit_id
+        );
+      `);
+    }
+  },
+  {
+    version: 3,
+    description: 'Adaptation patterns table owned by the database layer',
+    up(db) {
+      const createSql = `
+        CREATE TABLE IF NOT EXISTS adaptation_patterns (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          pattern_id TEXT UNIQUE NOT NULL,
+          commit_hash TEXT,
+          pattern_type TEXT NOT NULL,
+          file_pattern TEXT, -- Substring a conflicted file path must contain
+          source_pattern TEXT,
+          target_pattern TEXT,
+          context TEXT, -- JSON object
+          success INTEGER DEFAULT 1,
+          effort TEXT,
+          notes TEXT,
+          enabled INTEGER DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `;
+
+      // Older releases created this table lazily from IntegrationHelpersSystem
+      // without the file_pattern/enabled/updated_at columns
+      db.exec(createSql);
+      rebuildTable(db, 'adaptation_patterns', createSql);
+
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_adaptation_patterns_type ON adaptation_patterns(pattern_type);
+
+        CREATE TRIGGER IF NOT EXISTS update_adaptation_patterns_timestamp
+        AFTER UPDATE ON adaptation_patterns
+        BEGIN
+          UPDATE adaptation_patterns SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+        END;
+      `);
+    }
+  },
+  {
+    version: 4,
+    description: 'Record how each integration was detected',
+    up(db) {
+      db.exec(`
+        ALTER TABLE integrations ADD COLUMN detection_method TEXT DEFAULT 'manual'; -- manual, cherry-pick-trailer, patch-id
+        CREATE INDEX IF NOT EXISTS idx_integrations_commit ON integrations(commit_id);
+      `);
+    }
+  },
+  {
+    version: 5,
+    description: 'Full-text search index over commits, triage reasoning and review notes',
+    up(db) {
+      // One row per commit keyed by rowid = commits.id. Review notes from
+      // every status event are concatenated so earlier decisions stay findable.
+      db.exec(`
+        CREATE VIRTUAL TABLE commit_search USING fts5(
+          message,
+          files,
+          triage_reasoning,
+          decision_reasoning,
+          adaptation_notes,
+          tokenize = 'porter unicode61'
+        );
+
+        INSERT INTO commit_search (rowid, message, files, triage_reasoning, decision_reasoning, adaptation_notes)
+        SELECT
+          c.id,
+          c.message,
+          c.files_changed,
+          (SELECT tr.reasoning FROM triage_results tr WHERE tr.commit_id = c.id),
+          (SELECT group_concat(e.decision_reasoning, ' ') FROM commit_status_events e WHERE e.commit_id = c.id),
+          (SELECT group_concat(e.adaptation_notes, ' ') FROM commit_status_events e WHERE e.commit_id = c.id)
+        FROM commits c;
+
+        CREATE TRIGGER commit_search_commit_insert
+        AFTER INSERT ON commits
+        BEGIN
+          INSERT INTO commit_search (rowid, message, files) VALUES (NEW.id, NEW.message, NEW.files_changed);
+        END;
+
+        CREATE TRIGGER commit_search_commit_update
+        AFTER UPDATE OF message, files_changed ON commits
+        BEGIN
+          UPDATE commit_search SET message = NEW.message, files = NEW.files_changed WHERE rowid = NEW.id;
+        END;
+
+        CREATE TRIGGER commit_search_commit_delete
+        AFTER DELETE ON commits
+        BEGIN
+          DELETE FROM commit_search WHERE rowid = OLD.id;
+        END;
+
+        CREATE TRIGGER commit_search_triage_insert
+        AFTER INSERT ON triage_results
+        BEGIN
+          UPDATE commit_search SET triage_reasoning = NEW.reasoning WHERE rowid = NEW.commit_id;
+        END;
+
+        CREATE TRIGGER commit_search_triage_update
+        AFTER UPDATE OF reasoning ON triage_results
+        BEGIN
+          UPDATE commit_search SET triage_reasoning = NEW.reasoning WHERE rowid = NEW.commit_id;
+        END;
+
+        CREATE TRIGGER commit_search_triage_delete
+        AFTER DELETE ON triage_results
+        BEGIN
+          UPDATE commit_search SET triage_reasoning = NULL WHERE rowid = OLD.commit_id;
+        END;
+
+        CREATE TRIGGER commit_search_status_insert
+        AFTER INSERT ON commit_status_events
+        BEGIN
+          UPDATE commit_search SET
+            decision_reasoning = (SELECT group_concat(decision_reasoning, ' ') FROM commit_status_events WHERE commit_id = NEW.commit_id),
+            adaptation_notes = (SELECT group_concat(adaptation_notes, ' ') FROM commit_status_events WHERE commit_id = NEW.commit_id)
+          WHERE rowid = NEW.commit_id;
+        END;
+
+        CREATE TRIGGER commit_search_status_delete
+        AFTER DELETE ON commit_status_events
+        BEGIN
+          UPDATE commit_search SET
+            decision_reasoning = (SELECT group_concat(decision_reasoning, ' ') FROM commit_status_events WHERE commit_id = OLD.commit_id),
+            adaptation_notes = (SELECT group_concat(adaptation_notes, ' ') FROM commit_status_events WHERE commit_id = OLD.commit_id)
+          WHERE rowid = OLD.commit_id;
+        END;
+      `);
+    }
+  },
+  {
+    version: 6,
+    description: 'Link status events to decisions.jsonl ledger entries',
+    up(db) {
+      // Ledger entries replayed from teammates can be older than local
+      // decisions, so the current status is the latest by time, not by id
+      db.exec(`
+        ALTER TABLE commit_status_events ADD COLUMN ledger_id TEXT;
+        CREATE UNIQUE INDEX idx_status_events_ledger ON commit_status_events(ledger_id);
+        CREATE INDEX idx_status_events_commit_time ON commit_status_events(commit_id, created_at, id);
+
+        DROP VIEW commit_status;
+        CREATE VIEW commit_status AS
+        SELECT
+          e.id,
+          e.commit_id,
+          e.to_status AS status,
+          e.decision_reasoning,
+          e.reviewer,
+          e.review_date,
+          e.adaptation_notes,
+          e.integration_effort_actual,
+          e.created_at,
+          e.created_at AS updated_at
+        FROM commit_status_events e
+        WHERE e.id = (
+          SELECT latest.id FROM commit_status_events latest
+          WHERE latest.commit_id = e.commit_id
+          ORDER BY latest.created_at DESC, latest.id DESC
+          LIMIT 1
+        );
+      `);
+    }
+  },
+  {
+    version: 7,
+    description: 'Relations between upstream commits (reverts, fixups, fixes, follow-ups)',
+    up(db) {
+      // commit_id depends on related_commit_id: it reverts, fixes up, fixes or
+      // follows up on it, so related_commit_id has to be integrated first
+      db.exec(`
+        CREATE TABLE commit_relations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          commit_id INTEGER NOT NULL,
+          related_commit_id INTEGER NOT NULL,
+          relation_type TEXT CHECK(relation_type IN ('reverts', 'fixup', 'squash', 'fixes', 'follow-up')) NOT NULL,
+          evidence TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (commit_id) REFERENCES commits (id),
+          FOREIGN KEY (related_commit_id) REFERENCES commits (id),
+          UNIQUE(commit_id, related_commit_id, relation_type)
+        );
+
+        CREATE INDEX idx_commit_relations_related ON commit_relations(related_commit_id);
+      `);
+    }
+  },
+  {
+    version: 8,
+    description: 'Full commit bodies, trailers and per-file numstat',
+    up(db) {
+      // trailers is a JSON object of token -> values, file_stats a JSON array
+      // of { path, oldPath, insertions, deletions, binary }
+      db.exec(`
+        ALTER TABLE commits ADD COLUMN body TEXT;
+        ALTER TABLE commits ADD COLUMN trailers TEXT;
+        ALTER TABLE commits ADD COLUMN file_stats TEXT;
+
+        DROP TRIGGER commit_search_commit_insert;
+        DROP TRIGGER commit_search_commit_update;
+
+        CREATE TRIGGER commit_search_commit_insert
+        AFTER INSERT ON commits
+        BEGIN
+          INSERT INTO commit_search (rowid, message, files)
+          VALUES (NEW.id, NEW.message || char(10) || COALESCE(NEW.body, ''), NEW.files_changed);
+        END;
+
+        CREATE TRIGGER commit_search_commit_update
+        AFTER UPDATE OF message, body, files_changed ON commits
+        BEGIN
+          UPDATE commit_search
+          SET message = NEW.message || char(10) || COALESCE(NEW.body, ''), files = NEW.files_changed
+          WHERE rowid = NEW.id;
+        END;
+      `);
+    }
+  },
+  {
+    version: 9,
+    description: 'Upstream tip reached by the last sync, for incremental syncs',
+    up(db) {
+      db.exec(`
+        ALTER TABLE repositories ADD COLUMN last_synced_upstream TEXT;
+        ALTER TABLE repositories ADD COLUMN last_synced_at DATETIME;
+      `);
+    }
+  },
+  {
+    version: 10,
+    description: 'Test suite results for candidate integrations',
+    up(db) {
+      // Commits verified together share a batch_id; base_commit is the fork
+      // commit they were applied on
+      db.exec(`
+        CREATE TABLE verification_results (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          commit_id INTEGER NOT NULL,
+          batch_id TEXT NOT NULL,
+          status TEXT CHECK(status IN ('passed', 'failed', 'timeout', 'conflict', 'error')) NOT NULL,
+          command TEXT,
+          base_commit TEXT,
+          exit_code INTEGER,
+          duration_ms INTEGER,
+          log_excerpt TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (commit_id) REFERENCES commits (id)
+        );
+
+        CREATE INDEX idx_verification_results_commit ON verification_results(commit_id, created_at);
+      `);
+    }
+  },
+  {
+    version: 11,
+    description: 'Group integrations that arrived together into batches',
+    up(db) {
+      // Set by `fork-parity apply` runs and by sync detection; integrations
+      // recorded by hand have none
+      db.exec(`
+        ALTER TABLE integrations ADD COLUMN batch_id TEXT;
+        CREATE INDEX idx_integrations_batch ON integrations(batch_id);
+      `);
+    }
+  },
+  {
+    version: 12,
+    description: 'Allow triage categories defined in .fork-parity/triage.yml',
+    up(db) {
+      rebuildTable(db, 'triage_results', `
+        CREATE TABLE triage_results (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          commit_id INTEGER NOT NULL,
+          priority TEXT CHECK(priority IN ('critical', 'high', 'medium', 'low')) NOT NULL,
+          category TEXT NOT NULL,
+          impact_areas TEXT, -- JSON array of impact areas
+          conflict_risk REAL CHECK(conflict_risk >= 0 AND conflict_risk <= 1),
+          effort_estimate TEXT CHECK(effort_estimate IN ('trivial', 'small', 'medium', 'large', 'xl')),
+          reasoning TEXT,
+          confidence REAL CHECK(confidence >= 0 AND confidence <= 1),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (commit_id) REFERENCES commits (id),
+          UNIQUE(commit_id)
+        )
+      `);
+
+      db.exec(`
+        CREATE INDEX idx_triage_priority ON triage_results(priority);
+
+        CREATE TRIGGER commit_search_triage_insert
+        AFTER INSERT ON triage_results
+        BEGIN
+          UPDATE commit_search SET triage_reasoning = NEW.reasoning WHERE rowid = NEW.commit_id;
+        END;
+
+        CREATE TRIGGER commit_search_triage_update
+        AFTER UPDATE OF reasoning ON triage_results
+        BEGIN
+          UPDATE commit_search SET triage_reasoning = NEW.reasoning WHERE rowid = NEW.commit_id;
+        END;
+
+        CREATE TRIGGER commit_search_triage_delete
+        AFTER DELETE ON triage_results
+        BEGIN
+          UPDATE commit_search SET triage_reasoning = NULL WHERE rowid = OLD.commit_id;
+        END;
+      `);
+    }
+  },
+  {
+    version: 13,
+    description: 'Conventional Commits structure of each commit',
+    up(db) {
+      // JSON { type, scope, breaking, description, breakingNote }, or NULL
+      // when the subject does not follow Conventional Commits
+      db.exec('ALTER TABLE commits ADD COLUMN conventional TEXT');
+
+      const update = db.prepare('UPDATE commits SET conventional = ? WHERE id = ?');
+      for (const row of db.prepare('SELECT id, message, trailers FROM commits').all()) {
+        const conventional = parseConventionalCommit(row.message, JSON.parse(row.trailers || '{}'));
+        if (conventional) update.run(JSON.stringify(conventional), row.id);
+      }
+    }
+  },
+  {
+    version: 14,
+    description: 'Priorities set by reviewers over the automatic triage',
+    up(db) {
+      // previous_priority is what triage had assigned, kept so that the
+      // model trained on these can be compared with the rules
+      db.exec(`
+        CREATE TABLE priority_overrides (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          commit_id INTEGER NOT NULL,
+          priority TEXT CHECK(priority IN ('critical', 'high', 'medium', 'low')) NOT NULL,
+          previous_priority TEXT,
+          reviewer TEXT,
+          reason TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (commit_id) REFERENCES commits (id),
+          UNIQUE(commit_id)
+        );
+      `);
+    }
+  },
+  {
+    version: 15,
+    description: 'Files the fork changed since its merge-base with upstream, as of the last sync',
+    up(db) {
+      // path is the file's path at the merge-base, fork_path its path in the
+      // fork when the fork renamed it
+      db.exec(`
+        ALTER TABLE repositories ADD COLUMN divergence_merge_base TEXT;
+        ALTER TABLE repositories ADD COLUMN divergence_fork_tip TEXT;
+
+        CREATE TABLE fork_divergence (
+          repository_id INTEGER NOT NULL,
+          path TEXT NOT NULL,
+          fork_path TEXT,
+          insertions INTEGER NOT NULL DEFAULT 0,
+          deletions INTEGER NOT NULL DEFAULT 0,
+          change TEXT CHECK(change IN ('modified', 'added', 'deleted', 'renamed')) NOT NULL,
+          PRIMARY KEY (repository_id, path),
+          FOREIGN KEY (repository_id) REFERENCES repositories (id)
+        );
+      `);
+    }
+  },
+  {
+    version: 16,
+    description: 'Priority the triage rules gave, before any model blending',
+    up(db) {
+      // NULL for results triaged before this column; training falls back to
+      // the stored priority for those
+      db.exec('ALTER TABLE triage_results ADD COLUMN rule_priority TEXT');
+    }
+  }
+];
+
+/**
+ * Recreate a table with a new definition, copying over the columns both
+ * definitions share. SQLite cannot ALTER a CHECK or UNIQUE constraint, so
+ * this is how migrations change them. Indexes and triggers on the table are
+ * dropped with it and must be recreated by the caller.
+ */
+export function rebuildTable(db, table, createSql) {
+  const oldColumns = db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+  const tempTable = `${table}_migrating`;
+
+  db.exec(createSql.replace(new RegExp(`CREATE TABLE( IF NOT EXISTS)? ${table}\\b`), `CREATE TABLE ${tempTable}`));
+
+  const newColumns = db.prepare(`PRAGMA table_info(${tempTable})`).all().map(col => col.name);
+  const shared = newColumns.filter(col => oldColumns.includes(col)).join(', ');
+
+  db.exec(`
+    INSERT INTO ${tempTable} (${shared}) SELECT ${shared} FROM ${table};
+    DROP TABLE ${table};
+    ALTER TABLE ${tempTable} RENAME TO ${table};
+  `);
+}
+
+export const LATEST_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+export default migrations;
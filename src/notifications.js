@@ -1,6 +1,5 @@
 // Notification systems for fork parity alerts and updates
 
-import { execSync } from 'child_process';
 import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { join } from 'path';
 
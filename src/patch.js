@@ -0,0 +1,143 @@
+// Reading the added and removed lines of commits
+//
+// Patches come from one streamed `git show --unified=0` per batch of commits,
+// with merges diffed against their first parent. Only changed lines are
+// kept, with their line numbers, and long lines and very large files are cut
+// short so a vendored bundle or generated file cannot exhaust memory.
+
+import { createInterface } from 'readline';
+import { spawnGit, GitError, assertHash } from './git-runner.js';
+
+const MAX_LINES_PER_FILE = 2000;
+const MAX_LINE_LENGTH = 500;
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+const BINARY = /^Binary files (?:a\/(.*)|\/dev\/null) and (?:b\/(.*)|\/dev\/null) differ$/;
+
+/**
+ * The patch of each commit, in the order given, as { hash, files } where
+ * each file is { path, oldPath, binary, added, removed, truncated } and
+ * added/removed are [{ line, text }] with new and old line numbers
+ */
+export async function* streamPatches(hashes, repositoryPath) {
+  if (hashes.length === 0) return;
+
+  const args = [
+    '-c', 'core.quotePath=false',
+    'show', '--format=%x1e%H', '--no-color', '--no-ext-diff', '--no-textconv', '--unified=0', '-M',
+    '--diff-merges=first-parent', '--src-prefix=a/', '--dst-prefix=b/',
+    ...hashes.map(hash => assertHash(hash, 'commit')),
+    '--'
+  ];
+  const child = spawnGit(args, { cwd: repositoryPath });
+
+  let stderr = '';
+  child.stderr.on('data', data => { stderr += data; });
+  const exited = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', resolve);
+  });
+
+  let commit = null;
+  let file = null;
+  // Inside a hunk every line is content, even one starting with "+++"
+  let inHunk = false;
+  let oldLine = 0;
+  let newLine = 0;
+  let finished = false;
+
+  const startFile = header => {
+    // "a/<path> b/<path>" is only unambiguous when both sides are equal,
+    // so ---/+++, rename and Binary lines take precedence
+    const rest = header.slice('diff --git '.length);
+    const path = rest.length % 2 === 1 ? rest.slice(2, (rest.length - 1) / 2) : rest;
+    file = { path, added: [], removed: [] };
+    inHunk = false;
+    commit.files.push(file);
+  };
+
+  const finish = () => {
+    // Deleted and modified files only have an old path of their own
+    for (const changed of commit.files) {
+      if (changed.oldPath === changed.path) delete changed.oldPath;
+    }
+    return commit;
+  };
+
+  const keep = (lines, line, text) => {
+    if (lines.length >= MAX_LINES_PER_FILE) {
+      file.truncated = true;
+      return;
+    }
+    lines.push({ line, text: text.length > MAX_LINE_LENGTH ? text.slice(0, MAX_LINE_LENGTH) : text });
+  };
+
+  try {
+    for await (const line of createInterface({ input: child.stdout, crlfDelay: Infinity })) {
+      if (line.startsWith('\x1e')) {
+        if (commit) yield finish();
+        commit = { hash: line.slice(1), files: [] };
+        file = null;
+        continue;
+      }
+      if (!commit) continue;
+
+      if (line.startsWith('diff --git ')) {
+        startFile(line);
+      } else if (!file) {
+        continue;
+      } else if (HUNK_HEADER.test(line)) {
+        const [, oldStart, newStart] = HUNK_HEADER.exec(line);
+        oldLine = parseInt(oldStart);
+        newLine = parseInt(newStart);
+        inHunk = true;
+      } else if (inHunk) {
+        if (line.startsWith('+')) {
+          keep(file.added, newLine++, line.slice(1));
+        } else if (line.startsWith('-')) {
+          keep(file.removed, oldLine++, line.slice(1));
+        }
+      } else if (line.startsWith('+++ ')) {
+        // Paths containing spaces are followed by a tab
+        if (line !== '+++ /dev/null') file.path = line.slice('+++ b/'.length).replace(/\t$/, '');
+      } else if (line.startsWith('--- ')) {
+        if (line !== '--- /dev/null') file.oldPath = line.slice('--- a/'.length).replace(/\t$/, '');
+      } else if (line.startsWith('rename from ')) {
+        file.oldPath = line.slice('rename from '.length);
+      } else if (line.startsWith('rename to ')) {
+        file.path = line.slice('rename to '.length);
+      } else if (BINARY.test(line)) {
+        const [, oldPath, newPath] = BINARY.exec(line);
+        file.binary = true;
+        if (newPath) file.path = newPath;
+        if (oldPath) file.oldPath = oldPath;
+      }
+    }
+    if (commit) yield finish();
+    finished = true;
+  } finally {
+    if (!finished) child.kill();
+  }
+
+  const code = await exited;
+  if (code !== 0) {
+    throw new GitError(`git show failed: ${stderr.trim() || `exit code ${code}`}`, {
+      args,
+      exitCode: code,
+      stderr: stderr.trim()
+    });
+  }
+}
+
+// Patches for `hashes` as a Map of hash to files
+export async function readPatches(hashes, repositoryPath) {
+  const patches = new Map();
+  for await (const { hash, files } of streamPatches(hashes, repositoryPath)) {
+    patches.set(hash, files);
+  }
+  return patches;
+}
+
+export async function readPatch(hash, repositoryPath) {
+  return (await readPatches([hash], repositoryPath)).get(hash) || [];
+}
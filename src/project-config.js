@@ -0,0 +1,24 @@
+// Settings committed with the fork in .fork-parity/config
+//
+// The file uses git config syntax, so it is edited with
+// `git config -f .fork-parity/config <key> <value>`:
+//
+//   [test]
+//     command = npm ci && npm test
+//     timeout = 600
+
+import { join } from 'path';
+import { runGit } from './git-runner.js';
+
+export const PROJECT_CONFIG_FILE = join('.fork-parity', 'config');
+
+export function readProjectConfig(repositoryPath, key) {
+  try {
+    return runGit(['config', '-f', join(repositoryPath, PROJECT_CONFIG_FILE), '--get', key], {
+      cwd: repositoryPath
+    }).trim() || null;
+  } catch {
+    // No config file, or the key is not set
+    return null;
+  }
+}
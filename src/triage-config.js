@@ -0,0 +1,258 @@
+// Per-repository triage rules
+//
+// .fork-parity/triage.yml (or .yaml / .json) overrides or extends the
+// built-in keywords, impact areas, effort thresholds, conflict risk weights,
+// escalation rules and Conventional Commits mappings of SmartTriageSystem,
+// and sets how much the model from triage-model.js counts. The file is
+// validated against TRIAGE_CONFIG_SCHEMA before use; an invalid file is an
+// error rather than being silently ignored, since it would change every
+// triage result.
+
+import { existsSync, readFileSync, statSync } from 'fs';
+import { join, resolve } from 'path';
+import yaml from 'js-yaml';
+import SmartTriageSystem, { PRIORITIES } from './triage.js';
+import { loadTriageModel, predictPriority, commitFeatures, TRIAGE_MODEL_FILE } from './triage-model.js';
+
+export const TRIAGE_CONFIG_FILES = [
+  join('.fork-parity', 'triage.yml'),
+  join('.fork-parity', 'triage.yaml'),
+  join('.fork-parity', 'triage.json')
+];
+
+const probability = { type: 'number', minimum: 0, maximum: 1 };
+const regexList = { type: 'array', items: { type: 'string', format: 'regex' } };
+const effortLimits = {
+  type: 'object',
+  properties: {
+    max_files: { type: 'integer', minimum: 0 },
+    max_lines: { type: 'integer', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+export const TRIAGE_CONFIG_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'fork-parity triage rules',
+  type: 'object',
+  properties: {
+    categories: {
+      description: 'Keyword categories. Existing ones are extended (keywords are added) unless `replace` is set; new names add categories.',
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          keywords: { type: 'array', items: { type: 'string', minLength: 1 } },
+          priority: { enum: PRIORITIES },
+          confidence: probability,
+          replace: { type: 'boolean' }
+        },
+        additionalProperties: false
+      }
+    },
+    impact_areas: {
+      description: 'Path regexes per impact area, added to the built-in ones unless `replace` is set',
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          patterns: regexList,
+          replace: { type: 'boolean' }
+        },
+        required: ['patterns'],
+        additionalProperties: false
+      }
+    },
+    effort: {
+      description: 'Largest change (files and lines) for each effort estimate; anything bigger is xl',
+      type: 'object',
+      properties: {
+        trivial: effortLimits,
+        small: effortLimits,
+        medium: effortLimits,
+        large: effortLimits
+      },
+      additionalProperties: false
+    },
+    risk: {
+      description: 'Conflict risk weights: diverged_* and deleted_file score the files the fork also changed, the rest apply when its divergence is unknown',
+      type: 'object',
+      properties: {
+        base: probability,
+        diverged_file: probability,
+        diverged_lines: { type: 'integer', minimum: 1 },
+        deleted_file: probability,
+        areas: { type: 'object', additionalProperties: probability },
+        per_file: probability,
+        max_file_risk: probability,
+        common_files: { type: 'array', items: { type: 'string' } },
+        common_files_weight: probability
+      },
+      additionalProperties: false
+    },
+    model: {
+      description: 'The priority model trained by `fork-parity triage train`: whether to use it, and its weight against the rules',
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        weight: probability
+      },
+      additionalProperties: false
+    },
+    conventional: {
+      description: 'Conventional Commits handling: the category of each type, and the impact area of scopes not named after one',
+      type: 'object',
+      properties: {
+        types: { type: 'object', additionalProperties: { type: 'string', minLength: 1 } },
+        scopes: { type: 'object', additionalProperties: { type: 'string', minLength: 1 } }
+      },
+      additionalProperties: false
+    },
+    escalation: {
+      description: 'When the category priority is raised or lowered',
+      type: 'object',
+      properties: {
+        areas: { type: 'array', items: { type: 'string' } },
+        conflict_risk_above: probability,
+        breaking_changes: { type: 'boolean' },
+        security_files: { type: 'string', format: 'regex' },
+        deescalate_trivial: { type: 'boolean' }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+export class TriageConfigError extends Error {
+  constructor(path, errors) {
+    super(`Invalid triage rules in ${path}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'TriageConfigError';
+    this.path = path;
+    this.errors = errors;
+  }
+}
+
+/**
+ * The triage rules file of a repository, parsed and validated: { path,
+ * config }, or null when there is none. Throws TriageConfigError when the
+ * file cannot be parsed or does not match the schema.
+ */
+export function loadTriageConfig(repositoryPath) {
+  const file = TRIAGE_CONFIG_FILES.map(name => join(repositoryPath, name)).find(path => existsSync(path));
+  if (!file) return null;
+
+  let config;
+  try {
+    const text = readFileSync(file, 'utf8');
+    config = file.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new TriageConfigError(file, [error.message.split('\n')[0]]);
+  }
+  // An empty file means no overrides
+  config = config ?? {};
+
+  const errors = validateAgainstSchema(config, TRIAGE_CONFIG_SCHEMA);
+  if (errors.length > 0) {
+    throw new TriageConfigError(file, errors);
+  }
+  return { path: file, config };
+}
+
+const cache = new Map();
+
+/**
+ * A SmartTriageSystem with the repository's rules and trained model
+ * applied. Instances are cached until the rules or the model change.
+ */
+export function triageForRepository(repositoryPath = process.cwd()) {
+  const root = resolve(repositoryPath);
+  const file = TRIAGE_CONFIG_FILES.map(name => join(root, name)).find(path => existsSync(path)) || null;
+  const modelFile = join(root, TRIAGE_MODEL_FILE);
+  const key = [file, modelFile]
+    .map(path => path && existsSync(path) ? `${path}:${statSync(path).mtimeMs}` : '')
+    .join('|');
+
+  const cached = cache.get(root);
+  if (cached && cached.key === key) {
+    return cached.triage;
+  }
+
+  const triage = new SmartTriageSystem();
+  const loaded = file ? loadTriageConfig(root) : null;
+  if (loaded) {
+    triage.applyConfig(loaded.config);
+  }
+  const model = triage.modelSettings.enabled ? loadTriageModel(root) : null;
+  if (model) {
+    triage.setModel({
+      examples: model.examples,
+      predict: commit => predictPriority(model, commitFeatures(commit))
+    });
+  }
+  cache.set(root, { key, triage });
+  return triage;
+}
+
+/**
+ * Errors for `value` against the JSON Schema subset used above (type,
+ * properties, required, additionalProperties, items, enum, minimum,
+ * maximum, minLength and format: regex), as "path: message" strings
+ */
+export function validateAgainstSchema(value, schema, path = '') {
+  const at = path || '(root)';
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: must be one of ${schema.enum.join(', ')}`];
+  }
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${at}: must be ${schema.type === 'integer' ? 'an integer' : `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`}`];
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be at most ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: must not be empty`);
+    if (schema.format === 'regex') {
+      try {
+        new RegExp(value);
+      } catch (error) {
+        errors.push(`${at}: ${error.message}`);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing ${key}`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = path ? `${path}.${key}` : key;
+      if (schema.properties?.[key]) {
+        errors.push(...validateAgainstSchema(item, schema.properties[key], itemPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${itemPath}: unknown setting`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(item, schema.additionalProperties, itemPath));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    default: return typeof value === type;
+  }
+}
@@ -0,0 +1,185 @@
+// Priority model learned from the team's own decisions
+//
+// A naive Bayes classifier over message words, Conventional Commits type and
+// scope, directories, file extensions, category and effort. It is trained by
+// `fork-parity triage train` on commits a reviewer has ruled on: priority
+// overrides are taken as they are, skipped commits count as low, deferred
+// ones one level below their triage priority and integrated ones at it. The
+// model is written to .fork-parity/triage-model.json and SmartTriageSystem
+// blends its prediction with the rule-based priority.
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join, dirname, extname } from 'path';
+import { parseConventionalCommit, splitScopes } from './conventional-commits.js';
+import { PRIORITIES } from './triage.js';
+
+export const TRIAGE_MODEL_FILE = join('.fork-parity', 'triage-model.json');
+export const MIN_TRAINING_EXAMPLES = 20;
+
+const MODEL_VERSION = 1;
+// Features seen in fewer examples than this are dropped as noise
+const MIN_FEATURE_EXAMPLES = 2;
+// Commits whose hash starts with one of these are held out for evaluation
+// when there are enough examples
+const HOLDOUT_PREFIXES = ['0', '1', '2'];
+const MIN_EXAMPLES_FOR_HOLDOUT = 50;
+
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'from', 'into', 'this', 'that', 'when', 'not', 'use', 'are', 'was']);
+
+/**
+ * Presence features of a commit: { message, filesChanged, category,
+ * effortEstimate }
+ */
+export function commitFeatures(commit) {
+  const features = new Set();
+
+  const conventional = parseConventionalCommit(commit.message);
+  if (conventional) {
+    features.add(`type:${conventional.type}`);
+    for (const scope of splitScopes(conventional.scope)) features.add(`scope:${scope}`);
+  }
+
+  const text = (conventional?.description ?? commit.message ?? '').toLowerCase();
+  for (const word of text.split(/[^a-z0-9]+/)) {
+    if (word.length >= 3 && word.length <= 30 && !/^\d+$/.test(word) && !STOP_WORDS.has(word)) {
+      features.add(`word:${word}`);
+    }
+  }
+
+  for (const file of commit.filesChanged || []) {
+    const directories = dirname(file).split('/').filter(part => part && part !== '.');
+    if (directories.length === 0) features.add('dir:(root)');
+    if (directories[0]) features.add(`dir:${directories[0]}`);
+    if (directories[1]) features.add(`dir:${directories[0]}/${directories[1]}`);
+    const extension = extname(file).toLowerCase();
+    if (extension) features.add(`ext:${extension}`);
+  }
+
+  if (commit.category) features.add(`category:${commit.category}`);
+  if (commit.effortEstimate) features.add(`effort:${commit.effortEstimate}`);
+
+  return [...features];
+}
+
+/**
+ * The priority a reviewer's decision implies for a training row (see
+ * database.getPriorityTrainingData), or null when it implies none. Deferred
+ * and integrated commits are judged against the rules' priority, not one
+ * the model already blended in, so the model does not learn from itself.
+ */
+export function decisionLabel(row) {
+  if (row.override_priority) return row.override_priority;
+
+  switch (row.status) {
+    case 'skipped': return 'low';
+    case 'deferred': return PRIORITIES[Math.min(PRIORITIES.indexOf(row.rule_priority) + 1, PRIORITIES.length - 1)];
+    case 'integrated': return row.rule_priority;
+    default: return null;
+  }
+}
+
+/**
+ * Fit a model on { features, label } examples. Throws when there are too
+ * few examples, or all of them share one label.
+ */
+export function trainModel(examples) {
+  if (examples.length < MIN_TRAINING_EXAMPLES) {
+    throw new Error(`Not enough decisions to train on: ${examples.length} (need ${MIN_TRAINING_EXAMPLES}); skip, integrate, defer or re-prioritize more commits first`);
+  }
+  const labels = Object.fromEntries(PRIORITIES.map(priority => [priority, 0]));
+  for (const { label } of examples) labels[label]++;
+  if (Object.values(labels).filter(count => count > 0).length < 2) {
+    throw new Error('Every decision implies the same priority; there is nothing to learn yet');
+  }
+
+  const seen = new Map();
+  for (const { features } of examples) {
+    for (const feature of features) seen.set(feature, (seen.get(feature) || 0) + 1);
+  }
+
+  const features = {};
+  const featureTotals = Object.fromEntries(PRIORITIES.map(priority => [priority, 0]));
+  for (const example of examples) {
+    for (const feature of example.features) {
+      if (seen.get(feature) < MIN_FEATURE_EXAMPLES) continue;
+      features[feature] ||= {};
+      features[feature][example.label] = (features[feature][example.label] || 0) + 1;
+      featureTotals[example.label]++;
+    }
+  }
+
+  return {
+    version: MODEL_VERSION,
+    trainedAt: new Date().toISOString(),
+    examples: examples.length,
+    labels,
+    featureTotals,
+    vocabularySize: Object.keys(features).length,
+    features
+  };
+}
+
+/**
+ * Posterior over priorities for a commit's features: { priority,
+ * confidence, probabilities }
+ */
+export function predictPriority(model, features) {
+  const classes = PRIORITIES.length;
+  const scores = PRIORITIES.map(priority => {
+    let score = Math.log((model.labels[priority] + 1) / (model.examples + classes));
+    const denominator = model.featureTotals[priority] + model.vocabularySize;
+    for (const feature of features) {
+      const counts = model.features[feature];
+      if (counts) score += Math.log(((counts[priority] || 0) + 1) / denominator);
+    }
+    return score;
+  });
+
+  // Softmax, shifted by the maximum to stay in floating point range
+  const max = Math.max(...scores);
+  const weights = scores.map(score => Math.exp(score - max));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const probabilities = Object.fromEntries(PRIORITIES.map((priority, index) => [priority, weights[index] / total]));
+
+  const [priority, confidence] = Object.entries(probabilities).reduce((best, entry) => entry[1] > best[1] ? entry : best);
+  return { priority, confidence, probabilities };
+}
+
+/**
+ * Split examples into a training and a held-out set, by commit hash so the
+ * split is the same on every run. Small sets are not split.
+ */
+export function holdoutSplit(examples) {
+  if (examples.length < MIN_EXAMPLES_FOR_HOLDOUT) {
+    return { training: examples, holdout: [] };
+  }
+  const held = example => HOLDOUT_PREFIXES.includes(example.hash[0]);
+  return { training: examples.filter(example => !held(example)), holdout: examples.filter(held) };
+}
+
+/**
+ * The repository's trained model, or null when there is none. Throws when
+ * the file cannot be read or was written by an incompatible version.
+ */
+export function loadTriageModel(repositoryPath) {
+  const file = join(repositoryPath, TRIAGE_MODEL_FILE);
+  if (!existsSync(file)) return null;
+
+  let model;
+  try {
+    model = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read triage model ${file}: ${error.message}`);
+  }
+  if (model.version !== MODEL_VERSION) {
+    throw new Error(`Triage model ${file} has version ${model.version}, expected ${MODEL_VERSION}; retrain it with fork-parity triage train`);
+  }
+  return model;
+}
+
+export function saveTriageModel(repositoryPath, model) {
+  const file = join(repositoryPath, TRIAGE_MODEL_FILE);
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, JSON.stringify(model, null, 2) + '\n');
+  return file;
+}
@@ -1,5 +1,9 @@
 // Smart triage system for fork parity analysis
 
+import { parseConventionalCommit, splitScopes } from './conventional-commits.js';
+
+export const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
 class SmartTriageSystem {
   constructor() {
     // Keywords for different categories and priorities
@@ -61,6 +65,142 @@ class SmartTriageSystem {
       medium: { maxFiles: 15, maxLines: 200 },
       large: { maxFiles: 30, maxLines: 500 }
     };
+
+    // Conflict risk weights. With the fork's divergence known, each file
+    // the fork also changed is a risk of divergedFile, growing toward 1 as
+    // the fork's changed lines pass divergedLines, or deletedFile when the
+    // fork deleted it. Without it, areas and common files are a guess.
+    this.riskWeights = {
+      base: 0.1,
+      divergedFile: 0.3,
+      divergedLines: 40,
+      deletedFile: 0.9,
+      areas: { core: 0.3, api: 0.2, database: 0.25 },
+      perFile: 0.02,
+      maxFileRisk: 0.3,
+      commonFiles: ['package.json', 'README.md', 'config.js', 'index.js'],
+      commonFilesWeight: 0.15
+    };
+
+    // When the category priority is raised or lowered
+    this.escalationRules = {
+      areas: ['core', 'auth'],
+      conflictRiskAbove: 0.7,
+      breakingChanges: true,
+      securityFiles: /auth|security|permission|login/,
+      deescalateTrivial: true
+    };
+
+    // Added lines that make a commit security-relevant whatever its message
+    this.securityLinePatterns = [
+      /\beval\s*\(/,
+      /\bnew Function\s*\(/,
+      /\binnerHTML\s*=/,
+      /dangerouslySetInnerHTML/,
+      /child_process/,
+      // exec() from child_process, not RegExp#exec or other methods
+      /(?<![.\w$])exec(?:Sync)?\s*\(/,
+      /\b(?:password|passwd|secret|api[_-]?key|private[_-]?key)\b/i,
+      /\b(?:createCipher|createHash|createHmac|randomBytes)\b/,
+      /\b(?:sanitize|escapeHtml)\w*\s*\(/i
+    ];
+
+    // Conventional Commits types and the category each is triaged as; other
+    // types fall back to keyword matching
+    this.conventionalTypes = {
+      feat: 'feature',
+      fix: 'bugfix',
+      security: 'security',
+      perf: 'refactor',
+      refactor: 'refactor',
+      style: 'refactor',
+      docs: 'docs',
+      test: 'test',
+      build: 'chore',
+      ci: 'chore',
+      chore: 'chore'
+    };
+
+    // Learned priority model ({ examples, predict(commit) }, see
+    // triage-model.js) and how much its prediction counts
+    this.model = null;
+    this.modelSettings = { enabled: true, weight: 0.5 };
+
+    // Conventional Commits scopes that name an impact area differently.
+    // A scope that is itself an area name maps to that area.
+    this.scopeAreas = {
+      security: 'auth',
+      db: 'database',
+      deps: 'build',
+      ci: 'build',
+      tests: 'test'
+    };
+  }
+
+  /**
+   * Apply repository triage rules (see triage-config.js for the schema).
+   * Keywords and impact area patterns are added to the built-in ones unless
+   * an entry sets `replace`; thresholds and weights are overridden per key.
+   */
+  applyConfig(config = {}) {
+    for (const [category, rules] of Object.entries(config.categories || {})) {
+      const existing = this.patterns[category];
+      const keywords = (rules.keywords || []).map(keyword => keyword.toLowerCase());
+      this.patterns[category] = {
+        keywords: existing && !rules.replace ? [...existing.keywords, ...keywords] : keywords,
+        priority: rules.priority || existing?.priority || 'medium',
+        confidence: rules.confidence ?? existing?.confidence ?? 0.7,
+        custom: true
+      };
+    }
+
+    for (const [area, rules] of Object.entries(config.impact_areas || {})) {
+      const patterns = rules.patterns.map(pattern => new RegExp(pattern));
+      const existing = this.impactPatterns[area];
+      this.impactPatterns[area] = existing && !rules.replace ? [...existing, ...patterns] : patterns;
+    }
+
+    for (const [effort, limits] of Object.entries(config.effort || {})) {
+      this.effortPatterns[effort] = {
+        maxFiles: limits.max_files ?? this.effortPatterns[effort].maxFiles,
+        maxLines: limits.max_lines ?? this.effortPatterns[effort].maxLines
+      };
+    }
+
+    const risk = config.risk || {};
+    this.riskWeights = {
+      base: risk.base ?? this.riskWeights.base,
+      divergedFile: risk.diverged_file ?? this.riskWeights.divergedFile,
+      divergedLines: risk.diverged_lines ?? this.riskWeights.divergedLines,
+      deletedFile: risk.deleted_file ?? this.riskWeights.deletedFile,
+      areas: { ...this.riskWeights.areas, ...risk.areas },
+      perFile: risk.per_file ?? this.riskWeights.perFile,
+      maxFileRisk: risk.max_file_risk ?? this.riskWeights.maxFileRisk,
+      commonFiles: risk.common_files ?? this.riskWeights.commonFiles,
+      commonFilesWeight: risk.common_files_weight ?? this.riskWeights.commonFilesWeight
+    };
+
+    const conventional = config.conventional || {};
+    this.conventionalTypes = { ...this.conventionalTypes, ...conventional.types };
+    this.scopeAreas = { ...this.scopeAreas, ...conventional.scopes };
+
+    this.modelSettings = { ...this.modelSettings, ...config.model };
+
+    const escalation = config.escalation || {};
+    this.escalationRules = {
+      areas: escalation.areas ?? this.escalationRules.areas,
+      conflictRiskAbove: escalation.conflict_risk_above ?? this.escalationRules.conflictRiskAbove,
+      breakingChanges: escalation.breaking_changes ?? this.escalationRules.breakingChanges,
+      securityFiles: escalation.security_files !== undefined ? new RegExp(escalation.security_files) : this.escalationRules.securityFiles,
+      deescalateTrivial: escalation.deescalate_trivial ?? this.escalationRules.deescalateTrivial
+    };
+
+    return this;
+  }
+
+  setModel(model) {
+    this.model = model;
+    return this;
   }
 
   /**
@@ -70,72 +210,172 @@ class SmartTriageSystem {
     const message = commitData.message.toLowerCase();
     const filesChanged = commitData.filesChanged || [];
     const totalLines = (commitData.insertions || 0) + (commitData.deletions || 0);
+    const trailers = commitData.trailers || {};
+    const conventional = parseConventionalCommit(commitData.message, trailers);
+    // Line-level findings, when the caller read the commit's patch
+    const findings = commitData.patch ? this.inspectPatch(commitData.patch) : null;
+    // Files the fork changed too, when the caller has its divergence
+    const diverged = commitData.divergence ? this.divergedFiles(commitData, commitData.divergence) : null;
+    const breaking = Boolean(
+      conventional?.breaking || trailers['BREAKING CHANGE'] || trailers['BREAKING-CHANGE'] ||
+      findings?.removedExports.length
+    );
 
     // Determine category and base priority
-    const categoryResult = this.categorizeCommit(message, filesChanged);
+    const categoryResult = this.categorizeCommit(message, filesChanged, conventional, findings?.security);
     
     // Determine impact areas
-    const impactAreas = this.determineImpactAreas(filesChanged);
+    const impactAreas = this.determineImpactAreas(filesChanged, splitScopes(conventional?.scope));
     
     // Estimate effort
     const effortEstimate = this.estimateEffort(filesChanged.length, totalLines);
     
     // Calculate conflict risk
-    const conflictRisk = this.calculateConflictRisk(filesChanged, impactAreas);
+    const conflictRisk = this.calculateConflictRisk(filesChanged, impactAreas, diverged);
     
     // Adjust priority based on impact and risk
     const adjustedPriority = this.adjustPriority(
       categoryResult.priority, 
       impactAreas, 
       conflictRisk,
-      effortEstimate
+      effortEstimate,
+      breaking
     );
 
+    // Blend in the learned model, weighted by how sure it is
+    const prediction = this.model?.predict({
+      message: commitData.message,
+      filesChanged,
+      category: categoryResult.category,
+      effortEstimate
+    });
+    const finalPriority = prediction ? this.blendPriority(adjustedPriority, prediction) : adjustedPriority;
+
     // Generate reasoning
-    const reasoning = this.generateReasoning(
+    let reasoning = this.generateReasoning(
       categoryResult,
       impactAreas,
       effortEstimate,
       conflictRisk,
-      adjustedPriority
+      finalPriority,
+      breaking,
+      findings,
+      diverged
     );
+    if (prediction) {
+      reasoning += `, model trained on ${this.model.examples} decisions suggests ${prediction.priority} (${Math.round(prediction.confidence * 100)}% confidence)`;
+    }
 
     return {
-      priority: adjustedPriority,
+      priority: finalPriority,
       category: categoryResult.category,
       impactAreas,
       conflictRisk,
       effortEstimate,
       reasoning,
-      confidence: categoryResult.confidence
+      confidence: categoryResult.confidence,
+      ...(findings && { evidence: [...findings.security, ...findings.removedExports] }),
+      ...(diverged && { divergence: diverged }),
+      ...(prediction && {
+        model: {
+          priority: prediction.priority,
+          confidence: prediction.confidence,
+          rulePriority: adjustedPriority,
+          examples: this.model.examples
+        }
+      })
     };
   }
 
   /**
-   * Categorize commit based on message and files
+   * Weighted mean of the rule-based priority and the model's expected
+   * priority, where the model's weight is the configured weight times its
+   * confidence
+   */
+  blendPriority(rulePriority, prediction) {
+    // low = 0 ... critical = 3
+    const rank = priority => PRIORITIES.length - 1 - PRIORITIES.indexOf(priority);
+    const expected = PRIORITIES.reduce((sum, priority) => sum + prediction.probabilities[priority] * rank(priority), 0);
+    const weight = this.modelSettings.weight * prediction.confidence;
+    const score = (1 - weight) * rank(rulePriority) + weight * expected;
+    return PRIORITIES[PRIORITIES.length - 1 - Math.round(score)];
+  }
+
+  /**
+   * Security-sensitive lines the patch adds, and exports it removes from a
+   * file without adding them back there, as { file, line, side, text,
+   * reason } evidence
+   */
+  inspectPatch(patch) {
+    const security = [];
+    const removedExports = [];
+
+    for (const file of patch) {
+      if (file.binary) continue;
+
+      for (const { line, text } of file.added) {
+        if (this.securityLinePatterns.some(pattern => pattern.test(text))) {
+          security.push({ file: file.path, line, side: 'added', text: text.trim(), reason: 'security-sensitive code' });
+        }
+      }
+
+      const exported = lines => new Map(lines
+        .map(entry => [EXPORT_DECLARATION.exec(entry.text)?.[1], entry])
+        .filter(([name]) => name));
+      const kept = exported(file.added);
+      for (const [name, { line, text }] of exported(file.removed)) {
+        if (!kept.has(name)) {
+          removedExports.push({ file: file.oldPath || file.path, line, side: 'removed', text: text.trim(), reason: `removes export ${name}` });
+        }
+      }
+    }
+
+    return { security, removedExports };
+  }
+
+  /**
+   * Categorize commit based on its Conventional Commits type, or on keywords
+   * in the message when it has none (or one without a category)
    */
-  categorizeCommit(message, filesChanged) {
-    let bestMatch = { category: 'chore', priority: 'low', confidence: 0.3 };
+  categorizeCommit(message, filesChanged, conventional = null, securityLines = []) {
+    let bestMatch = { category: 'chore', priority: 'low', confidence: 0.3, source: 'keywords' };
     
-    // Check each pattern category
-    for (const [category, pattern] of Object.entries(this.patterns)) {
-      const matchCount = pattern.keywords.filter(keyword => 
-        message.includes(keyword)
-      ).length;
-      
-      if (matchCount > 0) {
-        const confidence = Math.min(0.9, pattern.confidence + (matchCount - 1) * 0.1);
-        if (confidence > bestMatch.confidence) {
-          bestMatch = { category, priority: pattern.priority, confidence };
+    const typeCategory = conventional && this.conventionalTypes[conventional.type];
+    if (typeCategory && this.patterns[typeCategory]) {
+      bestMatch = {
+        category: typeCategory,
+        priority: this.patterns[typeCategory].priority,
+        confidence: 0.95,
+        source: 'conventional',
+        type: conventional.scope ? `${conventional.type}(${conventional.scope})` : conventional.type
+      };
+    } else {
+      // Check each pattern category. On equal confidence a category from
+      // triage.yml beats a built-in one, otherwise the first declared wins.
+      let bestIsCustom = false;
+      for (const [category, pattern] of Object.entries(this.patterns)) {
+        const matchCount = pattern.keywords.filter(keyword => 
+          mentions(message, keyword)
+        ).length;
+        
+        if (matchCount > 0) {
+          // Rounded so that equal confidences compare equal
+          const confidence = Math.round(Math.min(0.9, pattern.confidence + (matchCount - 1) * 0.1) * 100) / 100;
+          const wins = confidence > bestMatch.confidence ||
+            (confidence === bestMatch.confidence && pattern.custom && !bestIsCustom);
+          if (wins) {
+            bestMatch = { category, priority: pattern.priority, confidence, source: 'keywords' };
+            bestIsCustom = Boolean(pattern.custom);
+          }
         }
       }
     }
 
-    // Special handling for security-related files
+    // Special handling for security-related files and added lines
     const hasSecurityFiles = filesChanged.some(file => 
-      /auth|security|permission|login/.test(file.toLowerCase())
+      this.escalationRules.securityFiles.test(file.toLowerCase())
     );
-    if (hasSecurityFiles && bestMatch.category !== 'security') {
+    if ((hasSecurityFiles || securityLines.length > 0) && bestMatch.category !== 'security') {
       bestMatch.priority = this.escalatePriority(bestMatch.priority);
     }
 
@@ -143,11 +383,20 @@ class SmartTriageSystem {
   }
 
   /**
-   * Determine which areas of the codebase are impacted
+   * Determine which areas of the codebase are impacted, from the changed
+   * files and any Conventional Commits scopes
    */
-  determineImpactAreas(filesChanged) {
+  determineImpactAreas(filesChanged, scopes = []) {
     const impactAreas = new Set();
     
+    for (const scope of scopes) {
+      // "db/migrations" is looked up as itself, then as "db"
+      const area = [scope, scope.split('/')[0]]
+        .map(name => this.impactPatterns[name] ? name : this.scopeAreas[name])
+        .find(Boolean);
+      if (area) impactAreas.add(area);
+    }
+    
     for (const file of filesChanged) {
       for (const [area, patterns] of Object.entries(this.impactPatterns)) {
         if (patterns.some(pattern => pattern.test(file))) {
@@ -172,25 +421,63 @@ class SmartTriageSystem {
   }
 
   /**
-   * Calculate risk of conflicts during integration
+   * The commit's files that the fork changed since the merge-base, as {
+   * file, forkPath, change, lines, risk } with the riskiest first.
+   * `divergence` is what divergence.js reads; files renamed by the commit
+   * are looked up by their old path.
+   */
+  divergedFiles(commitData, divergence) {
+    const weights = this.riskWeights;
+    const stats = commitData.fileStats || (commitData.filesChanged || []).map(path => ({ path }));
+    const diverged = [];
+
+    for (const stat of stats) {
+      const fork = divergence.files.get(stat.oldPath ?? stat.path) || divergence.files.get(stat.path);
+      if (!fork) continue;
+
+      const lines = fork.insertions + fork.deletions;
+      diverged.push({
+        file: stat.path,
+        ...(fork.forkPath && { forkPath: fork.forkPath }),
+        change: fork.change,
+        lines,
+        risk: fork.change === 'deleted'
+          ? weights.deletedFile
+          : weights.divergedFile + (1 - weights.divergedFile) * lines / (lines + weights.divergedLines)
+      });
+    }
+
+    return diverged.sort((a, b) => b.risk - a.risk);
+  }
+
+  /**
+   * Calculate risk of conflicts during integration: from the files the
+   * fork also changed when `diverged` is given, otherwise from impact areas
+   * and commonly modified files
    */
-  calculateConflictRisk(filesChanged, impactAreas) {
-    let risk = 0.1; // Base risk
+  calculateConflictRisk(filesChanged, impactAreas, diverged = null) {
+    const weights = this.riskWeights;
+
+    if (diverged) {
+      // The chance that any one file conflicts, taking files as independent
+      return 1 - diverged.reduce((clean, file) => clean * (1 - file.risk), 1 - weights.base);
+    }
+
+    let risk = weights.base;
     
     // Higher risk for core areas
-    if (impactAreas.includes('core')) risk += 0.3;
-    if (impactAreas.includes('api')) risk += 0.2;
-    if (impactAreas.includes('database')) risk += 0.25;
+    for (const area of impactAreas) {
+      risk += weights.areas[area] || 0;
+    }
     
     // Risk based on number of files
-    risk += Math.min(0.3, filesChanged.length * 0.02);
+    risk += Math.min(weights.maxFileRisk, filesChanged.length * weights.perFile);
     
     // Risk for commonly modified files
-    const commonFiles = ['package.json', 'README.md', 'config.js', 'index.js'];
     const hasCommonFiles = filesChanged.some(file => 
-      commonFiles.some(common => file.includes(common))
+      weights.commonFiles.some(common => file.includes(common))
     );
-    if (hasCommonFiles) risk += 0.15;
+    if (hasCommonFiles) risk += weights.commonFilesWeight;
     
     return Math.min(1.0, risk);
   }
@@ -198,21 +485,28 @@ class SmartTriageSystem {
   /**
    * Adjust priority based on various factors
    */
-  adjustPriority(basePriority, impactAreas, conflictRisk, effortEstimate) {
+  adjustPriority(basePriority, impactAreas, conflictRisk, effortEstimate, breaking = false) {
     let priority = basePriority;
     
+    const rules = this.escalationRules;
+    
+    // Escalate commits that declare a BREAKING CHANGE trailer
+    if (breaking && rules.breakingChanges) {
+      priority = this.escalatePriority(priority);
+    }
+    
     // Escalate if affecting core systems
-    if (impactAreas.includes('core') || impactAreas.includes('auth')) {
+    if (impactAreas.some(area => rules.areas.includes(area))) {
       priority = this.escalatePriority(priority);
     }
     
     // Escalate high-risk changes
-    if (conflictRisk > 0.7) {
+    if (conflictRisk > rules.conflictRiskAbove) {
       priority = this.escalatePriority(priority);
     }
     
-    // De-escalate trivial changes unless they're security-related
-    if (effortEstimate === 'trivial' && priority !== 'critical') {
+    // De-escalate trivial changes unless they're security-related or breaking
+    if (rules.deescalateTrivial && effortEstimate === 'trivial' && priority !== 'critical' && !breaking) {
       priority = this.deescalatePriority(priority);
     }
     
@@ -222,10 +516,12 @@ class SmartTriageSystem {
   /**
    * Generate human-readable reasoning for the triage decision
    */
-  generateReasoning(categoryResult, impactAreas, effortEstimate, conflictRisk, finalPriority) {
+  generateReasoning(categoryResult, impactAreas, effortEstimate, conflictRisk, finalPriority, breaking = false, findings = null, diverged = null) {
     const parts = [];
     
-    parts.push(`Categorized as ${categoryResult.category} based on commit message`);
+    parts.push(categoryResult.source === 'conventional'
+      ? `Categorized as ${categoryResult.category} from Conventional Commits type ${categoryResult.type}`
+      : `Categorized as ${categoryResult.category} based on commit message`);
     
     if (impactAreas.length > 0) {
       parts.push(`affects ${impactAreas.join(', ')} areas`);
@@ -233,6 +529,25 @@ class SmartTriageSystem {
     
     parts.push(`estimated ${effortEstimate} effort`);
     
+    if (findings?.removedExports.length > 0) {
+      const names = findings.removedExports.map(entry => entry.reason.replace('removes export ', ''));
+      parts.push(`removes export${names.length > 1 ? 's' : ''} ${names.slice(0, 3).join(', ')}${names.length > 3 ? ', ...' : ''}`);
+    } else if (breaking) {
+      parts.push('declares a breaking change');
+    }
+    
+    if (findings?.security.length > 0) {
+      const [first] = findings.security;
+      parts.push(`adds security-sensitive code (${first.file}:${first.line}${findings.security.length > 1 ? ` and ${findings.security.length - 1} more` : ''})`);
+    }
+    
+    if (diverged?.length > 0) {
+      const files = diverged.slice(0, 3).map(file => file.change === 'deleted'
+        ? `${file.file} (deleted, ${Math.round(file.risk * 100)}% risk)`
+        : `${file.file} (${file.forkPath ? `renamed to ${file.forkPath}, ` : ''}${file.lines} lines, ${Math.round(file.risk * 100)}% risk)`);
+      parts.push(`fork changed ${files.join(', ')}${diverged.length > 3 ? ` and ${diverged.length - 3} more` : ''} since the merge-base`);
+    }
+    
     if (conflictRisk > 0.5) {
       parts.push(`high conflict risk (${Math.round(conflictRisk * 100)}%)`);
     }
@@ -288,30 +603,116 @@ class SmartTriageSystem {
   }
 
   /**
-   * Generate integration recommendations
+   * Generate integration recommendations from the stored triage of pending
+   * commits (getPendingCommits rows), so priorities set by a reviewer hold.
+   * Commits that depend on others
+   * (prerequisites: hash -> [hashes]) are scheduled after them, and pending
+   * revert pairs are set aside since integrating neither changes the fork.
+   * A conflict matrix, when given, supplies the order within each phase and
+   * the pairs that must be applied one way round.
    */
-  generateIntegrationPlan(commits) {
-    const analyzed = this.batchAnalyze(commits);
+  generateIntegrationPlan(commits, relations = {}) {
+    const { prerequisites = {}, netZeroPairs = [], conflictMatrix = null } = relations;
+    const netZero = new Set(netZeroPairs.flatMap(pair => [pair.revert_hash, pair.original_hash]));
+
+    let analyzed = commits
+      .filter(commit => !netZero.has(commit.hash))
+      .map(commit => ({ hash: commit.hash, triage: storedTriage(commit) }));
+    for (const item of analyzed) {
+      if (prerequisites[item.hash]) {
+        item.requires = prerequisites[item.hash];
+      }
+    }
+
+    const ordering = { ...prerequisites };
+    if (conflictMatrix) {
+      const position = new Map(conflictMatrix.order.map((hash, index) => [hash, index]));
+      analyzed = analyzed.sort((a, b) => (position.get(a.hash) ?? Infinity) - (position.get(b.hash) ?? Infinity));
+
+      // Commits that apply once an earlier one is in are not expected to conflict
+      const conflicts = new Map(conflictMatrix.commits
+        .filter(commit => !commit.clean && commit.appliesAfter.length === 0)
+        .map(commit => [commit.hash, commit.conflicts]));
+      for (const item of analyzed) {
+        if (conflicts.has(item.hash)) {
+          item.predictedConflicts = conflicts.get(item.hash).map(conflict => conflict.file);
+        }
+      }
+      for (const { before, after } of conflictMatrix.precedence) {
+        ordering[after] = [...(ordering[after] || []), before];
+      }
+    }
+
     const critical = analyzed.filter(c => c.triage.priority === 'critical');
     const high = analyzed.filter(c => c.triage.priority === 'high');
     const medium = analyzed.filter(c => c.triage.priority === 'medium');
     const low = analyzed.filter(c => c.triage.priority === 'low');
 
+    const [immediate, nextSprint, backlog] = this.orderByPrerequisites([
+      critical.concat(high.slice(0, 3)),
+      high.slice(3).concat(medium.slice(0, 5)),
+      medium.slice(5).concat(low)
+    ], ordering);
+
     return {
-      immediate: critical.concat(high.slice(0, 3)),
-      nextSprint: high.slice(3).concat(medium.slice(0, 5)),
-      backlog: medium.slice(5).concat(low),
+      immediate,
+      nextSprint,
+      backlog,
+      netZero: netZeroPairs,
       summary: {
         totalCommits: commits.length,
         criticalCount: critical.length,
         highCount: high.length,
         mediumCount: medium.length,
         lowCount: low.length,
-        estimatedEffort: this.calculateTotalEffort(analyzed)
+        netZeroCount: netZero.size,
+        estimatedEffort: this.calculateTotalEffort(analyzed),
+        expectedConflicts: conflictMatrix ? conflictMatrix.summary.expectedConflicts : null
       }
     };
   }
 
+  /**
+   * Pull each prerequisite into the phase of the earliest commit that needs
+   * it, then order every phase so prerequisites come first
+   */
+  orderByPrerequisites(phases, prerequisites) {
+    const phaseOf = new Map();
+    phases.forEach((phase, index) => phase.forEach(item => phaseOf.set(item.hash, index)));
+
+    let moved = true;
+    while (moved) {
+      moved = false;
+      for (const [hash, index] of phaseOf) {
+        for (const prerequisite of prerequisites[hash] || []) {
+          if (phaseOf.get(prerequisite) > index) {
+            phaseOf.set(prerequisite, index);
+            moved = true;
+          }
+        }
+      }
+    }
+
+    const items = phases.flat();
+    return phases.map((_, index) => {
+      const byHash = new Map(items.filter(item => phaseOf.get(item.hash) === index).map(item => [item.hash, item]));
+      const ordered = [];
+      const visited = new Set();
+
+      const visit = item => {
+        if (visited.has(item.hash)) return;
+        visited.add(item.hash);
+        for (const prerequisite of prerequisites[item.hash] || []) {
+          if (byHash.has(prerequisite)) visit(byHash.get(prerequisite));
+        }
+        ordered.push(item);
+      };
+      byHash.forEach(visit);
+
+      return ordered;
+    });
+  }
+
   calculateTotalEffort(analyzedCommits) {
     const effortPoints = { trivial: 1, small: 3, medium: 8, large: 20, xl: 40 };
     return analyzedCommits.reduce((total, commit) => {
@@ -320,4 +721,32 @@ class SmartTriageSystem {
   }
 }
 
-export default SmartTriageSystem;
\ No newline at end of file
+// A triage_results row in the shape analyzeCommit returns
+function storedTriage(row) {
+  return {
+    priority: row.priority,
+    category: row.category,
+    impactAreas: JSON.parse(row.impact_areas || '[]'),
+    conflictRisk: row.conflict_risk,
+    effortEstimate: row.effort_estimate,
+    reasoning: row.reasoning,
+    confidence: row.confidence
+  };
+}
+
+// `export [default] function|class|const|... name`
+const EXPORT_DECLARATION = /^\s*export\s+(?:default\s+)?(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum)\s+([A-Za-z_$][\w$]*)/;
+
+const keywordMatchers = new Map();
+
+// Keywords match whole words, with plural and verb endings, so "fix" finds
+// "fixes" and "fixed" but not "prefix", and "auth" does not find "author"
+function mentions(message, keyword) {
+  if (!keywordMatchers.has(keyword)) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    keywordMatchers.set(keyword, new RegExp(`(?<![a-z0-9])${escaped}(?:s|es|d|ed|ing)?(?![a-z0-9])`));
+  }
+  return keywordMatchers.get(keyword).test(message);
+}
+
+export default SmartTriageSystem;
@@ -0,0 +1,138 @@
+// Incremental, streaming import of upstream commits
+//
+// Commits are read from a `git log` stream and inserted with their triage in
+// chunked transactions, so forks tens of thousands of commits behind neither
+// hit a buffer limit nor hold the database (or the MCP server) for the whole
+// sync. The upstream tip reached is stored on the repository and the next
+// sync only reads commits after it. Each chunk's patches are read with one
+// more git process so that triage sees the changed lines. The fork's
+// divergence from upstream is read once per sync and stored, and triage
+// scores conflict risk from it. When the merge-base or fork tip moved since
+// the last sync, undecided commits are re-scored against the new divergence.
+
+import { runGit, gitSucceeds, assertRef } from './git-runner.js';
+import { streamCommits } from './git-log.js';
+import { readPatches } from './patch.js';
+import { readForkDivergence } from './divergence.js';
+import { triageForRepository } from './triage-config.js';
+import ForkParityDatabase from './database.js';
+
+const SYNC_CHUNK_SIZE = 500;
+
+class UpstreamSyncSystem {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Import upstream commits missing from the fork branch. `onProgress` is
+   * awaited after every chunk with { processed, total, added }.
+   */
+  async syncCommits(repo, upstreamRef, repositoryPath, options = {}) {
+    const { full = false, chunkSize = SYNC_CHUNK_SIZE, onProgress = () => {} } = options;
+    const forkBranch = assertRef(repo.fork_branch || 'main', 'fork branch');
+    // Loaded first so that invalid triage rules fail the sync before it starts
+    const triage = triageForRepository(repositoryPath);
+    const tip = this.git(['rev-parse', '--verify', `${assertRef(upstreamRef, 'upstream ref')}^{commit}`], repositoryPath);
+    const previousTip = full ? null : repo.last_synced_upstream;
+
+    // A rewritten upstream history makes the recorded tip useless as a base
+    const incremental = Boolean(previousTip) && this.isAncestor(previousTip, tip, repositoryPath);
+    const revisions = [tip, `^${forkBranch}`];
+    if (incremental) {
+      revisions.push(`^${previousTip}`);
+    }
+
+    const previousDivergence = this.db.getForkDivergence(repo.id);
+    const divergence = readForkDivergence(forkBranch, tip, repositoryPath);
+    this.db.setForkDivergence(repo.id, divergence);
+
+    const forkMoved = previousDivergence?.mergeBase !== divergence?.mergeBase
+      || previousDivergence?.forkTip !== divergence?.forkTip;
+    const rescored = forkMoved
+      ? await this.rescoreUndecided(repo, triage, divergence, repositoryPath, chunkSize)
+      : 0;
+
+    const total = parseInt(this.git(['rev-list', '--count', ...revisions, '--'], repositoryPath));
+    const result = {
+      found: 0,
+      added: 0,
+      skipped: 0,
+      total,
+      incremental,
+      previousTip,
+      tip,
+      mergeBase: divergence?.mergeBase ?? null,
+      divergedFiles: divergence?.files.size ?? 0,
+      rescored
+    };
+    await onProgress({ processed: 0, total, added: 0 });
+
+    let chunk = [];
+    const flush = async () => {
+      const patches = await readPatches(chunk.map(commit => commit.hash), repositoryPath);
+      const entries = chunk.map(commit => ({
+        commit,
+        triage: triage.analyzeCommit({ ...commit, patch: patches.get(commit.hash), divergence })
+      }));
+      const { added, skipped } = this.db.addCommitBatch(repo.id, entries);
+      result.found += chunk.length;
+      result.added += added;
+      result.skipped += skipped;
+      chunk = [];
+      await onProgress({ processed: result.found, total, added: result.added });
+    };
+
+    if (total > 0) {
+      for await (const commit of streamCommits(revisions, repositoryPath)) {
+        chunk.push(commit);
+        if (chunk.length >= chunkSize) {
+          await flush();
+        }
+      }
+      if (chunk.length > 0) {
+        await flush();
+      }
+    }
+
+    this.db.setLastSyncedUpstream(repo.id, tip);
+    return result;
+  }
+
+  /**
+   * Re-triage the tracked commits still pending or deferred, in chunks, so
+   * their conflict risk and reasoning match the current divergence.
+   * Priorities set by a reviewer are kept.
+   */
+  async rescoreUndecided(repo, triage, divergence, repositoryPath, chunkSize) {
+    let rescored = 0;
+    let afterId = 0;
+    for (;;) {
+      const rows = this.db.getUndecidedCommits(repo.id, afterId, chunkSize);
+      if (rows.length === 0) break;
+
+      const patches = await readPatches(rows.map(row => row.hash), repositoryPath);
+      this.db.replaceTriageResults(rows.map(row => ({
+        commitId: row.id,
+        triage: triage.analyzeCommit({
+          ...ForkParityDatabase.fromCommitRow(row),
+          patch: patches.get(row.hash),
+          divergence
+        })
+      })));
+      rescored += rows.length;
+      afterId = rows[rows.length - 1].id;
+    }
+    return rescored;
+  }
+
+  git(args, repositoryPath) {
+    return runGit(args, { cwd: repositoryPath }).trim();
+  }
+
+  isAncestor(commit, descendant, repositoryPath) {
+    return gitSucceeds(['merge-base', '--is-ancestor', commit, descendant], { cwd: repositoryPath });
+  }
+}
+
+export default UpstreamSyncSystem;
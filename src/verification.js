@@ -0,0 +1,257 @@
+// Running the fork's test suite against candidate integrations
+//
+// The commits are applied with `cherry-pick --no-commit` on top of the fork
+// branch in a temporary detached worktree, the test command from
+// .fork-parity/config runs there under a timeout, and the outcome is stored
+// against every commit in the batch. The worktree is a fresh checkout, so
+// the command has to install dependencies itself (e.g. `npm ci && npm test`).
+//
+// Bisecting a batch of integrations that broke the tests uses the same
+// machinery, testing the fork commits the batch recorded instead of the
+// whole fork history.
+
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { runGit, gitSucceeds, assertRef, assertHash } from './git-runner.js';
+import { readProjectConfig, PROJECT_CONFIG_FILE } from './project-config.js';
+
+const DEFAULT_TEST_TIMEOUT_SECONDS = 600;
+const LOG_EXCERPT_LINES = 40;
+// Output beyond this is dropped from the front; only the tail is kept
+const MAX_OUTPUT_CHARS = 256 * 1024;
+
+class IntegrationVerificationSystem {
+  constructor(database, cherryPick, integrationHelpers) {
+    this.db = database;
+    this.cherryPick = cherryPick;
+    this.integrationHelpers = integrationHelpers;
+  }
+
+  /**
+   * Apply `hashes` (in dependency order) to the fork branch in a temporary
+   * worktree and run the configured test command. The result is stored for
+   * each commit and returned with its status (passed, failed, timeout or
+   * conflict) and the last lines of the test output.
+   */
+  async verify(repo, hashes, repositoryPath, options = {}) {
+    const { command, timeoutSeconds } = this.testSettings(repositoryPath, options);
+
+    const commits = this.cherryPick.dependencyOrder(
+      this.cherryPick.resolveCommits(repo, hashes, repositoryPath),
+      repo,
+      repositoryPath
+    );
+    const forkBranch = assertRef(repo.fork_branch || 'main', 'fork branch');
+    const baseCommit = runGit(['rev-parse', '--verify', `${forkBranch}^{commit}`], { cwd: repositoryPath }).trim();
+
+    const worktree = mkdtempSync(join(tmpdir(), 'fork-parity-verify-'));
+    const started = Date.now();
+    let outcome;
+    try {
+      runGit(['worktree', 'add', '--detach', '--', worktree, baseCommit], { cwd: repositoryPath });
+      outcome = this.applyAll(commits, worktree, repositoryPath) ||
+        await runTestCommand(command, worktree, timeoutSeconds * 1000);
+    } finally {
+      try {
+        runGit(['worktree', 'remove', '--force', '--', worktree], { cwd: repositoryPath });
+      } catch {
+        // Never added, or already gone
+      }
+      rmSync(worktree, { recursive: true, force: true });
+    }
+
+    const result = {
+      batchId: randomUUID(),
+      status: outcome.status,
+      command,
+      baseCommit,
+      exitCode: outcome.exitCode,
+      durationMs: Date.now() - started,
+      logExcerpt: excerpt(outcome.output)
+    };
+    this.db.addVerificationResult(repo.id, commits.map(commit => commit.hash), result);
+
+    return {
+      ...result,
+      commits: commits.map(commit => commit.hash),
+      ...(outcome.conflicts && { conflicts: outcome.conflicts })
+    };
+  }
+
+  /**
+   * Find the first integration of a batch (the latest by default) after
+   * which `command` fails: the batch tip and the commit before the batch are
+   * tested first, then the fork commits in between are binary searched. The
+   * culprit's status is set to `conflict` with the failing output as
+   * reasoning. `onStep` is awaited after every test run.
+   */
+  async bisectBatch(repo, repositoryPath, options = {}) {
+    const { batchId = null, onStep = () => {} } = options;
+    const { command, timeoutSeconds } = this.testSettings(repositoryPath, options);
+    const git = (args, cwd = repositoryPath) => runGit(args, { cwd }).trim();
+
+    const batch = this.db.getIntegrationBatch(repo.id, batchId);
+    if (!batch) {
+      throw new Error(batchId
+        ? `No integrations recorded for batch ${batchId}`
+        : 'No integration batches recorded; apply commits with fork-parity apply first');
+    }
+
+    // Each integration has to build on the previous one for a search to work
+    const steps = batch.integrations;
+    for (const [index, step] of steps.entries()) {
+      assertHash(step.integration_commit_hash, 'integration commit');
+      const previous = steps[index - 1]?.integration_commit_hash;
+      if (previous && !gitSucceeds(['merge-base', '--is-ancestor', previous, step.integration_commit_hash], { cwd: repositoryPath })) {
+        throw new Error(`Integrations of batch ${batch.batchId} are not on one line of history (${previous.substring(0, 8)} is not an ancestor of ${step.integration_commit_hash.substring(0, 8)})`);
+      }
+    }
+    const baseCommit = git(['rev-parse', '--verify', `${steps[0].integration_commit_hash}^1`]);
+
+    const worktree = mkdtempSync(join(tmpdir(), 'fork-parity-bisect-'));
+    const runs = [];
+    const test = async (commit, label) => {
+      git(['checkout', '--detach', '--force', commit], worktree);
+      git(['clean', '-fd'], worktree);
+      const outcome = await runTestCommand(command, worktree, timeoutSeconds * 1000);
+      runs.push({ commit, label, status: outcome.status });
+      await onStep({ commit, label, status: outcome.status, run: runs.length });
+      return outcome;
+    };
+
+    const result = { batchId: batch.batchId, command, integrations: steps.length, culprit: null, runs };
+    let culprit;
+    try {
+      git(['worktree', 'add', '--detach', '--', worktree, baseCommit]);
+
+      const tip = steps[steps.length - 1];
+      let failing = await test(tip.integration_commit_hash, `${tip.hash.substring(0, 8)} (batch tip)`);
+      if (failing.status === 'passed') {
+        return { ...result, status: 'passing', message: 'Tests pass with the whole batch applied' };
+      }
+      const before = await test(baseCommit, 'before the batch');
+      if (before.status !== 'passed') {
+        return { ...result, status: 'failing-before-batch', message: 'Tests already fail before the batch', logExcerpt: excerpt(before.output) };
+      }
+
+      // The commit before steps[low] passes and steps[high] fails
+      let low = 0;
+      let high = steps.length - 1;
+      while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        const outcome = await test(steps[middle].integration_commit_hash, steps[middle].hash.substring(0, 8));
+        if (outcome.status === 'passed') {
+          low = middle + 1;
+        } else {
+          high = middle;
+          failing = outcome;
+        }
+      }
+
+      culprit = steps[high];
+      result.culprit = { hash: culprit.hash, message: culprit.message, forkCommit: culprit.integration_commit_hash };
+      result.logExcerpt = excerpt(failing.output);
+    } finally {
+      try {
+        git(['worktree', 'remove', '--force', '--', worktree]);
+      } catch {
+        // Never added, or already gone
+      }
+      rmSync(worktree, { recursive: true, force: true });
+    }
+
+    this.db.updateCommitStatus(culprit.commit_id, 'conflict', {
+      decisionReasoning: `Bisect of batch ${batch.batchId.substring(0, 8)}: \`${command}\` fails from this integration (${culprit.integration_commit_hash.substring(0, 8)}) on${result.logExcerpt ? `:\n${result.logExcerpt}` : ''}`,
+      reviewer: options.reviewer || process.env.USER || 'unknown'
+    });
+    return { ...result, status: 'found' };
+  }
+
+  // The configured test command (or an override) and its timeout in seconds
+  testSettings(repositoryPath, options = {}) {
+    const command = options.command || readProjectConfig(repositoryPath, 'test.command');
+    if (!command) {
+      throw new Error(`No test command configured; set one with: git config -f ${PROJECT_CONFIG_FILE} test.command "npm test"`);
+    }
+    const timeoutSeconds = Number(options.timeoutSeconds || readProjectConfig(repositoryPath, 'test.timeout')) ||
+      DEFAULT_TEST_TIMEOUT_SECONDS;
+    return { command, timeoutSeconds };
+  }
+
+  // Returns a conflict outcome, or nothing when every commit applied
+  applyAll(commits, worktree, repositoryPath) {
+    for (const commit of commits) {
+      try {
+        runGit(['cherry-pick', '--no-commit', ...this.cherryPick.mainlineArgs(commit.hash, repositoryPath), commit.hash], {
+          cwd: worktree
+        });
+      } catch (error) {
+        if (error.code !== 'FAILED') throw error;
+
+        const conflicts = this.integrationHelpers.getConflictedFiles(worktree);
+        return {
+          status: 'conflict',
+          exitCode: error.exitCode,
+          conflicts,
+          output: `${commit.hash.substring(0, 8)} did not apply\n${conflicts.map(c => `${c.status} ${c.file}`).join('\n') || error.stderr}`
+        };
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Run a shell command, killing its whole process group on timeout. Resolves
+ * with { status, exitCode, output }; stdout and stderr are interleaved.
+ */
+function runTestCommand(command, cwd, timeoutMs) {
+  return new Promise(resolve => {
+    const child = spawn(command, {
+      cwd,
+      shell: true,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: { ...process.env, CI: process.env.CI || 'true' }
+    });
+
+    let output = '';
+    let timedOut = false;
+    const collect = data => {
+      output = (output + data).slice(-MAX_OUTPUT_CHARS);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        // Already exited
+      }
+    }, timeoutMs);
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      resolve({ status: 'error', exitCode: null, output: error.message });
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (timedOut) {
+        resolve({ status: 'timeout', exitCode: null, output: `${output.trimEnd()}\nTimed out after ${Math.round(timeoutMs / 1000)}s`.trimStart() });
+      } else {
+        resolve({ status: code === 0 ? 'passed' : 'failed', exitCode: code, output });
+      }
+    });
+  });
+}
+
+function excerpt(output) {
+  return output.trimEnd().split('\n').slice(-LOG_EXCERPT_LINES).join('\n');
+}
+
+export default IntegrationVerificationSystem;
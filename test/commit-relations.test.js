@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CommitRelationsSystem from '../src/commit-relations.js';
+import ForkParityDatabase from '../src/database.js';
+
+const commit = (hash, files, subject = hash) => ({ hash, date: new Date('2026-01-01'), subject, body: subject, files });
+
+test('lockfiles, manifests, changelogs and build output do not make follow-ups', () => {
+  const relations = new CommitRelationsSystem(null).findRelations([
+    commit('a1', ['package.json', 'CHANGELOG.md', 'pnpm-lock.yaml', 'dist/app.js']),
+    commit('b2', ['package.json', 'CHANGELOG.md', 'pnpm-lock.yaml', 'dist/app.js']),
+    commit('c3', ['src/parser.js']),
+    commit('d4', ['src/parser.js'])
+  ]);
+
+  assert.deepEqual(relations.map(relation => [relation.hash, relation.relatedHash, relation.type]), [
+    ['d4', 'c3', 'follow-up']
+  ]);
+});
+
+test('follow-ups are listed but are not prerequisites', () => {
+  const db = new ForkParityDatabase(':memory:');
+  const repositoryId = db.addRepository('/fork', 'https://example.com/upstream.git').lastInsertRowid;
+  const add = hash => db.addCommit(repositoryId, {
+    hash,
+    author: 'a',
+    authorEmail: 'a@example.com',
+    commitDate: '2026-01-01T00:00:00.000Z',
+    message: hash,
+    filesChanged: []
+  }).lastInsertRowid;
+  const [first, followUp, fix] = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)].map(add);
+
+  db.addCommitRelation(followUp, first, 'follow-up', 'Also changes src/parser.js');
+  db.addCommitRelation(fix, first, 'fixes', 'Fixes aaaaaaa');
+
+  assert.deepEqual(db.getPrerequisites(repositoryId), { ['c'.repeat(40)]: ['a'.repeat(40)] });
+  assert.equal(db.getCommitRelations(first).length, 2);
+});
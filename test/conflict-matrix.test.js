@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { overlappingPairs } from '../src/conflict-matrix.js';
+
+const commit = (index, files) => ({ hash: `c${index}`, upstreamIndex: index, files: new Set(files) });
+
+test('pairs stop at the cap, nearest neighbours first', () => {
+  const commits = Array.from({ length: 2000 }, (_, index) => commit(index, ['src/server.js']));
+
+  const { pairs, truncated } = overlappingPairs(commits, 50);
+
+  assert.equal(truncated, true);
+  assert.equal(pairs.length, 50);
+  assert.ok(pairs.every(([a, b]) => b.upstreamIndex - a.upstreamIndex === 1));
+});
+
+test('lockfiles, manifests and changelogs do not make pairs', () => {
+  const commits = Array.from({ length: 500 }, (_, index) =>
+    commit(index, ['package.json', 'package-lock.json', 'CHANGELOG.md', `src/module-${index}.js`]));
+
+  assert.deepEqual(overlappingPairs(commits, 50), { pairs: [], truncated: false });
+});
+
+test('commits sharing several files are paired once', () => {
+  const commits = [commit(0, ['a.js', 'b.js']), commit(1, ['a.js', 'b.js']), commit(2, ['b.js'])];
+
+  const { pairs, truncated } = overlappingPairs(commits, 50);
+
+  assert.equal(truncated, false);
+  assert.deepEqual(pairs.map(([a, b]) => `${a.hash}:${b.hash}`), ['c0:c1', 'c1:c2', 'c0:c2']);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseConventionalCommit, splitScopes } from '../src/conventional-commits.js';
+
+test('a typed subject parses into type, scope and description', () => {
+  assert.deepEqual(parseConventionalCommit('feat(api,db)!: drop v1 routes'), {
+    type: 'feat',
+    scope: 'api,db',
+    breaking: true,
+    description: 'drop v1 routes',
+    breakingNote: null
+  });
+  assert.equal(parseConventionalCommit('fix: handle empty body').scope, null);
+});
+
+test('a BREAKING CHANGE footer marks the commit breaking', () => {
+  const parsed = parseConventionalCommit('refactor: rename config keys', { 'BREAKING CHANGE': ['keys are camelCase'] });
+  assert.equal(parsed.breaking, true);
+  assert.equal(parsed.breakingNote, 'keys are camelCase');
+});
+
+test('capitalised prefixes are not types', () => {
+  for (const subject of ['WIP: half of the parser', 'Merge: upstream into main', 'Revert: "feat: x"', 'Fix: typo']) {
+    assert.equal(parseConventionalCommit(subject), null, subject);
+  }
+});
+
+test('subjects without a type parse to null', () => {
+  assert.equal(parseConventionalCommit('Update README'), null);
+  assert.equal(parseConventionalCommit('feat:no space'), null);
+  assert.equal(parseConventionalCommit(''), null);
+});
+
+test('scope lists split on commas and spaces', () => {
+  assert.deepEqual(splitScopes('API, db/migrations'), ['api', 'db/migrations']);
+  assert.deepEqual(splitScopes(null), []);
+});
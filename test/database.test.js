@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import ForkParityDatabase from '../src/database.js';
+import { decisionLabel } from '../src/triage-model.js';
+
+function trackedCommits(db, hashes) {
+  const repositoryId = db.addRepository('/fork', 'https://example.com/upstream.git').lastInsertRowid;
+  const ids = hashes.map(hash => db.addCommit(repositoryId, {
+    hash,
+    author: 'a',
+    authorEmail: 'a@example.com',
+    commitDate: '2026-01-01T00:00:00.000Z',
+    message: hash,
+    filesChanged: []
+  }).lastInsertRowid);
+  return { repositoryId, ids };
+}
+
+function tempLedger(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'fork-parity-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return join(dir, 'decisions.jsonl');
+}
+
+const triage = conflictRisk => ({ priority: 'low', category: 'other', conflictRisk, effortEstimate: 'small', reasoning: '', confidence: 0.5 });
+
+test('undecided commits are pending or deferred and come in chunks', () => {
+  const db = new ForkParityDatabase(':memory:');
+  const { repositoryId, ids } = trackedCommits(db, ['a', 'b', 'c', 'd'].map(c => c.repeat(40)));
+  db.updateCommitStatus(ids[1], 'integrated');
+  db.updateCommitStatus(ids[2], 'deferred');
+
+  const first = db.getUndecidedCommits(repositoryId, 0, 1);
+  assert.deepEqual(first.map(row => row.id), [ids[0]]);
+  assert.deepEqual(db.getUndecidedCommits(repositoryId, first[0].id, 10).map(row => row.id), [ids[2], ids[3]]);
+});
+
+test('re-scoring keeps a reviewer\'s priority', () => {
+  const db = new ForkParityDatabase(':memory:');
+  const { repositoryId, ids: [commitId] } = trackedCommits(db, ['a'.repeat(40)]);
+  db.addTriageResult(commitId, triage(0.1));
+  db.setPriorityOverride(commitId, 'critical');
+
+  db.replaceTriageResults([{ commitId, triage: triage(0.9) }]);
+
+  const stored = db.getCommit(repositoryId, 'a'.repeat(40));
+  assert.equal(stored.priority, 'critical');
+  assert.equal(stored.conflict_risk, 0.9);
+});
+
+test('priority overrides replay from the decisions ledger', t => {
+  const ledgerPath = tempLedger(t);
+  const hash = 'a'.repeat(40);
+
+  const alice = new ForkParityDatabase(':memory:', { ledgerPath });
+  const { ids: [aliceCommit] } = trackedCommits(alice, [hash]);
+  alice.addTriageResult(aliceCommit, triage(0.1));
+  alice.setPriorityOverride(aliceCommit, 'high', { reviewer: 'alice', reason: 'Plugin API' });
+
+  const bob = new ForkParityDatabase(':memory:', { ledgerPath });
+  const { repositoryId, ids: [bobCommit] } = trackedCommits(bob, [hash]);
+  bob.addTriageResult(bobCommit, triage(0.1));
+
+  assert.equal(bob.replayDecisions(repositoryId).applied, 1);
+  assert.equal(bob.replayDecisions(repositoryId).applied, 0);
+  const override = bob.getPriorityOverride(bobCommit);
+  assert.deepEqual([override.priority, override.previous_priority, override.reviewer], ['high', 'low', 'alice']);
+  assert.equal(bob.getCommit(repositoryId, hash).priority, 'high');
+});
+
+test('priority overrides travel through export, import and merge', () => {
+  const hash = 'a'.repeat(40);
+  const source = new ForkParityDatabase(':memory:');
+  const { repositoryId: sourceRepo, ids: [sourceCommit] } = trackedCommits(source, [hash]);
+  source.addTriageResult(sourceCommit, triage(0.1));
+  source.setPriorityOverride(sourceCommit, 'critical', { reason: 'Security fix' });
+  const exported = source.exportRepositoryData(sourceRepo);
+
+  const imported = new ForkParityDatabase(':memory:');
+  const importRepo = imported.addRepository('/fork', 'https://example.com/upstream.git').lastInsertRowid;
+  assert.equal(imported.importRepositoryData(importRepo, exported).priorityOverrides, 1);
+  assert.equal(imported.getCommit(importRepo, hash).priority, 'critical');
+
+  const merged = new ForkParityDatabase(':memory:');
+  const { repositoryId: mergeRepo, ids: [mergeCommit] } = trackedCommits(merged, [hash]);
+  merged.addTriageResult(mergeCommit, triage(0.1));
+  assert.equal(merged.mergeRepositoryData(mergeRepo, exported).priorityOverrides, 1);
+  assert.equal(merged.getPriorityOverride(mergeCommit).reason, 'Security fix');
+  assert.equal(merged.getCommit(mergeRepo, hash).priority, 'critical');
+});
+
+test('decisions are labelled with the rules\' priority, not the blended one', () => {
+  const db = new ForkParityDatabase(':memory:');
+  const { repositoryId, ids: [integrated, deferred] } = trackedCommits(db, ['a'.repeat(40), 'b'.repeat(40)]);
+  for (const commitId of [integrated, deferred]) {
+    db.addTriageResult(commitId, { ...triage(0.1), priority: 'critical', model: { priority: 'critical', rulePriority: 'medium' } });
+  }
+  db.updateCommitStatus(integrated, 'integrated');
+  db.updateCommitStatus(deferred, 'deferred');
+
+  const rows = db.getPriorityTrainingData(repositoryId);
+  assert.deepEqual(rows.map(row => [row.priority, row.rule_priority, decisionLabel(row)]), [
+    ['critical', 'medium', 'medium'],
+    ['critical', 'medium', 'low']
+  ]);
+});
+
+test('re-adding a tracked commit keeps its id and decisions', () => {
+  const db = new ForkParityDatabase(':memory:');
+  const hash = 'a'.repeat(40);
+  const { repositoryId, ids: [commitId] } = trackedCommits(db, [hash]);
+  db.updateCommitStatus(commitId, 'deferred');
+
+  const result = db.addCommit(repositoryId, { hash, author: 'a', commitDate: '2026-01-01T00:00:00.000Z', message: 'reworded', filesChanged: [] });
+
+  assert.equal(result.lastInsertRowid, commitId);
+  assert.equal(db.getCommit(repositoryId, hash).message, 'reworded');
+  assert.equal(db.getCurrentStatus(commitId).status, 'deferred');
+  assert.equal(db.searchCommits(repositoryId, 'reworded').length, 1);
+});
+
+test('decisions rolled back with their transaction never reach the ledger', t => {
+  const ledgerPath = tempLedger(t);
+  const db = new ForkParityDatabase(':memory:', { ledgerPath });
+  const { ids: [commitId] } = trackedCommits(db, ['a'.repeat(40)]);
+
+  assert.throws(() => db.batchUpdateStatus([commitId, commitId + 1], 'skipped'));
+
+  assert.equal(db.getCurrentStatus(commitId), undefined);
+  assert.equal(existsSync(ledgerPath), false);
+});
+
+test('integrations detected from git are not shared', t => {
+  const ledgerPath = tempLedger(t);
+  const db = new ForkParityDatabase(':memory:', { ledgerPath });
+  const { ids: [commitId] } = trackedCommits(db, ['a'.repeat(40)]);
+
+  db.recordIntegration(commitId, { integrationCommitHash: 'b'.repeat(40), detectionMethod: 'patch-id', shared: false });
+
+  assert.equal(db.getCurrentStatus(commitId).status, 'integrated');
+  assert.equal(existsSync(ledgerPath), false);
+});
+
+test('imported decisions are shared through the ledger', t => {
+  const ledgerPath = tempLedger(t);
+  const hash = 'a'.repeat(40);
+  const source = new ForkParityDatabase(':memory:');
+  const { repositoryId: sourceRepo, ids: [sourceCommit] } = trackedCommits(source, [hash]);
+  source.updateCommitStatus(sourceCommit, 'skipped', { reviewer: 'alice', decisionReasoning: 'Not for us' });
+
+  const importer = new ForkParityDatabase(':memory:', { ledgerPath });
+  const importRepo = importer.addRepository('/fork', 'https://example.com/upstream.git').lastInsertRowid;
+  importer.importRepositoryData(importRepo, source.exportRepositoryData(sourceRepo));
+  assert.equal(importer.readLedger().length, 1);
+
+  const fresh = new ForkParityDatabase(':memory:', { ledgerPath });
+  const { repositoryId, ids: [commitId] } = trackedCommits(fresh, [hash]);
+  assert.equal(fresh.replayDecisions(repositoryId).applied, 1);
+  assert.equal(fresh.getCurrentStatus(commitId).decision_reasoning, 'Not for us');
+});
+
+test('merged decisions replay on a fresh database', t => {
+  const ledgerPath = tempLedger(t);
+  const hash = 'a'.repeat(40);
+  const alice = new ForkParityDatabase(':memory:');
+  const { repositoryId: aliceRepo, ids: [aliceCommit] } = trackedCommits(alice, [hash]);
+  alice.updateCommitStatus(aliceCommit, 'deferred', { reviewer: 'alice', decisionReasoning: 'After the release' });
+
+  const bob = new ForkParityDatabase(':memory:', { ledgerPath });
+  const { repositoryId: bobRepo } = trackedCommits(bob, [hash]);
+  assert.equal(bob.mergeRepositoryData(bobRepo, alice.exportRepositoryData(aliceRepo)).statusEvents, 1);
+
+  const fresh = new ForkParityDatabase(':memory:', { ledgerPath });
+  const { repositoryId, ids: [commitId] } = trackedCommits(fresh, [hash]);
+  assert.equal(fresh.replayDecisions(repositoryId).applied, 1);
+  assert.equal(fresh.getCurrentStatus(commitId).status, 'deferred');
+});
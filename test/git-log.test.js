@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGitLog, parseNumstat, parseTrailers } from '../src/git-log.js';
+
+const HASH = 'a'.repeat(40);
+
+// One record as `git log -z --numstat --format=%x1e%H%x1f%an%x1f%ae%x1f%aI%x1f%B%x1f` prints it
+const record = (message, numstat = '') =>
+  `\x1e${HASH}\x1fAda\x1fada@example.com\x1f2026-01-01T12:00:00+02:00\x1f${message}\n\x1f${numstat}`;
+
+test('subjects containing pipes and separators survive', () => {
+  const output = record('fix: handle a | b\x1fc pipes\n\nBody | text.', '\0\n3\t1\tsrc/parser.js\0') +
+    record('feat: second', '\0\n1\t0\tREADME.md\0');
+
+  const [first, second] = parseGitLog(output);
+
+  assert.equal(first.hash, HASH);
+  assert.equal(first.author, 'Ada');
+  assert.equal(first.commitDate, '2026-01-01T10:00:00.000Z');
+  assert.equal(first.message, 'fix: handle a | b\x1fc pipes');
+  assert.equal(first.body, 'Body | text.');
+  assert.deepEqual(first.filesChanged, ['src/parser.js']);
+  assert.equal(first.insertions, 3);
+  assert.equal(second.message, 'feat: second');
+});
+
+test('a subject wrapped over several lines is folded onto one', () => {
+  const [commit] = parseGitLog(record('fix: a subject\nthat wraps\n\nBody.'));
+
+  assert.equal(commit.message, 'fix: a subject that wraps');
+  assert.deepEqual(commit.fileStats, []);
+});
+
+test('renames in -z numstat keep both paths', () => {
+  assert.deepEqual(parseNumstat('\0\n1\t0\t\0old name.js\0new name.js\0'), [
+    { path: 'new name.js', oldPath: 'old name.js', insertions: 1, deletions: 0 }
+  ]);
+});
+
+test('binary files count no lines', () => {
+  assert.deepEqual(parseNumstat('\0\n-\t-\timg.bin\0' + '2\t5\tsrc/app.js\0'), [
+    { path: 'img.bin', insertions: 0, deletions: 0, binary: true },
+    { path: 'src/app.js', insertions: 2, deletions: 5 }
+  ]);
+});
+
+test('trailers fold continuation lines and repeat tokens', () => {
+  const body = 'Longer explanation.\n\nFixes: abc1234\nCo-authored-by: Ada\n  <ada@example.com>\n' +
+    'Co-authored-by: Bob <bob@example.com>\nBREAKING CHANGE: drops the\n  v1 endpoint';
+
+  assert.deepEqual(parseTrailers(body), {
+    Fixes: ['abc1234'],
+    'Co-authored-by': ['Ada <ada@example.com>', 'Bob <bob@example.com>'],
+    'BREAKING CHANGE': ['drops the v1 endpoint']
+  });
+});
+
+test('prose in the last paragraph is not a trailer block', () => {
+  assert.deepEqual(parseTrailers('Fixes: abc1234\nand then some prose.'), {});
+  assert.deepEqual(parseTrailers(''), {});
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runGitAsync, GitError, assertRef, assertRange, assertRemoteUrl } from '../src/git-runner.js';
+
+test('runGitAsync resolves with stdout and rejects failures with a GitError', async () => {
+  assert.match(await runGitAsync(['--version']), /^git version/);
+
+  await assert.rejects(runGitAsync(['rev-parse', '--verify', 'no-such-ref'], { cwd: '/' }), error => {
+    assert.ok(error instanceof GitError);
+    assert.equal(error.code, 'FAILED');
+    return true;
+  });
+});
+
+const rejectsInvalid = (assertion, value) => assert.throws(() => assertion(value), error => {
+  assert.ok(error instanceof GitError);
+  assert.equal(error.code, 'INVALID_ARGUMENT');
+  return true;
+}, JSON.stringify(value));
+
+test('refs that git could read as options or ranges are rejected', () => {
+  for (const ref of ['-main', '--upload-pack=touch /tmp/pwned', '--output=/tmp/x', 'main..evil', 'refs/heads/main.lock', 'main branch', '', null]) {
+    rejectsInvalid(assertRef, ref);
+  }
+  for (const ref of ['main', 'upstream/main', 'HEAD~2', 'v1.2.0^{commit}', '@{u}', 'a'.repeat(40)]) {
+    assert.equal(assertRef(ref), ref);
+  }
+});
+
+test('ranges are rejected when either side is not a ref', () => {
+  for (const range of ['--upload-pack=x..main', 'main..-evil', 'a..b..c', '..', '...', 'main..$(id)', '']) {
+    rejectsInvalid(assertRange, range);
+  }
+  for (const range of ['main..upstream/main', 'main...upstream/main', 'HEAD~3..', '..HEAD', 'main']) {
+    assert.equal(assertRange(range), range);
+  }
+});
+
+test('remote URLs that are options, hold control characters or run commands are rejected', () => {
+  for (const url of ['--upload-pack=touch /tmp/pwned', '-oProxyCommand=id', 'ext::sh -c touch% /tmp/pwned', 'EXT::sh', 'fd::3', 'https://example.com/a\nb.git', '']) {
+    rejectsInvalid(assertRemoteUrl, url);
+  }
+  for (const url of ['https://github.com/upstream/repo.git', 'git@github.com:upstream/repo.git', '/srv/git/repo.git', '../upstream']) {
+    assert.equal(assertRemoteUrl(url), url);
+  }
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMergeTree } from '../src/merge-tree.js';
+
+// `git merge-tree --write-tree -z` output, captured from git 2.39
+const CLEAN = 'e11547a0da2db7e51cb809c90d0bbd133c282f1f\0';
+
+const CONFLICTED = [
+  '2c14153bfdd8e87c3e8698b35685a830b082493e',
+  '100644 5626abf0f72e58d7a153368ba57db4c673c0e171 1\ta file.txt',
+  '100644 ba2906d0666cf726c7eaadd2cd3db615dedfdf3a 2\ta file.txt',
+  '100644 2299c37978265a95cbe835a4b0f0bbf15aad5549 3\ta file.txt',
+  '100644 2fa992c0b8b5c6acd2bdd4fa31de29d29799bdd5 1\tgone.txt',
+  '100644 5ea2ed416fbd4a4cbe227b75fe255dd7fa6bd4d6 3\tgone.txt',
+  '',
+  '1', 'a file.txt', 'Auto-merging', 'Auto-merging a file.txt\n',
+  '1', 'a file.txt', 'CONFLICT (contents)', 'CONFLICT (content): Merge conflict in a file.txt\n',
+  '1', 'gone.txt', 'CONFLICT (modify/delete)',
+  'CONFLICT (modify/delete): gone.txt deleted in main and modified in side.  Version side of gone.txt left in tree.\n',
+  ''
+].join('\0');
+
+test('a clean merge is just the tree', () => {
+  assert.deepEqual(parseMergeTree(CLEAN), {
+    tree: 'e11547a0da2db7e51cb809c90d0bbd133c282f1f',
+    entries: [],
+    messages: []
+  });
+});
+
+test('a conflicted merge lists index stages and messages', () => {
+  const { tree, entries, messages } = parseMergeTree(CONFLICTED);
+
+  assert.equal(tree, '2c14153bfdd8e87c3e8698b35685a830b082493e');
+  assert.deepEqual(entries, [
+    { stage: 1, path: 'a file.txt' },
+    { stage: 2, path: 'a file.txt' },
+    { stage: 3, path: 'a file.txt' },
+    { stage: 1, path: 'gone.txt' },
+    { stage: 3, path: 'gone.txt' }
+  ]);
+  assert.deepEqual(messages.map(({ paths, type }) => [paths, type]), [
+    [['a file.txt'], 'Auto-merging'],
+    [['a file.txt'], 'CONFLICT (contents)'],
+    [['gone.txt'], 'CONFLICT (modify/delete)']
+  ]);
+  assert.equal(messages[2].message, 'CONFLICT (modify/delete): gone.txt deleted in main and modified in side.  Version side of gone.txt left in tree.');
+});
+
+test('messages can name several paths', () => {
+  const output = ['f'.repeat(40), '100644 ' + 'a'.repeat(40) + ' 1\told.js', '',
+    '2', 'old.js', 'new.js', 'CONFLICT (rename/delete)', 'CONFLICT (rename/delete): old.js renamed to new.js in side, but deleted in main.\n', ''].join('\0');
+
+  assert.deepEqual(parseMergeTree(output).messages, [{
+    paths: ['old.js', 'new.js'],
+    type: 'CONFLICT (rename/delete)',
+    message: 'CONFLICT (rename/delete): old.js renamed to new.js in side, but deleted in main.'
+  }]);
+});
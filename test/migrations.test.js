@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+import ForkParityDatabase from '../src/database.js';
+import migrations, { LATEST_SCHEMA_VERSION } from '../src/migrations.js';
+
+// A database as 1.x left it: the baseline tables with no schema version,
+// several status rows per commit, and adaptation_patterns in the shape
+// IntegrationHelpersSystem created lazily
+function createLegacyDatabase(dbPath) {
+  const db = new Database(dbPath);
+  migrations[0].up(db);
+  db.exec(`
+    CREATE TABLE adaptation_patterns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pattern_id TEXT UNIQUE,
+      commit_hash TEXT,
+      pattern_type TEXT,
+      source_pattern TEXT,
+      target_pattern TEXT,
+      context TEXT,
+      success INTEGER,
+      effort TEXT,
+      notes TEXT,
+      created_at DATETIME
+    );
+
+    INSERT INTO repositories (path, upstream_url) VALUES ('/fork', 'https://example.com/upstream.git');
+    INSERT INTO commits (repository_id, hash, author, author_email, commit_date, message, files_changed)
+    VALUES (1, '${'a'.repeat(40)}', 'a', 'a@example.com', '2024-01-01T00:00:00.000Z', 'fix: crash in parser', '["src/parser.js"]');
+    INSERT INTO triage_results (commit_id, priority, category, conflict_risk, effort_estimate, reasoning, confidence)
+    VALUES (1, 'high', 'bugfix', 0.2, 'small', 'Fixes a crash', 0.8);
+    INSERT INTO commit_status (commit_id, status, reviewer) VALUES (1, 'reviewed', 'alice');
+    INSERT INTO commit_status (commit_id, status, reviewer) VALUES (1, 'integrated', 'bob');
+    INSERT INTO adaptation_patterns (pattern_id, commit_hash, pattern_type, source_pattern, target_pattern, success, created_at)
+    VALUES ('rename-api', '${'a'.repeat(40)}', 'rename', 'oldApi', 'newApi', 1, '2024-01-02 00:00:00');
+  `);
+  db.close();
+}
+
+test('a 1.x database is backed up and migrated with its data', t => {
+  const dir = mkdtempSync(join(tmpdir(), 'fork-parity-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const dbPath = join(dir, 'parity.db');
+  createLegacyDatabase(dbPath);
+
+  const db = new ForkParityDatabase(dbPath, { autoMigrate: false });
+  assert.equal(db.getSchemaVersion(), 0);
+  const result = db.migrate();
+  t.after(() => db.close());
+
+  assert.equal(result.fromVersion, 0);
+  assert.equal(result.toVersion, LATEST_SCHEMA_VERSION);
+  assert.equal(db.getSchemaVersion(), LATEST_SCHEMA_VERSION);
+
+  const repositoryId = db.getRepository('/fork').id;
+  const commit = db.getCommit(repositoryId, 'a'.repeat(40));
+  assert.equal(commit.priority, 'high');
+  assert.equal(commit.category, 'bugfix');
+  assert.equal(commit.status, 'integrated');
+  assert.deepEqual(db.getCommitHistory(commit.commit_id).map(event => [event.from_status, event.to_status]), [
+    [null, 'reviewed'],
+    ['reviewed', 'integrated']
+  ]);
+
+  // Rebuilt with the columns 1.x did not have
+  const [pattern] = db.getAdaptationPatterns();
+  assert.equal(pattern.pattern_id, 'rename-api');
+  assert.equal(pattern.target_pattern, 'newApi');
+  assert.equal(pattern.enabled, 1);
+
+  assert.ok(existsSync(result.backupPath));
+  const backup = new Database(result.backupPath, { readonly: true });
+  t.after(() => backup.close());
+  assert.equal(backup.pragma('user_version', { simple: true }), 0);
+  assert.equal(backup.prepare('SELECT COUNT(*) AS count FROM commit_status').get().count, 2);
+});
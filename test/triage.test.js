@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SmartTriageSystem from '../src/triage.js';
+
+const commit = message => ({ message, filesChanged: ['src/parser.js'], insertions: 20, deletions: 5 });
+
+test('a triage.yml category wins a confidence tie with a built-in one', () => {
+  const triage = new SmartTriageSystem().applyConfig({
+    categories: { perf: { keywords: ['faster'], priority: 'medium', confidence: 0.8 } }
+  });
+
+  // bugfix matches "fix" at its built-in 0.8
+  assert.equal(triage.analyzeCommit(commit('fix slow parser, make it faster')).category, 'perf');
+});
+
+test('a triage.yml category still loses to a more confident built-in one', () => {
+  const triage = new SmartTriageSystem().applyConfig({
+    categories: { perf: { keywords: ['faster'], priority: 'medium', confidence: 0.7 } }
+  });
+
+  assert.equal(triage.analyzeCommit(commit('fix slow parser, make it faster')).category, 'bugfix');
+});
+
+test('ties between built-in categories go to the first declared', () => {
+  // bugfix and test both match once at 0.8
+  assert.equal(new SmartTriageSystem().analyzeCommit(commit('fix flaky test')).category, 'bugfix');
+});
+
+test('integration plans use the stored priority, including overrides', () => {
+  const row = (hash, priority) => ({
+    hash,
+    priority,
+    category: 'other',
+    impact_areas: '[]',
+    conflict_risk: 0.1,
+    effort_estimate: 'small',
+    reasoning: '',
+    confidence: 0.5,
+    files_changed: '["src/parser.js"]'
+  });
+  const plan = new SmartTriageSystem().generateIntegrationPlan([row('a1', 'critical'), row('b2', 'low')]);
+
+  assert.deepEqual(plan.immediate.map(item => item.hash), ['a1']);
+  assert.deepEqual(plan.backlog.map(item => item.hash), ['b2']);
+});
+
+test('child_process exec() is security-sensitive but RegExp#exec is not', () => {
+  const triage = new SmartTriageSystem();
+  const patch = text => [{ path: 'src/run.js', binary: false, added: [{ line: 1, text }], removed: [] }];
+
+  assert.equal(triage.inspectPatch(patch('exec(`git ${args}`, callback);')).security.length, 1);
+  assert.equal(triage.inspectPatch(patch('const out = execSync (command);')).security.length, 1);
+  assert.equal(triage.inspectPatch(patch('while ((match = pattern.exec(line)) !== null) {')).security.length, 0);
+  assert.equal(triage.inspectPatch(patch('const parsed = HEADER.exec(subject);')).security.length, 0);
+});
+
+test('keywords match whole words, with plural and verb endings', () => {
+  const triage = new SmartTriageSystem();
+  const category = message => triage.categorizeCommit(message, []).category;
+
+  assert.equal(category('update author list'), 'chore');
+  assert.equal(category('switch docker base image'), 'chore');
+  assert.equal(category('tighten auth checks'), 'security');
+  assert.equal(category('fixes crashes on empty input'), 'bugfix');
+  assert.equal(category('docs for the parser'), 'docs');
+});